@@ -0,0 +1,162 @@
+// Authentication policy settings, read once from the environment
+
+const fs = require('fs');
+const path = require('path');
+
+const EMAIL_VERIFICATION_POLICIES = ['none', 'restrict', 'block'];
+
+// none: unverified users have full access
+// restrict: unverified users can sign in but cannot make changes
+// block: unverified users cannot sign in at all
+const emailVerificationPolicy = EMAIL_VERIFICATION_POLICIES.includes(process.env.EMAIL_VERIFICATION_POLICY)
+  ? process.env.EMAIL_VERIFICATION_POLICY
+  : 'restrict';
+
+// Failed login handling: once an account (or IP) reaches its limit within the
+// window, it is locked for lockoutBaseMs, doubling with every further failure
+const loginProtection = {
+  maxAttemptsPerAccount: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  maxAttemptsPerIp: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20,
+  attemptWindowMs: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MS) || 15 * 60 * 1000,
+  lockoutBaseMs: parseInt(process.env.LOGIN_LOCKOUT_BASE_MS) || 60 * 1000,
+  lockoutMaxMs: parseInt(process.env.LOGIN_LOCKOUT_MAX_MS) || 60 * 60 * 1000
+};
+
+// How long admin invitations stay valid unless the admin picks another expiry
+const invitationPolicy = {
+  defaultExpiresInDays: parseInt(process.env.INVITATION_EXPIRES_DAYS) || 7,
+  maxExpiresInDays: 30
+};
+
+// Personal access tokens for scripts and CI. Scopes limit what a token can do
+// on top of its owner's role; adminScopes can only be granted by admins.
+const personalAccessTokenPolicy = {
+  scopes: ['tasks:read', 'tasks:write', 'users:admin'],
+  adminScopes: ['users:admin'],
+  defaultExpiresInDays: 30,
+  maxExpiresInDays: 365
+};
+
+// OpenID Connect single sign-on (authorization code + PKCE).
+// Enabled when an issuer and client id are configured.
+const oidc = {
+  enabled: Boolean(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID),
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI ||
+    `${(process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '')}/sso/callback`,
+  scope: process.env.OIDC_SCOPE || 'openid email profile',
+  providerName: process.env.OIDC_PROVIDER_NAME || 'SSO',
+  // ID token claim holding the user's groups, and the groups that make someone an admin
+  groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+  adminGroups: (process.env.OIDC_ADMIN_GROUPS || '').split(',').map((group) => group.trim()).filter(Boolean),
+  loginStateExpiresMs: 10 * 60 * 1000
+};
+
+// Every JWT the API issues is signed with an asymmetric key from a key set
+// stored in MongoDB. Rotating retires the current key; retired keys keep
+// verifying (and stay published in the JWKS) for retiredKeyTtlHours, which
+// must outlive the longest token they signed: JWT_EXPIRES_IN access tokens
+// and 24-hour email verification links.
+const tokenSigning = {
+  algorithm: process.env.JWT_ALGORITHM === 'ES256' ? 'ES256' : 'RS256',
+  issuer: process.env.JWT_ISSUER || 'task-manager-api',
+  // Encrypts the private keys at rest when set
+  keyPassphrase: process.env.JWT_KEY_PASSPHRASE,
+  retiredKeyTtlHours: parseInt(process.env.JWT_RETIRED_KEY_TTL_HOURS) || 25,
+  // How long an instance trusts its in-memory copy of the key set
+  keyCacheMs: 60 * 1000
+};
+
+// Cookie mode for the browser app. Clients opt in with the X-Auth-Mode: cookie
+// header; tokens then travel in httpOnly cookies instead of response bodies and
+// every state-changing request must send the session's CSRF token in the
+// X-CSRF-Token header. Use sameSite 'none' when the app and API are on different sites.
+const authCookies = {
+  modeHeader: 'X-Auth-Mode',
+  csrfHeader: 'X-CSRF-Token',
+  accessTokenName: 'tm_access',
+  refreshTokenName: 'tm_refresh',
+  csrfTokenName: 'tm_csrf',
+  // Ties an SSO login to the browser that started it
+  oidcStateName: 'tm_oidc_state',
+  // The refresh token is only sent to the endpoints that use it
+  refreshTokenPath: '/api/v1/auth',
+  oidcStatePath: '/api/v1/auth/oidc',
+  sameSite: process.env.AUTH_COOKIE_SAMESITE || 'lax',
+  secure: process.env.AUTH_COOKIE_SECURE
+    ? process.env.AUTH_COOKIE_SECURE === 'true'
+    : process.env.NODE_ENV === 'production',
+  domain: process.env.AUTH_COOKIE_DOMAIN || undefined
+};
+
+// Admin impersonation. Impersonation tokens are short-lived access tokens with
+// an `act` claim naming the admin; they come without a refresh token. Whether
+// destructive actions (DELETE requests) are blocked while impersonating is a
+// security setting admins can change; this is its default.
+const impersonationPolicy = {
+  expiresInMinutes: parseInt(process.env.IMPERSONATION_EXPIRES_MINUTES) || 15,
+  blockDestructiveActions: process.env.IMPERSONATION_BLOCK_DESTRUCTIVE_ACTIONS !== 'false'
+};
+
+// How long login history and other security events are kept
+const securityEventPolicy = {
+  retentionDays: parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS) || 90
+};
+
+// Password rules for registration, password changes and resets. Settings come
+// from the JSON file at PASSWORD_POLICY_FILE when set, then from individual
+// environment variables, which win over the file.
+const readPasswordPolicyFile = () => {
+  if (!process.env.PASSWORD_POLICY_FILE) return {};
+  return JSON.parse(fs.readFileSync(path.resolve(process.env.PASSWORD_POLICY_FILE), 'utf8'));
+};
+
+const envFlag = (name) => (process.env[name] === undefined ? undefined : process.env[name] === 'true');
+
+const envInt = (name) => (process.env[name] === undefined ? undefined : parseInt(process.env[name]));
+
+const definedOnly = (settings) => Object.fromEntries(
+  Object.entries(settings).filter(([, value]) => value !== undefined)
+);
+
+const passwordPolicy = {
+  minLength: 8,
+  // In UTF-8 bytes: bcrypt ignores everything past 72 bytes
+  maxLength: 72,
+  requireLowercase: true,
+  requireUppercase: true,
+  requireDigit: true,
+  requireSymbol: false,
+  // SHA-1 hashes of known breached passwords, one per line and optionally
+  // followed by ":COUNT" (the format of a Pwned Passwords download). Empty to
+  // turn the check off.
+  breachedPasswordsFile: path.join(__dirname, 'breached-passwords.txt'),
+  // How many previous passwords (counting the current one) cannot be reused
+  historySize: 5,
+  ...readPasswordPolicyFile(),
+  ...definedOnly({
+    minLength: envInt('PASSWORD_MIN_LENGTH'),
+    maxLength: envInt('PASSWORD_MAX_LENGTH'),
+    requireLowercase: envFlag('PASSWORD_REQUIRE_LOWERCASE'),
+    requireUppercase: envFlag('PASSWORD_REQUIRE_UPPERCASE'),
+    requireDigit: envFlag('PASSWORD_REQUIRE_DIGIT'),
+    requireSymbol: envFlag('PASSWORD_REQUIRE_SYMBOL'),
+    breachedPasswordsFile: process.env.PASSWORD_BREACHED_LIST,
+    historySize: envInt('PASSWORD_HISTORY_SIZE')
+  })
+};
+
+module.exports = {
+  emailVerificationPolicy,
+  loginProtection,
+  invitationPolicy,
+  personalAccessTokenPolicy,
+  oidc,
+  tokenSigning,
+  authCookies,
+  impersonationPolicy,
+  securityEventPolicy,
+  passwordPolicy
+};
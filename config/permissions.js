@@ -0,0 +1,54 @@
+const { personalAccessTokenPolicy } = require('./auth');
+
+// Every permission a role can hold. `scope` is the personal access token
+// scope a token also needs before the permission applies to its requests.
+const permissions = {
+  'task.create': { scope: 'tasks:write', description: 'Create tasks' },
+  'task.view.any': { scope: 'tasks:read', description: 'See every user\'s tasks' },
+  'task.update.any': { scope: 'tasks:write', description: 'Edit every user\'s tasks' },
+  'task.delete.any': { scope: 'tasks:write', description: 'Delete every user\'s tasks' },
+  'stats.view.global': { scope: 'tasks:read', description: 'See task statistics across all users' },
+  'label.manage': { scope: 'tasks:write', description: 'Create, edit and delete task labels' },
+  'user.view': { scope: 'users:admin', description: 'List and view user accounts' },
+  'user.status.change': { scope: 'users:admin', description: 'Activate and deactivate accounts' },
+  'user.role.change': { scope: 'users:admin', description: 'Change other users\' roles' },
+  'user.invite': { scope: 'users:admin', description: 'Create and revoke invitations' },
+  'user.sessions.manage': { scope: 'users:admin', description: 'View and revoke other users\' sessions' },
+  'user.lockout.manage': { scope: 'users:admin', description: 'View and clear login lockouts' },
+  'user.impersonate': { scope: 'users:admin', description: 'Act as another user to see what they see' },
+  'settings.security.manage': { scope: 'users:admin', description: 'Change security settings such as required 2FA' },
+  'role.manage': { scope: 'users:admin', description: 'Create, edit and delete roles' }
+};
+
+const permissionNames = Object.keys(permissions);
+
+// Seeded on startup and kept in line with the code; they cannot be edited or deleted
+const builtInRoles = [
+  {
+    name: 'user',
+    description: 'Manages their own tasks',
+    permissions: ['task.create']
+  },
+  {
+    name: 'admin',
+    description: 'Full access to all tasks and user management',
+    permissions: permissionNames
+  }
+];
+
+// Permissions that need an admin scope count as administrative: holders get
+// admin-only token scopes and fall under the "require 2FA for admins" setting
+const isAdministrativePermission = (permission) => {
+  const definition = permissions[permission];
+  return Boolean(definition) && personalAccessTokenPolicy.adminScopes.includes(definition.scope);
+};
+
+const hasAdministrativePermission = (granted = []) => granted.some(isAdministrativePermission);
+
+module.exports = {
+  permissions,
+  permissionNames,
+  builtInRoles,
+  isAdministrativePermission,
+  hasAdministrativePermission
+};
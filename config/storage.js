@@ -0,0 +1,53 @@
+// File storage settings, read once from the environment
+
+const path = require('path');
+
+const STORAGE_DRIVERS = ['local', 's3'];
+
+const DEFAULT_ALLOWED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'text/plain',
+  'text/csv',
+  'application/json',
+  'application/pdf',
+  'application/zip',
+  'application/gzip'
+];
+
+// Task attachments: per-file size limit, files per upload and per task, and
+// the MIME types accepted (ATTACHMENT_ALLOWED_TYPES is comma-separated)
+const attachmentPolicy = {
+  maxFileSizeBytes: (parseInt(process.env.ATTACHMENT_MAX_FILE_SIZE_MB) || 10) * 1024 * 1024,
+  maxFilesPerUpload: 5,
+  maxFilesPerTask: parseInt(process.env.ATTACHMENT_MAX_FILES_PER_TASK) || 20,
+  allowedMimeTypes: process.env.ATTACHMENT_ALLOWED_TYPES
+    ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map((type) => type.trim()).filter(Boolean)
+    : DEFAULT_ALLOWED_TYPES
+};
+
+// Where files are kept: `local` writes below a directory, `s3` talks to any
+// S3-compatible service (AWS, MinIO, or `npm run mock-s3` for development)
+const storage = {
+  driver: STORAGE_DRIVERS.includes(process.env.STORAGE_DRIVER) ? process.env.STORAGE_DRIVER : 'local',
+  local: {
+    directory: path.resolve(__dirname, '..', process.env.STORAGE_LOCAL_DIR || 'uploads')
+  },
+  s3: {
+    endpoint: process.env.S3_ENDPOINT || null,
+    region: process.env.S3_REGION || 'us-east-1',
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    // Most S3-compatible services want http://host/bucket/key rather than
+    // the http://bucket.host/key that AWS prefers
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false'
+  }
+};
+
+module.exports = {
+  attachmentPolicy,
+  storage
+};
@@ -25,12 +25,87 @@ const options = {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT'
+        },
+        // Browser sessions: the access token in an httpOnly cookie, plus the
+        // X-CSRF-Token header on state-changing requests
+        cookieAuth: {
+          type: 'apiKey',
+          in: 'cookie',
+          name: 'tm_access'
+        }
+      },
+      parameters: {
+        AuthModeHeader: {
+          in: 'header',
+          name: 'X-Auth-Mode',
+          required: false,
+          description: 'Send `cookie` to receive tokens as httpOnly cookies plus a CSRF token instead of in the body',
+          schema: {
+            type: 'string',
+            enum: ['cookie']
+          }
+        },
+        // Cursor pagination of the task and user lists
+        PaginateMode: {
+          in: 'query',
+          name: 'paginate',
+          required: false,
+          description: 'Send `cursor` to get the first page in cursor mode; `after` and `before` imply it',
+          schema: {
+            type: 'string',
+            enum: ['page', 'cursor']
+          }
+        },
+        CursorAfter: {
+          in: 'query',
+          name: 'after',
+          required: false,
+          description: 'Return the items after this cursor (a `nextCursor`)',
+          schema: { type: 'string' }
+        },
+        CursorBefore: {
+          in: 'query',
+          name: 'before',
+          required: false,
+          description: 'Return the items before this cursor (a `prevCursor`)',
+          schema: { type: 'string' }
+        },
+        IncludeTotal: {
+          in: 'query',
+          name: 'includeTotal',
+          required: false,
+          description: 'Whether to count all matching items; defaults to true in page mode and false in cursor mode',
+          schema: { type: 'boolean' }
+        }
+      },
+      headers: {
+        Link: {
+          description: 'RFC 8288 links to the neighbouring pages (`next`, `prev`, and `first`/`last` in page mode)',
+          schema: { type: 'string' }
+        }
+      },
+      schemas: {
+        Pagination: {
+          type: 'object',
+          description: 'Page mode has `current`, `pages` and `total` (or `hasMore` without the count); cursor mode has `nextCursor` and `prevCursor`, null at either end, and `total` when requested',
+          properties: {
+            limit: { type: 'integer' },
+            current: { type: 'integer' },
+            pages: { type: 'integer' },
+            total: { type: 'integer' },
+            hasMore: { type: 'boolean' },
+            nextCursor: { type: 'string', nullable: true },
+            prevCursor: { type: 'string', nullable: true }
+          }
         }
       }
     },
     security: [
       {
         bearerAuth: []
+      },
+      {
+        cookieAuth: []
       }
     ]
   },
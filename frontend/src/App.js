@@ -3,11 +3,17 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import { Toaster } from 'react-hot-toast';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import Navbar from './components/Navbar';
+import ImpersonationBanner from './components/ImpersonationBanner';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import SsoCallback from './pages/SsoCallback';
 import Dashboard from './pages/Dashboard';
 import Tasks from './pages/Tasks';
 import Users from './pages/Users';
+import Settings from './pages/Settings';
 
 function ProtectedRoute({ children }) {
   const { user, loading } = useAuth();
@@ -24,7 +30,7 @@ function ProtectedRoute({ children }) {
 }
 
 function AdminRoute({ children }) {
-  const { user, loading } = useAuth();
+  const { user, loading, hasPermission } = useAuth();
   
   if (loading) {
     return (
@@ -34,7 +40,7 @@ function AdminRoute({ children }) {
     );
   }
   
-  return user && user.role === 'admin' ? children : <Navigate to="/dashboard" />;
+  return user && hasPermission('user.view') ? children : <Navigate to="/dashboard" />;
 }
 
 function AppContent() {
@@ -42,10 +48,15 @@ function AppContent() {
 
   return (
     <div className="min-h-screen bg-gray-50">
+      {user?.impersonatedBy && <ImpersonationBanner />}
       {user && <Navbar />}
       <Routes>
         <Route path="/login" element={user ? <Navigate to="/dashboard" /> : <Login />} />
         <Route path="/register" element={user ? <Navigate to="/dashboard" /> : <Register />} />
+        <Route path="/forgot-password" element={user ? <Navigate to="/dashboard" /> : <ForgotPassword />} />
+        <Route path="/reset-password" element={user ? <Navigate to="/dashboard" /> : <ResetPassword />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
+        <Route path="/sso/callback" element={user ? <Navigate to="/dashboard" /> : <SsoCallback />} />
         <Route path="/dashboard" element={
           <ProtectedRoute>
             <Dashboard />
@@ -56,6 +67,11 @@ function AppContent() {
             <Tasks />
           </ProtectedRoute>
         } />
+        <Route path="/settings" element={
+          <ProtectedRoute>
+            <Settings />
+          </ProtectedRoute>
+        } />
         <Route path="/users" element={
           <AdminRoute>
             <Users />
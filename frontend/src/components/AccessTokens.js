@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { KeyRound, Copy, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const inputClass = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm';
+const primaryButtonClass = 'inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50';
+const secondaryButtonClass = 'inline-flex items-center px-3 py-1 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500';
+
+const emptyForm = { name: '', scopes: ['tasks:read'], expiresInDays: 30 };
+
+const tokenState = (accessToken) => {
+  if (accessToken.revokedAt) return { label: 'Revoked', className: 'text-red-600 bg-red-100' };
+  if (new Date(accessToken.expiresAt) <= new Date()) return { label: 'Expired', className: 'text-gray-600 bg-gray-100' };
+  return { label: 'Active', className: 'text-green-600 bg-green-100' };
+};
+
+const AccessTokens = () => {
+  const [tokens, setTokens] = useState(null);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [newToken, setNewToken] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    fetchTokens();
+  }, []);
+
+  const fetchTokens = async () => {
+    try {
+      const response = await axios.get('/auth/tokens');
+      setTokens(response.data.data.tokens);
+      setAvailableScopes(response.data.data.availableScopes);
+    } catch (error) {
+      toast.error('Failed to load access tokens');
+    }
+  };
+
+  const toggleScope = (scope) => {
+    setForm({
+      ...form,
+      scopes: form.scopes.includes(scope)
+        ? form.scopes.filter((s) => s !== scope)
+        : [...form.scopes, scope]
+    });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const response = await axios.post('/auth/tokens', {
+        ...form,
+        expiresInDays: Number(form.expiresInDays)
+      });
+      setNewToken(response.data.data.token);
+      setForm(emptyForm);
+      toast.success('Access token created');
+      fetchTokens();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create access token');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async (tokenId) => {
+    if (!window.confirm('Revoke this token? Anything using it will stop working.')) return;
+
+    try {
+      await axios.delete(`/auth/tokens/${tokenId}`);
+      toast.success('Access token revoked');
+      fetchTokens();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke access token');
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken);
+      toast.success('Token copied');
+    } catch (error) {
+      toast.error('Failed to copy token');
+    }
+  };
+
+  if (!tokens) {
+    return (
+      <div className="p-4 text-center">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600 mx-auto"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {newToken && (
+        <div className="rounded-md bg-yellow-50 p-4">
+          <div className="flex items-center mb-2">
+            <KeyRound className="h-5 w-5 text-yellow-600 mr-2" />
+            <p className="text-sm font-medium text-yellow-800">
+              Copy your new token now. It will not be shown again.
+            </p>
+          </div>
+          <div className="flex items-center space-x-3">
+            <code className="flex-1 text-sm text-gray-900 break-all">{newToken}</code>
+            <button onClick={handleCopy} className={secondaryButtonClass}>
+              <Copy className="h-4 w-4 mr-1" />
+              Copy
+            </button>
+          </div>
+        </div>
+      )}
+
+      {tokens.length > 0 && (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+          {tokens.map((accessToken) => {
+            const state = tokenState(accessToken);
+            return (
+              <li key={accessToken._id} className="px-4 py-3 flex items-center justify-between">
+                <div>
+                  <div className="flex items-center space-x-2">
+                    <span className="text-sm font-medium text-gray-900">{accessToken.name}</span>
+                    <span className="font-mono text-xs text-gray-500">{accessToken.tokenPrefix}...</span>
+                    <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${state.className}`}>
+                      {state.label}
+                    </span>
+                  </div>
+                  <div className="mt-1 flex flex-wrap gap-1">
+                    {accessToken.scopes.map((scope) => (
+                      <span key={scope} className="px-2 py-0.5 rounded text-xs font-mono text-blue-700 bg-blue-50">
+                        {scope}
+                      </span>
+                    ))}
+                  </div>
+                  <p className="mt-1 text-xs text-gray-500">
+                    Expires {new Date(accessToken.expiresAt).toLocaleDateString()}
+                    {' - '}
+                    {accessToken.lastUsedAt
+                      ? `last used ${new Date(accessToken.lastUsedAt).toLocaleString()}`
+                      : 'never used'}
+                  </p>
+                </div>
+                {state.label === 'Active' && (
+                  <button onClick={() => handleRevoke(accessToken._id)} className={secondaryButtonClass}>
+                    <Trash2 className="h-4 w-4 mr-1 text-red-600" />
+                    Revoke
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <form onSubmit={handleCreate} className="space-y-3">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div className="sm:col-span-2">
+            <label className="block text-sm font-medium text-gray-700">Token name</label>
+            <input
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              maxLength={50}
+              placeholder="e.g. CI pipeline"
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Expires in</label>
+            <select
+              value={form.expiresInDays}
+              onChange={(e) => setForm({ ...form, expiresInDays: e.target.value })}
+              className={inputClass}
+            >
+              <option value={7}>7 days</option>
+              <option value={30}>30 days</option>
+              <option value={90}>90 days</option>
+              <option value={365}>1 year</option>
+            </select>
+          </div>
+        </div>
+        <div>
+          <span className="block text-sm font-medium text-gray-700">Scopes</span>
+          <div className="mt-1 flex flex-wrap gap-4">
+            {availableScopes.map((scope) => (
+              <label key={scope} className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.scopes.includes(scope)}
+                  onChange={() => toggleScope(scope)}
+                  className="h-4 w-4 text-primary-600 border-gray-300 rounded mr-2"
+                />
+                <span className="font-mono">{scope}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+        <button type="submit" disabled={busy || !form.name.trim() || form.scopes.length === 0} className={primaryButtonClass}>
+          Generate token
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default AccessTokens;
@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { Monitor, Smartphone, XCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Rough "Browser on OS" label; good enough to recognise your own devices
+export const describeUserAgent = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  const os = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return userAgent.slice(0, 60);
+  return `${browser ? browser[0] : 'Unknown browser'} on ${os ? os[0] : 'unknown OS'}`;
+};
+
+const isMobile = (userAgent) => /Android|iPhone|iPad|Mobile/.test(userAgent || '');
+
+const ActiveSessions = () => {
+  const { logout } = useAuth();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState(null);
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await axios.get('/auth/sessions');
+      setSessions(response.data.data);
+    } catch (error) {
+      toast.error('Failed to load sessions');
+    }
+  };
+
+  const handleRevoke = async (session) => {
+    // Revoking this device is just a logout
+    if (session.current) {
+      await logout();
+      navigate('/login');
+      return;
+    }
+
+    try {
+      await axios.delete(`/auth/sessions/${session._id}`);
+      toast.success('Session revoked');
+      fetchSessions();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke session');
+    }
+  };
+
+  if (!sessions) {
+    return (
+      <div className="p-4 text-center">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600 mx-auto"></div>
+      </div>
+    );
+  }
+
+  return (
+    <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+      {sessions.map((session) => {
+        const DeviceIcon = isMobile(session.userAgent) ? Smartphone : Monitor;
+        return (
+          <li key={session._id} className="px-4 py-3 flex items-center justify-between">
+            <div className="flex items-center">
+              <DeviceIcon className="h-5 w-5 text-gray-400 mr-3" />
+              <div>
+                <div className="flex items-center space-x-2">
+                  <span className="text-sm font-medium text-gray-900">
+                    {describeUserAgent(session.userAgent)}
+                  </span>
+                  {session.current && (
+                    <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium text-green-600 bg-green-100">
+                      This device
+                    </span>
+                  )}
+                </div>
+                <p className="text-xs text-gray-500">
+                  {session.ipAddress || 'Unknown IP'}
+                  {' - signed in '}
+                  {new Date(session.createdAt).toLocaleDateString()}
+                  {' - last seen '}
+                  {new Date(session.lastSeenAt).toLocaleString()}
+                </p>
+              </div>
+            </div>
+            <button
+              onClick={() => handleRevoke(session)}
+              className="inline-flex items-center px-3 py-1 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+            >
+              <XCircle className="h-4 w-4 mr-1 text-red-600" />
+              {session.current ? 'Log out' : 'Revoke'}
+            </button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { useAuth } from '../contexts/AuthContext';
+import { usePasswordPolicy, passwordRules, showServerErrors } from '../utils/passwordPolicy';
+
+const inputClass = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm';
+const primaryButtonClass = 'inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50';
+
+const ChangePasswordForm = () => {
+  const { changePassword } = useAuth();
+  const [saving, setSaving] = useState(false);
+  const passwordPolicy = usePasswordPolicy();
+  const newPasswordRules = passwordRules(passwordPolicy);
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    reset,
+    setError,
+    formState: { errors }
+  } = useForm();
+
+  const currentPassword = watch('currentPassword');
+  const newPassword = watch('newPassword');
+
+  const onSubmit = async (data) => {
+    setSaving(true);
+    const result = await changePassword(data.currentPassword, data.newPassword);
+    setSaving(false);
+    if (result.success) {
+      reset();
+    } else {
+      showServerErrors(result.errors, setError, ['currentPassword', 'newPassword']);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+      <div>
+        <label htmlFor="currentPassword" className="block text-sm font-medium text-gray-700">
+          Current password
+        </label>
+        <input
+          {...register('currentPassword', {
+            required: 'Current password is required'
+          })}
+          type="password"
+          autoComplete="current-password"
+          className={inputClass}
+        />
+        {errors.currentPassword && (
+          <p className="mt-1 text-sm text-red-600">{errors.currentPassword.message}</p>
+        )}
+      </div>
+
+      <div>
+        <label htmlFor="newPassword" className="block text-sm font-medium text-gray-700">
+          New password
+        </label>
+        <input
+          {...register('newPassword', {
+            required: 'New password is required',
+            validate: {
+              ...newPasswordRules.validate,
+              PASSWORD_REUSED: value => value !== currentPassword || 'New password must be different from the current password'
+            }
+          })}
+          type="password"
+          autoComplete="new-password"
+          className={inputClass}
+        />
+        {errors.newPassword && (
+          <p className="mt-1 text-sm text-red-600">{errors.newPassword.message}</p>
+        )}
+      </div>
+
+      <div>
+        <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700">
+          Confirm new password
+        </label>
+        <input
+          {...register('confirmPassword', {
+            required: 'Please confirm your new password',
+            validate: value => value === newPassword || 'Passwords do not match'
+          })}
+          type="password"
+          autoComplete="new-password"
+          className={inputClass}
+        />
+        {errors.confirmPassword && (
+          <p className="mt-1 text-sm text-red-600">{errors.confirmPassword.message}</p>
+        )}
+      </div>
+
+      <button type="submit" disabled={saving} className={primaryButtonClass}>
+        Change password
+      </button>
+    </form>
+  );
+};
+
+export default ChangePasswordForm;
@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { UserCheck, LogOut } from 'lucide-react';
+
+// Shown on every page while an admin is acting as another user
+const ImpersonationBanner = () => {
+  const { user, exitImpersonation } = useAuth();
+  const [exiting, setExiting] = useState(false);
+  const navigate = useNavigate();
+
+  const handleExit = async () => {
+    setExiting(true);
+    await exitImpersonation();
+    setExiting(false);
+    navigate('/users');
+  };
+
+  const { impersonatedBy } = user;
+
+  return (
+    <div className="bg-yellow-400 text-yellow-900">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center text-sm">
+          <UserCheck className="h-5 w-5 mr-2" />
+          <span>
+            You ({impersonatedBy.username}) are viewing the app as <strong>{user.username}</strong> until{' '}
+            {new Date(impersonatedBy.expiresAt).toLocaleTimeString()}.
+            {impersonatedBy.blockDestructiveActions && ' Deleting is blocked.'} Everything you do is recorded.
+          </span>
+        </div>
+        <button
+          onClick={handleExit}
+          disabled={exiting}
+          className="flex items-center space-x-2 px-3 py-1 rounded-md text-sm font-medium bg-yellow-900 text-white hover:bg-yellow-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-yellow-900 disabled:opacity-50"
+        >
+          <LogOut className="h-4 w-4" />
+          <span>Exit impersonation</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ImpersonationBanner;
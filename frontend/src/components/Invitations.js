@@ -0,0 +1,230 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { MailPlus, Copy, XCircle, Shield } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500';
+
+const statusColors = {
+  pending: 'text-blue-600 bg-blue-100',
+  accepted: 'text-green-600 bg-green-100',
+  revoked: 'text-red-600 bg-red-100',
+  expired: 'text-gray-600 bg-gray-100'
+};
+
+const Invitations = ({ roles }) => {
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState('');
+  const [form, setForm] = useState({ email: '', role: 'user', expiresInDays: 7 });
+  const [creating, setCreating] = useState(false);
+  const [createdLink, setCreatedLink] = useState(null);
+
+  const fetchInvitations = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({
+        limit: 50,
+        ...(status && { status })
+      });
+
+      const response = await axios.get(`/invitations?${params}`);
+      setInvitations(response.data.data.invitations);
+    } catch (error) {
+      toast.error('Failed to fetch invitations');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchInvitations();
+  }, [fetchInvitations]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    try {
+      const response = await axios.post('/invitations', {
+        role: form.role,
+        expiresInDays: Number(form.expiresInDays),
+        ...(form.email && { email: form.email })
+      });
+      const { inviteUrl, emailSent } = response.data.data;
+
+      setCreatedLink(inviteUrl);
+      setForm({ email: '', role: 'user', expiresInDays: 7 });
+      toast.success(emailSent ? 'Invitation created and emailed' : 'Invitation created');
+      fetchInvitations();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create invitation');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (invitationId) => {
+    if (!window.confirm('Revoke this invitation?')) return;
+
+    try {
+      await axios.delete(`/invitations/${invitationId}`);
+      toast.success('Invitation revoked successfully');
+      fetchInvitations();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke invitation');
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(createdLink);
+      toast.success('Link copied');
+    } catch (error) {
+      toast.error('Failed to copy link');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Create invitation */}
+      <form onSubmit={handleCreate} className="bg-white p-4 rounded-lg shadow">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Email (optional)
+            </label>
+            <input
+              type="email"
+              value={form.email}
+              onChange={(e) => setForm({ ...form, email: e.target.value })}
+              placeholder="Leave empty for a shareable link"
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Role
+            </label>
+            <select
+              value={form.role}
+              onChange={(e) => setForm({ ...form, role: e.target.value })}
+              className={inputClass}
+            >
+              {roles.map((role) => (
+                <option key={role._id} value={role.name}>{role.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Expires in (days)
+            </label>
+            <input
+              type="number"
+              min="1"
+              max="30"
+              value={form.expiresInDays}
+              onChange={(e) => setForm({ ...form, expiresInDays: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+        </div>
+        <div className="mt-4 flex justify-end">
+          <button
+            type="submit"
+            disabled={creating}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50"
+          >
+            <MailPlus className="h-4 w-4 mr-2" />
+            Create Invitation
+          </button>
+        </div>
+      </form>
+
+      {createdLink && (
+        <div className="rounded-md bg-yellow-50 p-4">
+          <p className="text-sm font-medium text-yellow-800 mb-2">
+            Share this registration link. It will not be shown again.
+          </p>
+          <div className="flex items-center space-x-3">
+            <code className="flex-1 text-sm text-gray-900 break-all">{createdLink}</code>
+            <button
+              onClick={handleCopy}
+              className="flex items-center px-3 py-1 rounded-md text-sm font-medium border border-gray-300 bg-white hover:bg-gray-50"
+            >
+              <Copy className="h-4 w-4 mr-1" />
+              Copy
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Invitation list */}
+      <div className="bg-white shadow overflow-hidden sm:rounded-md">
+        <div className="px-6 py-3 border-b border-gray-200 flex items-center justify-between">
+          <h3 className="text-lg font-medium text-gray-900">Invitations</h3>
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className="text-sm border border-gray-300 rounded px-2 py-1 focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+          >
+            <option value="">All</option>
+            <option value="pending">Pending</option>
+            <option value="accepted">Accepted</option>
+            <option value="revoked">Revoked</option>
+            <option value="expired">Expired</option>
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="p-8 text-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+          </div>
+        ) : invitations.length > 0 ? (
+          <ul className="divide-y divide-gray-200">
+            {invitations.map((invitation) => (
+              <li key={invitation._id} className="px-6 py-4 flex items-center justify-between">
+                <div>
+                  <div className="flex items-center space-x-3">
+                    <span className="text-sm font-medium text-gray-900">
+                      {invitation.email || 'Shareable link'}
+                    </span>
+                    <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium text-purple-600 bg-purple-100">
+                      <Shield className="h-3 w-3 mr-1" />
+                      {invitation.role}
+                    </span>
+                    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${statusColors[invitation.status]}`}>
+                      {invitation.status}
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-500">
+                    Invited by {invitation.invitedBy?.username || 'unknown'} on {new Date(invitation.createdAt).toLocaleDateString()}
+                    {invitation.status === 'accepted'
+                      ? ` - accepted by ${invitation.acceptedBy?.username || 'a deleted user'}`
+                      : ` - expires ${new Date(invitation.expiresAt).toLocaleDateString()}`}
+                  </p>
+                </div>
+                {invitation.status === 'pending' && (
+                  <button
+                    onClick={() => handleRevoke(invitation._id)}
+                    className="flex items-center space-x-2 px-3 py-1 rounded-md text-sm font-medium border border-gray-300 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+                  >
+                    <XCircle className="h-4 w-4 text-red-600" />
+                    <span>Revoke</span>
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <div className="p-8 text-center">
+            <MailPlus className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-lg font-medium text-gray-900">No invitations found</h3>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Invitations;
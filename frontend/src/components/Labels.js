@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { Tag, Plus, Edit, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500';
+
+const emptyForm = { name: '', color: '#6b7280', description: '' };
+
+// Dark text on light label colors, white text on dark ones
+const textColor = (hex) => {
+  const [r, g, b] = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#111827' : '#ffffff';
+};
+
+export const LabelChip = ({ label, className = '' }) => (
+  <span
+    className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${className}`}
+    style={{ backgroundColor: label.color, color: textColor(label.color) }}
+    title={label.description || undefined}
+  >
+    {label.name}
+  </span>
+);
+
+// Choose labels by toggling their chips; unselected ones are faded
+export const LabelPicker = ({ labels, selected, onChange }) => {
+  const toggle = (id) => {
+    onChange(selected.includes(id)
+      ? selected.filter((item) => item !== id)
+      : [...selected, id]);
+  };
+
+  if (labels.length === 0) {
+    return <p className="text-sm text-gray-500">No labels have been created yet.</p>;
+  }
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {labels.map((label) => (
+        <button key={label._id} type="button" onClick={() => toggle(label._id)}>
+          <LabelChip
+            label={label}
+            className={selected.includes(label._id) ? 'ring-2 ring-offset-1 ring-gray-400' : 'opacity-40 hover:opacity-70'}
+          />
+        </button>
+      ))}
+    </div>
+  );
+};
+
+// Create, edit and delete the labels shared by all tasks
+const Labels = ({ labels, onLabelsChange }) => {
+  const [form, setForm] = useState(emptyForm);
+  // Label being edited, or null while creating a new one
+  const [editingLabel, setEditingLabel] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const startEdit = (label) => {
+    setEditingLabel(label);
+    setForm({ name: label.name, color: label.color, description: label.description });
+  };
+
+  const resetForm = () => {
+    setEditingLabel(null);
+    setForm(emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      if (editingLabel) {
+        await axios.patch(`/labels/${editingLabel._id}`, form);
+        toast.success('Label updated successfully');
+      } else {
+        await axios.post('/labels', form);
+        toast.success('Label created successfully');
+      }
+      resetForm();
+      onLabelsChange();
+    } catch (error) {
+      const { message, errors } = error.response?.data || {};
+      toast.error(errors?.[0]?.msg || message || 'Failed to save label');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (label) => {
+    if (!window.confirm(`Delete the "${label.name}" label? It will be removed from every task.`)) return;
+
+    try {
+      await axios.delete(`/labels/${label._id}`);
+      toast.success('Label deleted successfully');
+      if (editingLabel?._id === label._id) resetForm();
+      onLabelsChange();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete label');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Create or edit a label */}
+      <form onSubmit={handleSubmit}>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              maxLength={30}
+              placeholder="e.g. bug"
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Color</label>
+            <input
+              type="color"
+              value={form.color}
+              onChange={(e) => setForm({ ...form, color: e.target.value })}
+              className="h-10 w-full border border-gray-300 rounded-md"
+            />
+          </div>
+          <div className="flex items-end">
+            <LabelChip label={{ ...form, name: form.name || 'Preview' }} />
+          </div>
+          <div className="md:col-span-4">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+            <input
+              type="text"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              maxLength={200}
+              placeholder="When to use this label"
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        <div className="mt-4 flex justify-end space-x-3">
+          {editingLabel && (
+            <button
+              type="button"
+              onClick={resetForm}
+              className="px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={saving}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50"
+          >
+            {editingLabel ? <Edit className="h-4 w-4 mr-2" /> : <Plus className="h-4 w-4 mr-2" />}
+            {editingLabel ? 'Save Label' : 'Create Label'}
+          </button>
+        </div>
+      </form>
+
+      {/* Label list */}
+      {labels.length > 0 ? (
+        <ul className="divide-y divide-gray-200 border-t border-gray-200">
+          {labels.map((label) => (
+            <li key={label._id} className="py-3 flex items-center justify-between">
+              <div className="min-w-0">
+                <LabelChip label={label} />
+                {label.description && (
+                  <p className="mt-1 text-sm text-gray-500 truncate">{label.description}</p>
+                )}
+              </div>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => startEdit(label)}
+                  className="flex items-center px-3 py-1 rounded-md text-sm font-medium border border-gray-300 hover:bg-gray-50"
+                >
+                  <Edit className="h-4 w-4 mr-1" />
+                  Edit
+                </button>
+                <button
+                  onClick={() => handleDelete(label)}
+                  className="flex items-center px-3 py-1 rounded-md text-sm font-medium border border-gray-300 hover:bg-gray-50"
+                >
+                  <Trash2 className="h-4 w-4 mr-1 text-red-600" />
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="flex items-center text-sm text-gray-500">
+          <Tag className="h-4 w-4 mr-2" />
+          No labels yet.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default Labels;
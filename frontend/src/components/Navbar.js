@@ -1,22 +1,23 @@
 import React from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { LogOut, User, Users, CheckSquare, BarChart3 } from 'lucide-react';
+import { LogOut, User, Users, CheckSquare, BarChart3, Settings } from 'lucide-react';
 
 const Navbar = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, hasPermission } = useAuth();
   const location = useLocation();
   const navigate = useNavigate();
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     navigate('/login');
   };
 
   const navItems = [
     { path: '/dashboard', label: 'Dashboard', icon: BarChart3 },
     { path: '/tasks', label: 'Tasks', icon: CheckSquare },
-    ...(user?.role === 'admin' ? [{ path: '/users', label: 'Users', icon: Users }] : [])
+    ...(hasPermission('user.view') ? [{ path: '/users', label: 'Users', icon: Users }] : []),
+    { path: '/settings', label: 'Settings', icon: Settings }
   ];
 
   return (
@@ -51,9 +52,9 @@ const Navbar = () => {
             <div className="flex items-center space-x-2">
               <User className="h-5 w-5 text-gray-400" />
               <span className="text-sm text-gray-700">{user?.username}</span>
-              {user?.role === 'admin' && (
-                <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-primary-100 text-primary-800">
-                  Admin
+              {user?.role && user.role !== 'user' && (
+                <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-primary-100 text-primary-800 capitalize">
+                  {user.role}
                 </span>
               )}
             </div>
@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import { useForm } from 'react-hook-form';
+import { useAuth } from '../contexts/AuthContext';
+
+const inputClass = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm';
+const primaryButtonClass = 'inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50';
+
+const ProfileSettings = () => {
+  const { user, updateProfile } = useAuth();
+  const [saving, setSaving] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    watch,
+    formState: { errors, isDirty }
+  } = useForm({
+    defaultValues: { username: user.username, email: user.email, currentPassword: '' }
+  });
+
+  // Keep the form in sync once the saved profile comes back
+  useEffect(() => {
+    reset({ username: user.username, email: user.email, currentPassword: '' });
+  }, [user.username, user.email, reset]);
+
+  // A new email address has to be confirmed with the password
+  const emailChanged = watch('email') !== user.email;
+
+  const onSubmit = async ({ username, email, currentPassword }) => {
+    // Only send what actually changed
+    const changes = Object.fromEntries(
+      Object.entries({ username, email }).filter(([field, value]) => value !== user[field])
+    );
+    if (changes.email !== undefined) changes.currentPassword = currentPassword;
+
+    setSaving(true);
+    await updateProfile(changes);
+    setSaving(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+      <div>
+        <label htmlFor="username" className="block text-sm font-medium text-gray-700">
+          Username
+        </label>
+        <input
+          {...register('username', {
+            required: 'Username is required',
+            minLength: {
+              value: 3,
+              message: 'Username must be at least 3 characters'
+            },
+            maxLength: {
+              value: 30,
+              message: 'Username cannot exceed 30 characters'
+            },
+            pattern: {
+              value: /^[a-zA-Z0-9_]+$/,
+              message: 'Username can only contain letters, numbers, and underscores'
+            }
+          })}
+          type="text"
+          className={inputClass}
+        />
+        {errors.username && (
+          <p className="mt-1 text-sm text-red-600">{errors.username.message}</p>
+        )}
+      </div>
+
+      <div>
+        <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+          Email address
+        </label>
+        <input
+          {...register('email', {
+            required: 'Email is required',
+            pattern: {
+              value: /^\S+@\S+$/i,
+              message: 'Invalid email address'
+            }
+          })}
+          type="email"
+          className={inputClass}
+        />
+        {errors.email && (
+          <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
+        )}
+        <p className="mt-1 text-xs text-gray-500">
+          Changing your email means verifying the new address.
+        </p>
+      </div>
+
+      {emailChanged && (
+        <div>
+          <label htmlFor="currentPassword" className="block text-sm font-medium text-gray-700">
+            Current password
+          </label>
+          <input
+            {...register('currentPassword', {
+              validate: (value) => !emailChanged || Boolean(value) || 'Enter your password to change your email'
+            })}
+            type="password"
+            autoComplete="current-password"
+            className={inputClass}
+          />
+          {errors.currentPassword && (
+            <p className="mt-1 text-sm text-red-600">{errors.currentPassword.message}</p>
+          )}
+        </div>
+      )}
+
+      <button type="submit" disabled={saving || !isDirty} className={primaryButtonClass}>
+        Save profile
+      </button>
+    </form>
+  );
+};
+
+export default ProfileSettings;
@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Shield, Plus, Edit, Trash2, Lock } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500';
+
+const emptyForm = { name: '', description: '', permissions: [] };
+
+const Roles = ({ roles, onRolesChange }) => {
+  const [permissions, setPermissions] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  // Role being edited, or null while creating a new one
+  const [editingRole, setEditingRole] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchPermissions();
+  }, []);
+
+  const fetchPermissions = async () => {
+    try {
+      const response = await axios.get('/roles/permissions');
+      setPermissions(response.data.data);
+    } catch (error) {
+      toast.error('Failed to fetch permissions');
+    }
+  };
+
+  const togglePermission = (name) => {
+    setForm((current) => ({
+      ...current,
+      permissions: current.permissions.includes(name)
+        ? current.permissions.filter((permission) => permission !== name)
+        : [...current.permissions, name]
+    }));
+  };
+
+  const startEdit = (role) => {
+    setEditingRole(role);
+    setForm({ name: role.name, description: role.description, permissions: role.permissions });
+  };
+
+  const resetForm = () => {
+    setEditingRole(null);
+    setForm(emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      if (editingRole) {
+        await axios.patch(`/roles/${editingRole._id}`, {
+          description: form.description,
+          permissions: form.permissions
+        });
+        toast.success('Role updated successfully');
+      } else {
+        await axios.post('/roles', form);
+        toast.success('Role created successfully');
+      }
+      resetForm();
+      onRolesChange();
+    } catch (error) {
+      const { message, errors } = error.response?.data || {};
+      toast.error(errors?.[0]?.msg || message || 'Failed to save role');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (role) => {
+    if (!window.confirm(`Delete the "${role.name}" role?`)) return;
+
+    try {
+      await axios.delete(`/roles/${role._id}`);
+      toast.success('Role deleted successfully');
+      if (editingRole?._id === role._id) resetForm();
+      onRolesChange();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete role');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Create or edit a role */}
+      <form onSubmit={handleSubmit} className="bg-white p-4 rounded-lg shadow">
+        <h3 className="text-lg font-medium text-gray-900 mb-4">
+          {editingRole ? `Edit role "${editingRole.name}"` : 'Create a custom role'}
+        </h3>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Name
+            </label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              disabled={Boolean(editingRole)}
+              placeholder="e.g. manager"
+              className={`${inputClass} disabled:bg-gray-100`}
+            />
+          </div>
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Description
+            </label>
+            <input
+              type="text"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              placeholder="What this role is for"
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        <fieldset className="mt-4">
+          <legend className="block text-sm font-medium text-gray-700 mb-2">Permissions</legend>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            {permissions.map((permission) => (
+              <label key={permission.name} className="flex items-start space-x-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={form.permissions.includes(permission.name)}
+                  onChange={() => togglePermission(permission.name)}
+                  className="mt-0.5 h-4 w-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                />
+                <span>
+                  <span className="font-mono text-gray-900">{permission.name}</span>
+                  <span className="block text-gray-500">{permission.description}</span>
+                </span>
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        <div className="mt-4 flex justify-end space-x-3">
+          {editingRole && (
+            <button
+              type="button"
+              onClick={resetForm}
+              className="px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={saving}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50"
+          >
+            {editingRole ? <Edit className="h-4 w-4 mr-2" /> : <Plus className="h-4 w-4 mr-2" />}
+            {editingRole ? 'Save Role' : 'Create Role'}
+          </button>
+        </div>
+      </form>
+
+      {/* Role list */}
+      <div className="bg-white shadow overflow-hidden sm:rounded-md">
+        <ul className="divide-y divide-gray-200">
+          {roles.map((role) => (
+            <li key={role._id} className="px-6 py-4 flex items-start justify-between">
+              <div>
+                <div className="flex items-center space-x-3">
+                  <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium text-purple-600 bg-purple-100">
+                    <Shield className="h-3 w-3 mr-1" />
+                    {role.name}
+                  </span>
+                  {role.builtIn && (
+                    <span className="inline-flex items-center text-xs text-gray-500">
+                      <Lock className="h-3 w-3 mr-1" />
+                      Built-in
+                    </span>
+                  )}
+                  <span className="text-sm text-gray-500">
+                    {role.userCount} {role.userCount === 1 ? 'user' : 'users'}
+                  </span>
+                </div>
+                {role.description && (
+                  <p className="mt-1 text-sm text-gray-500">{role.description}</p>
+                )}
+                <div className="mt-2 flex flex-wrap gap-1">
+                  {role.permissions.map((permission) => (
+                    <span key={permission} className="px-2 py-0.5 rounded bg-gray-100 text-xs font-mono text-gray-700">
+                      {permission}
+                    </span>
+                  ))}
+                </div>
+              </div>
+              {!role.builtIn && (
+                <div className="flex items-center space-x-2">
+                  <button
+                    onClick={() => startEdit(role)}
+                    className="flex items-center px-3 py-1 rounded-md text-sm font-medium border border-gray-300 hover:bg-gray-50"
+                  >
+                    <Edit className="h-4 w-4 mr-1" />
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDelete(role)}
+                    className="flex items-center px-3 py-1 rounded-md text-sm font-medium border border-gray-300 hover:bg-gray-50"
+                  >
+                    <Trash2 className="h-4 w-4 mr-1 text-red-600" />
+                    Delete
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default Roles;
@@ -0,0 +1,138 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { LogIn, ShieldAlert, RefreshCw, KeyRound, Mail, Shield, UserX, UserCheck } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { describeUserAgent } from './ActiveSessions';
+
+const PAGE_SIZE = 10;
+
+const failureReasons = {
+  'invalid-password': 'wrong password',
+  'invalid-2fa-code': 'wrong verification code',
+  'account-locked': 'account locked',
+  'ip-locked': 'too many attempts from this IP',
+  'account-inactive': 'account deactivated',
+  'email-unverified': 'email not verified'
+};
+
+const describeEvent = (event) => {
+  const by = event.actor ? ` by ${event.actor.username}` : '';
+
+  switch (event.type) {
+    case 'login.success':
+      return { icon: LogIn, color: 'text-green-600', text: `Signed in${event.details?.method === 'sso' ? ' with single sign-on' : ''}` };
+    case 'login.failure':
+      return { icon: ShieldAlert, color: 'text-red-600', text: `Failed sign-in (${failureReasons[event.details?.reason] || 'rejected'})` };
+    case 'token.refresh':
+      return { icon: RefreshCw, color: 'text-gray-400', text: 'Session refreshed' };
+    case 'password.change':
+      return { icon: KeyRound, color: 'text-primary-600', text: 'Password changed' };
+    case 'password.reset':
+      return { icon: KeyRound, color: 'text-yellow-600', text: 'Password reset by email' };
+    case 'email.change':
+      return { icon: Mail, color: 'text-yellow-600', text: `Email changed from ${event.details?.from} to ${event.details?.to}` };
+    case 'role.change':
+      return { icon: Shield, color: 'text-purple-600', text: `Role changed from ${event.details?.from} to ${event.details?.to}${event.details?.source === 'sso' ? ' by single sign-on groups' : by}` };
+    case 'account.deactivate':
+      return { icon: UserX, color: 'text-red-600', text: `Account deactivated${by}` };
+    case 'account.activate':
+      return { icon: UserCheck, color: 'text-green-600', text: `Account activated${by}` };
+    default:
+      return { icon: Shield, color: 'text-gray-400', text: event.type };
+  }
+};
+
+// Login history and other security events of the signed-in user
+const SecurityEvents = () => {
+  const [events, setEvents] = useState(null);
+  const [pagination, setPagination] = useState({ current: 1, pages: 1 });
+  const [type, setType] = useState('');
+
+  const fetchEvents = useCallback(async (page) => {
+    try {
+      const response = await axios.get('/auth/me/security-events', {
+        params: { page, limit: PAGE_SIZE, ...(type && { type }) }
+      });
+      setEvents(response.data.data.events);
+      setPagination(response.data.data.pagination);
+    } catch (error) {
+      toast.error('Failed to load security activity');
+    }
+  }, [type]);
+
+  useEffect(() => {
+    fetchEvents(1);
+  }, [fetchEvents]);
+
+  if (!events) {
+    return (
+      <div className="p-4 text-center">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600 mx-auto"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <select
+        value={type}
+        onChange={(e) => setType(e.target.value)}
+        className="mb-3 text-sm border border-gray-300 rounded px-2 py-1 focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+      >
+        <option value="">All activity</option>
+        <option value="login.success">Sign-ins</option>
+        <option value="login.failure">Failed sign-ins</option>
+        <option value="password.change">Password changes</option>
+        <option value="email.change">Email changes</option>
+        <option value="role.change">Role changes</option>
+      </select>
+
+      {events.length === 0 ? (
+        <p className="text-sm text-gray-500">No activity recorded yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+          {events.map((event) => {
+            const { icon: Icon, color, text } = describeEvent(event);
+            return (
+              <li key={event._id} className="px-4 py-3 flex items-center">
+                <Icon className={`h-5 w-5 mr-3 ${color}`} />
+                <div>
+                  <p className="text-sm font-medium text-gray-900">{text}</p>
+                  <p className="text-xs text-gray-500">
+                    {new Date(event.createdAt).toLocaleString()}
+                    {' - '}
+                    {event.ipAddress || 'Unknown IP'}
+                    {' - '}
+                    {describeUserAgent(event.userAgent)}
+                  </p>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {pagination.pages > 1 && (
+        <div className="mt-3 flex items-center justify-between text-sm">
+          <button
+            onClick={() => fetchEvents(pagination.current - 1)}
+            disabled={pagination.current === 1}
+            className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Newer
+          </button>
+          <span className="text-gray-500">Page {pagination.current} of {pagination.pages}</span>
+          <button
+            onClick={() => fetchEvents(pagination.current + 1)}
+            disabled={pagination.current === pagination.pages}
+            className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Older
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SecurityEvents;
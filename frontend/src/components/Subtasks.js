@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { GitBranch } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Completed subtasks and done checklist items, as a bar
+export const ProgressBar = ({ progress }) => (
+  <div className="flex items-center space-x-2">
+    <div className="w-24 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+      <div className="h-full bg-green-500" style={{ width: `${progress.percent}%` }} />
+    </div>
+    <span className="text-xs text-gray-500">{progress.percent}%</span>
+  </div>
+);
+
+// The subtasks of a top-level task: progress, the list, and a quick add form
+const Subtasks = ({ taskId, onChange }) => {
+  const [task, setTask] = useState(null);
+  const [title, setTitle] = useState('');
+  const [description, setDescription] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchSubtasks = useCallback(async () => {
+    try {
+      const response = await axios.get(`/tasks/${taskId}`, { params: { includeSubtasks: true } });
+      setTask(response.data.data);
+    } catch (error) {
+      toast.error('Failed to load subtasks');
+    }
+  }, [taskId]);
+
+  useEffect(() => {
+    fetchSubtasks();
+  }, [fetchSubtasks]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      await axios.post('/tasks', { title: title.trim(), description: description.trim(), parent: taskId });
+      setTitle('');
+      setDescription('');
+      fetchSubtasks();
+      onChange?.();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add subtask');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const toggleCompleted = async (subtask) => {
+    try {
+      await axios.put(`/tasks/${subtask._id}`, { status: subtask.status === 'completed' ? 'pending' : 'completed' });
+      fetchSubtasks();
+      onChange?.();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update subtask');
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="flex items-center text-sm font-medium text-gray-900">
+          <GitBranch className="h-4 w-4 mr-2" />
+          Subtasks
+          {task && task.progress.subtasks.total > 0 && (
+            <span className="ml-2 text-gray-500 font-normal">
+              {task.progress.subtasks.completed}/{task.progress.subtasks.total}
+            </span>
+          )}
+        </h4>
+        {task && <ProgressBar progress={task.progress} />}
+      </div>
+
+      {!task ? (
+        <div className="p-4 text-center">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600 mx-auto"></div>
+        </div>
+      ) : (
+        <ul className="space-y-1 mb-3">
+          {task.subtasks.map((subtask) => (
+            <li key={subtask._id} className="flex items-center">
+              <input
+                type="checkbox"
+                checked={subtask.status === 'completed'}
+                onChange={() => toggleCompleted(subtask)}
+                className="h-4 w-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+              />
+              <span className={`ml-2 flex-1 text-sm ${subtask.status === 'completed' ? 'line-through text-gray-400' : 'text-gray-700'}`}>
+                {subtask.title}
+              </span>
+              <span className="text-xs text-gray-500">{subtask.assignedTo?.username}</span>
+            </li>
+          ))}
+          {task.subtasks.length === 0 && (
+            <li className="text-sm text-gray-500">No subtasks yet.</li>
+          )}
+        </ul>
+      )}
+
+      <form onSubmit={handleAdd} className="space-y-2">
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          placeholder="Subtask title"
+          maxLength={100}
+          className="block w-full px-3 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+        />
+        <div className="flex space-x-2">
+          <input
+            type="text"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            placeholder="Description"
+            maxLength={500}
+            className="flex-1 px-3 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+          />
+          <button
+            type="submit"
+            disabled={submitting || !title.trim() || !description.trim()}
+            className="px-3 py-1 border border-transparent rounded-md text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+          >
+            Add subtask
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default Subtasks;
@@ -0,0 +1,139 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import axios from 'axios';
+import { Paperclip, Download, Upload, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Files attached to a task: list, upload, download and remove
+const TaskAttachments = ({ taskId }) => {
+  const [attachments, setAttachments] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const fileInput = useRef(null);
+
+  const fetchAttachments = useCallback(async () => {
+    try {
+      const response = await axios.get(`/tasks/${taskId}/attachments`);
+      setAttachments(response.data.data);
+    } catch (error) {
+      toast.error('Failed to load attachments');
+    }
+  }, [taskId]);
+
+  useEffect(() => {
+    fetchAttachments();
+  }, [fetchAttachments]);
+
+  const handleUpload = async (e) => {
+    const files = Array.from(e.target.files);
+    if (files.length === 0) return;
+
+    const formData = new FormData();
+    files.forEach((file) => formData.append('files', file));
+
+    setUploading(true);
+    try {
+      await axios.post(`/tasks/${taskId}/attachments`, formData);
+      toast.success(files.length === 1 ? 'File attached' : `${files.length} files attached`);
+      fetchAttachments();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to upload files');
+    } finally {
+      setUploading(false);
+      e.target.value = '';
+    }
+  };
+
+  // Fetched through axios so the request carries the token, then saved from a blob URL
+  const handleDownload = async (attachment) => {
+    try {
+      const response = await axios.get(`/tasks/${taskId}/attachments/${attachment._id}`, { responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to download file');
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (window.confirm(`Remove ${attachment.filename}?`)) {
+      try {
+        await axios.delete(`/tasks/${taskId}/attachments/${attachment._id}`);
+        fetchAttachments();
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to remove file');
+      }
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="flex items-center text-sm font-medium text-gray-900">
+          <Paperclip className="h-4 w-4 mr-2" />
+          Attachments
+        </h4>
+        <button
+          type="button"
+          onClick={() => fileInput.current.click()}
+          disabled={uploading}
+          className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          <Upload className="h-4 w-4 mr-1" />
+          {uploading ? 'Uploading...' : 'Attach files'}
+        </button>
+        <input ref={fileInput} type="file" multiple onChange={handleUpload} className="hidden" />
+      </div>
+
+      {!attachments ? (
+        <div className="p-4 text-center">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600 mx-auto"></div>
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {attachments.map((attachment) => (
+            <li key={attachment._id} className="flex items-center justify-between py-2">
+              <div className="min-w-0">
+                <p className="text-sm text-gray-900 truncate">{attachment.filename}</p>
+                <p className="text-xs text-gray-500">
+                  {formatSize(attachment.size)} · {attachment.uploadedBy?.username || 'Unknown'} · {new Date(attachment.createdAt).toLocaleString()}
+                </p>
+              </div>
+              <div className="flex space-x-2 ml-4">
+                <button
+                  type="button"
+                  onClick={() => handleDownload(attachment)}
+                  className="text-primary-600 hover:text-primary-900"
+                  title="Download"
+                >
+                  <Download className="h-4 w-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(attachment)}
+                  className="text-red-600 hover:text-red-900"
+                  title="Remove"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+          {attachments.length === 0 && (
+            <li className="py-2 text-sm text-gray-500">No files attached.</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TaskAttachments;
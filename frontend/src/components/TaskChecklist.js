@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { ListChecks, ChevronUp, ChevronDown, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// A task's checklist; every change is saved right away
+const TaskChecklist = ({ task, onChange }) => {
+  const [items, setItems] = useState(task.checklist || []);
+  const [newItem, setNewItem] = useState('');
+
+  // Start again from the saved checklist when another task is shown
+  useEffect(() => {
+    setItems(task.checklist || []);
+  }, [task.checklist]);
+
+  const save = async (checklist) => {
+    try {
+      const response = await axios.put(`/tasks/${task._id}`, {
+        checklist: checklist.map(({ _id, text, done }) => ({ ...(_id && { _id }), text, done }))
+      });
+      setItems(response.data.data.checklist);
+      onChange?.();
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update checklist');
+      return false;
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newItem.trim()) return;
+
+    if (await save([...items, { text: newItem.trim(), done: false }])) {
+      setNewItem('');
+    }
+  };
+
+  const toggle = (index) => save(items.map((item, i) => (i === index ? { ...item, done: !item.done } : item)));
+
+  const remove = (index) => save(items.filter((_, i) => i !== index));
+
+  const move = (index, offset) => {
+    const reordered = [...items];
+    const [item] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, item);
+    save(reordered);
+  };
+
+  const done = items.filter((item) => item.done).length;
+
+  return (
+    <div>
+      <h4 className="flex items-center text-sm font-medium text-gray-900 mb-3">
+        <ListChecks className="h-4 w-4 mr-2" />
+        Checklist
+        {items.length > 0 && <span className="ml-2 text-gray-500 font-normal">{done}/{items.length}</span>}
+      </h4>
+
+      <ul className="space-y-1 mb-3">
+        {items.map((item, index) => (
+          <li key={item._id || index} className="flex items-center group">
+            <input
+              type="checkbox"
+              checked={item.done}
+              onChange={() => toggle(index)}
+              className="h-4 w-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+            />
+            <span className={`ml-2 flex-1 text-sm ${item.done ? 'line-through text-gray-400' : 'text-gray-700'}`}>
+              {item.text}
+            </span>
+            <div className="flex items-center space-x-1 opacity-0 group-hover:opacity-100">
+              <button
+                type="button"
+                onClick={() => move(index, -1)}
+                disabled={index === 0}
+                className="text-gray-400 hover:text-gray-600 disabled:opacity-30"
+                title="Move up"
+              >
+                <ChevronUp className="h-4 w-4" />
+              </button>
+              <button
+                type="button"
+                onClick={() => move(index, 1)}
+                disabled={index === items.length - 1}
+                className="text-gray-400 hover:text-gray-600 disabled:opacity-30"
+                title="Move down"
+              >
+                <ChevronDown className="h-4 w-4" />
+              </button>
+              <button
+                type="button"
+                onClick={() => remove(index)}
+                className="text-gray-400 hover:text-red-600"
+                title="Remove"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <form onSubmit={handleAdd} className="flex space-x-2">
+        <input
+          type="text"
+          value={newItem}
+          onChange={(e) => setNewItem(e.target.value)}
+          placeholder="Add an item..."
+          maxLength={200}
+          className="flex-1 px-3 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+        />
+        <button
+          type="submit"
+          disabled={!newItem.trim()}
+          className="px-3 py-1 border border-transparent rounded-md text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+        >
+          Add
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default TaskChecklist;
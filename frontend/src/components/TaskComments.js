@@ -0,0 +1,261 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { useAuth } from '../contexts/AuthContext';
+import { MessageSquare, Reply, Edit, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Show @mentions of known users in bold
+const CommentBody = ({ comment }) => {
+  const mentioned = new Set(comment.mentions.map((mention) => mention.username));
+  const parts = comment.body.split(/(@[a-zA-Z0-9_]{3,30})/);
+
+  return (
+    <p className="text-sm text-gray-700 whitespace-pre-wrap break-words">
+      {parts.map((part, i) => (
+        mentioned.has(part.slice(1))
+          ? <span key={i} className="font-medium text-primary-600">{part}</span>
+          : <React.Fragment key={i}>{part}</React.Fragment>
+      ))}
+    </p>
+  );
+};
+
+const CommentForm = ({ initialBody = '', placeholder, submitLabel, onSubmit, onCancel }) => {
+  const [body, setBody] = useState(initialBody);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+
+    setSubmitting(true);
+    const saved = await onSubmit(body.trim());
+    setSubmitting(false);
+    if (saved && !initialBody) setBody('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        placeholder={placeholder}
+        rows={2}
+        maxLength={2000}
+        className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+      />
+      <div className="flex justify-end space-x-2">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-3 py-1 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={submitting || !body.trim()}
+          className="px-3 py-1 border border-transparent rounded-md text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+        >
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const Comment = ({ comment, canModerate, onReply, onEdit, onDelete }) => {
+  const { user } = useAuth();
+  const [editing, setEditing] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const isAuthor = comment.author?._id === user._id;
+
+  if (comment.deleted) {
+    return <p className="text-sm italic text-gray-400">This comment was deleted.</p>;
+  }
+
+  const handleEdit = async (body) => {
+    const saved = await onEdit(comment, body);
+    if (saved) setEditing(false);
+    return saved;
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between">
+        <p className="text-xs text-gray-500">
+          <span className="font-medium text-gray-900">{comment.author?.username}</span>
+          {' - '}
+          {new Date(comment.createdAt).toLocaleString()}
+          {comment.editedAt && (
+            <button
+              type="button"
+              onClick={() => setShowHistory(!showHistory)}
+              className="ml-1 underline hover:text-gray-700"
+            >
+              (edited)
+            </button>
+          )}
+        </p>
+        <div className="flex items-center space-x-1">
+          {onReply && (
+            <button type="button" onClick={onReply} className="p-1 text-gray-400 hover:text-primary-600" title="Reply">
+              <Reply className="h-4 w-4" />
+            </button>
+          )}
+          {isAuthor && (
+            <button type="button" onClick={() => setEditing(true)} className="p-1 text-gray-400 hover:text-primary-600" title="Edit">
+              <Edit className="h-4 w-4" />
+            </button>
+          )}
+          {(isAuthor || canModerate) && (
+            <button type="button" onClick={() => onDelete(comment)} className="p-1 text-gray-400 hover:text-red-600" title="Delete">
+              <Trash2 className="h-4 w-4" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {editing ? (
+        <CommentForm
+          initialBody={comment.body}
+          submitLabel="Save"
+          onSubmit={handleEdit}
+          onCancel={() => setEditing(false)}
+        />
+      ) : (
+        <CommentBody comment={comment} />
+      )}
+
+      {showHistory && (
+        <ul className="mt-2 pl-3 border-l-2 border-gray-200 space-y-1">
+          {comment.edits.map((edit, i) => (
+            <li key={i} className="text-xs text-gray-500">
+              <span className="text-gray-400">Until {new Date(edit.editedAt).toLocaleString()}:</span>{' '}
+              <span className="whitespace-pre-wrap">{edit.body}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Discussion of a task: comments, one level of replies, and @mentions
+const TaskComments = ({ taskId }) => {
+  const { hasPermission } = useAuth();
+  const [comments, setComments] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+
+  const fetchComments = useCallback(async () => {
+    try {
+      const response = await axios.get(`/tasks/${taskId}/comments`, { params: { limit: 100 } });
+      setComments(response.data.data.comments);
+    } catch (error) {
+      toast.error('Failed to load comments');
+    }
+  }, [taskId]);
+
+  useEffect(() => {
+    fetchComments();
+  }, [fetchComments]);
+
+  const handleCreate = async (body, parent) => {
+    try {
+      await axios.post(`/tasks/${taskId}/comments`, { body, ...(parent && { parent }) });
+      setReplyingTo(null);
+      fetchComments();
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add comment');
+      return false;
+    }
+  };
+
+  const handleEdit = async (comment, body) => {
+    try {
+      await axios.patch(`/tasks/${taskId}/comments/${comment._id}`, { body });
+      fetchComments();
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update comment');
+      return false;
+    }
+  };
+
+  const handleDelete = async (comment) => {
+    if (window.confirm('Are you sure you want to delete this comment?')) {
+      try {
+        await axios.delete(`/tasks/${taskId}/comments/${comment._id}`);
+        fetchComments();
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to delete comment');
+      }
+    }
+  };
+
+  const canModerate = hasPermission('task.update.any');
+
+  return (
+    <div>
+      <h4 className="flex items-center text-sm font-medium text-gray-900 mb-3">
+        <MessageSquare className="h-4 w-4 mr-2" />
+        Comments
+      </h4>
+
+      {!comments ? (
+        <div className="p-4 text-center">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600 mx-auto"></div>
+        </div>
+      ) : (
+        <ul className="space-y-4 mb-4 max-h-80 overflow-y-auto">
+          {comments.map((comment) => (
+            <li key={comment._id}>
+              <Comment
+                comment={comment}
+                canModerate={canModerate}
+                onReply={() => setReplyingTo(comment._id)}
+                onEdit={handleEdit}
+                onDelete={handleDelete}
+              />
+              {(comment.replies.length > 0 || replyingTo === comment._id) && (
+                <div className="mt-2 ml-4 pl-3 border-l-2 border-gray-100 space-y-3">
+                  {comment.replies.map((reply) => (
+                    <Comment
+                      key={reply._id}
+                      comment={reply}
+                      canModerate={canModerate}
+                      onEdit={handleEdit}
+                      onDelete={handleDelete}
+                    />
+                  ))}
+                  {replyingTo === comment._id && (
+                    <CommentForm
+                      placeholder="Write a reply..."
+                      submitLabel="Reply"
+                      onSubmit={(body) => handleCreate(body, comment._id)}
+                      onCancel={() => setReplyingTo(null)}
+                    />
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+          {comments.length === 0 && (
+            <li className="text-sm text-gray-500">No comments yet.</li>
+          )}
+        </ul>
+      )}
+
+      <CommentForm
+        placeholder="Add a comment... Use @username to mention someone."
+        submitLabel="Comment"
+        onSubmit={(body) => handleCreate(body)}
+      />
+    </div>
+  );
+};
+
+export default TaskComments;
@@ -0,0 +1,195 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { Link2, ArrowRight, X, Lock } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+const statusClassName = (status) => (
+  status === 'completed'
+    ? 'border-green-300 bg-green-50'
+    : status === 'in-progress'
+      ? 'border-blue-300 bg-blue-50'
+      : 'border-gray-300 bg-white'
+);
+
+// Pick a task to block this one, by searching titles and descriptions
+const BlockerSearch = ({ excludeIds, onSelect }) => {
+  const [search, setSearch] = useState('');
+  const [results, setResults] = useState([]);
+
+  useEffect(() => {
+    const q = search.trim();
+    if (!q) {
+      setResults([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get('/tasks', { params: { q, limit: 5, includeTotal: false } });
+        setResults(response.data.data.tasks);
+      } catch (error) {
+        setResults([]);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  // Filtered here rather than in the search, so new links drop out right away
+  const choices = results.filter((task) => !excludeIds.includes(task._id));
+
+  const select = async (task) => {
+    if (await onSelect(task)) {
+      setSearch('');
+      setResults([]);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        placeholder="Search for a task that blocks this one..."
+        className="block w-full px-3 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+      />
+      {choices.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg">
+          {choices.map((task) => (
+            <li key={task._id}>
+              <button
+                type="button"
+                onClick={() => select(task)}
+                className="block w-full text-left px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+              >
+                {task.title}
+                <span className="ml-2 text-xs text-gray-500">{task.status}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// A task's dependency graph, laid out in columns from its furthest blockers
+// on the left to the furthest tasks it blocks on the right
+const TaskDependencies = ({ taskId, onChange }) => {
+  const [graph, setGraph] = useState(null);
+
+  const fetchGraph = useCallback(async () => {
+    try {
+      const response = await axios.get(`/tasks/${taskId}/dependencies`);
+      setGraph(response.data.data);
+    } catch (error) {
+      toast.error('Failed to load dependencies');
+    }
+  }, [taskId]);
+
+  useEffect(() => {
+    fetchGraph();
+  }, [fetchGraph]);
+
+  const handleAdd = async (blocker) => {
+    try {
+      await axios.post(`/tasks/${taskId}/dependencies`, { blockedBy: blocker._id });
+      fetchGraph();
+      onChange?.();
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add dependency');
+      return false;
+    }
+  };
+
+  const handleRemove = async (blockerId) => {
+    try {
+      await axios.delete(`/tasks/${taskId}/dependencies/${blockerId}`);
+      fetchGraph();
+      onChange?.();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove dependency');
+    }
+  };
+
+  if (!graph) {
+    return (
+      <div className="p-4 text-center">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600 mx-auto"></div>
+      </div>
+    );
+  }
+
+  const directBlockers = new Set(graph.edges.filter((edge) => edge.to === taskId).map((edge) => edge.from));
+  const openBlockers = graph.nodes.filter((node) => directBlockers.has(node._id) && node.status !== 'completed');
+  const columns = [...new Set(graph.nodes.map((node) => node.depth))]
+    .sort((a, b) => a - b)
+    .map((depth) => graph.nodes.filter((node) => node.depth === depth));
+
+  return (
+    <div>
+      <h4 className="flex items-center text-sm font-medium text-gray-900 mb-3">
+        <Link2 className="h-4 w-4 mr-2" />
+        Dependencies
+        {openBlockers.length > 0 && (
+          <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium text-red-600 bg-red-100">
+            Blocked by {openBlockers.length} open {openBlockers.length === 1 ? 'task' : 'tasks'}
+          </span>
+        )}
+      </h4>
+
+      {graph.nodes.length > 1 ? (
+        <div className="flex items-center overflow-x-auto pb-2 mb-3">
+          {columns.map((nodes, i) => (
+            <React.Fragment key={nodes[0].depth}>
+              {i > 0 && <ArrowRight className="h-4 w-4 mx-2 flex-shrink-0 text-gray-400" />}
+              <div className="flex flex-col space-y-2">
+                {nodes.map((node) => (
+                  <div
+                    key={node._id}
+                    className={`flex items-center px-2 py-1 border rounded-md text-xs w-40 ${statusClassName(node.status)} ${
+                      node._id === taskId ? 'ring-2 ring-primary-500' : ''
+                    }`}
+                  >
+                    {node.restricted ? (
+                      <span className="flex items-center text-gray-400 italic">
+                        <Lock className="h-3 w-3 mr-1" />
+                        Private task
+                      </span>
+                    ) : (
+                      <span className="truncate text-gray-700" title={node.title}>{node.title}</span>
+                    )}
+                    {directBlockers.has(node._id) && (
+                      <button
+                        type="button"
+                        onClick={() => handleRemove(node._id)}
+                        className="ml-1 text-gray-400 hover:text-red-600"
+                        title="Remove dependency"
+                      >
+                        <X className="h-3 w-3" />
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </React.Fragment>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500 mb-3">This task has no dependencies.</p>
+      )}
+
+      {graph.truncated && (
+        <p className="text-xs text-gray-500 mb-3">Only part of the graph is shown.</p>
+      )}
+
+      <BlockerSearch excludeIds={[taskId, ...directBlockers]} onSelect={handleAdd} />
+    </div>
+  );
+};
+
+export default TaskDependencies;
@@ -0,0 +1,242 @@
+import React from 'react';
+import { LabelChip } from './Labels';
+
+export const emptyTaskFilters = {
+  search: '',
+  status: [],
+  priority: [],
+  assignee: '',
+  createdBy: '',
+  dueFrom: '',
+  dueTo: '',
+  overdue: false,
+  topLevel: false,
+  labels: [],
+  labelMode: 'any',
+  sort: ''
+};
+
+const statusOptions = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'in-progress', label: 'In Progress' },
+  { value: 'completed', label: 'Completed' }
+];
+
+const priorityOptions = [
+  { value: 'high', label: 'High' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'low', label: 'Low' }
+];
+
+export const sortOptions = [
+  { value: '', label: 'Newest first' },
+  { value: 'createdAt', label: 'Oldest first' },
+  { value: '-updatedAt', label: 'Recently updated' },
+  { value: 'dueDate,-priority', label: 'Due date' },
+  { value: '-priority,dueDate', label: 'Priority' },
+  { value: 'status,dueDate', label: 'Status' },
+  { value: 'title', label: 'Title' }
+];
+
+// Number of filters set in the panel (search and sort are not counted)
+export const countTaskFilters = (filters) => [
+  filters.status.length > 0,
+  filters.priority.length > 0,
+  filters.assignee,
+  filters.createdBy,
+  filters.dueFrom || filters.dueTo,
+  filters.overdue,
+  filters.topLevel,
+  filters.labels.length > 0
+].filter(Boolean).length;
+
+// The GET /tasks query parameters for a set of filters
+export const taskFilterParams = (filters) => {
+  const params = {};
+
+  if (filters.search) params.q = filters.search;
+  if (filters.status.length > 0) params.status = filters.status.join(',');
+  if (filters.priority.length > 0) params.priority = filters.priority.join(',');
+  if (filters.assignee) params.assignedTo = filters.assignee;
+  if (filters.createdBy) params.createdBy = filters.createdBy;
+  if (filters.dueFrom) params['dueDate[gte]'] = filters.dueFrom;
+  // Due dates are stored as midnight UTC, so include the whole last day
+  if (filters.dueTo) params['dueDate[lte]'] = `${filters.dueTo}T23:59:59.999Z`;
+  if (filters.overdue) params.overdue = 'true';
+  if (filters.topLevel) params.topLevel = 'true';
+  if (filters.labels.length > 0) {
+    params.labels = filters.labels.join(',');
+    if (filters.labelMode === 'all') params.labelMode = 'all';
+  }
+  // Searching ranks by relevance unless another order is picked
+  if (filters.sort) params.sort = filters.sort;
+  else if (!filters.search) params.sort = '-createdAt';
+
+  return params;
+};
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500';
+
+const ToggleGroup = ({ label, options, selected, onChange }) => {
+  const toggle = (value) => {
+    onChange(selected.includes(value)
+      ? selected.filter((item) => item !== value)
+      : [...selected, value]);
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <div className="flex flex-wrap gap-2">
+        {options.map((option) => (
+          <button
+            key={option.value}
+            type="button"
+            onClick={() => toggle(option.value)}
+            className={`px-3 py-1 rounded-full text-sm border ${
+              selected.includes(option.value)
+                ? 'bg-primary-50 border-primary-500 text-primary-700'
+                : 'bg-white border-gray-300 text-gray-600 hover:bg-gray-50'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Tasks with any (or all) of the selected labels
+const LabelFilter = ({ labels, selected, mode, onChange }) => {
+  const toggle = (id) => {
+    onChange({
+      labels: selected.includes(id)
+        ? selected.filter((item) => item !== id)
+        : [...selected, id]
+    });
+  };
+
+  return (
+    <div className="md:col-span-3">
+      <div className="flex items-center justify-between mb-1">
+        <label className="block text-sm font-medium text-gray-700">Labels</label>
+        <select
+          value={mode}
+          onChange={(e) => onChange({ labelMode: e.target.value })}
+          className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+        >
+          <option value="any">Any selected label</option>
+          <option value="all">All selected labels</option>
+        </select>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {labels.map((label) => (
+          <button key={label._id} type="button" onClick={() => toggle(label._id)}>
+            <LabelChip
+              label={label}
+              className={selected.includes(label._id) ? 'ring-2 ring-offset-1 ring-primary-500' : 'opacity-50 hover:opacity-80'}
+            />
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// The extra filters of the Tasks page; `onChange` receives the changed fields
+const TaskFilters = ({ filters, labels = [], onChange }) => {
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <ToggleGroup
+        label="Status"
+        options={statusOptions}
+        selected={filters.status}
+        onChange={(status) => onChange({ status })}
+      />
+
+      <ToggleGroup
+        label="Priority"
+        options={priorityOptions}
+        selected={filters.priority}
+        onChange={(priority) => onChange({ priority })}
+      />
+
+      <div className="flex flex-col justify-end space-y-2">
+        <label className="inline-flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={filters.overdue}
+            onChange={(e) => onChange({ overdue: e.target.checked })}
+            className="h-4 w-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+          />
+          <span className="ml-2">Only overdue tasks</span>
+        </label>
+        <label className="inline-flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={filters.topLevel}
+            onChange={(e) => onChange({ topLevel: e.target.checked })}
+            className="h-4 w-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+          />
+          <span className="ml-2">Hide subtasks</span>
+        </label>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Assigned to</label>
+        <select
+          value={filters.assignee}
+          onChange={(e) => onChange({ assignee: e.target.value })}
+          className={inputClassName}
+        >
+          <option value="">Anyone</option>
+          <option value="me">Me</option>
+        </select>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Created by</label>
+        <select
+          value={filters.createdBy}
+          onChange={(e) => onChange({ createdBy: e.target.value })}
+          className={inputClassName}
+        >
+          <option value="">Anyone</option>
+          <option value="me">Me</option>
+        </select>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Due between</label>
+        <div className="flex items-center space-x-2">
+          <input
+            type="date"
+            value={filters.dueFrom}
+            onChange={(e) => onChange({ dueFrom: e.target.value })}
+            className={inputClassName}
+          />
+          <span className="text-gray-500">-</span>
+          <input
+            type="date"
+            value={filters.dueTo}
+            min={filters.dueFrom || undefined}
+            onChange={(e) => onChange({ dueTo: e.target.value })}
+            className={inputClassName}
+          />
+        </div>
+      </div>
+
+      {labels.length > 0 && (
+        <LabelFilter
+          labels={labels}
+          selected={filters.labels}
+          mode={filters.labelMode}
+          onChange={onChange}
+        />
+      )}
+    </div>
+  );
+};
+
+export default TaskFilters;
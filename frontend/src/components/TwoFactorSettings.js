@@ -0,0 +1,257 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useAuth } from '../contexts/AuthContext';
+import { ShieldCheck, ShieldOff, KeyRound } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const inputClass = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm';
+const primaryButtonClass = 'inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50';
+const secondaryButtonClass = 'inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50';
+
+const TwoFactorSettings = () => {
+  const { refreshUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [enrolment, setEnrolment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [mode, setMode] = useState(null); // 'disable' | 'regenerate'
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await axios.get('/auth/2fa');
+      setStatus(response.data.data);
+    } catch (error) {
+      toast.error('Failed to load two-factor status');
+    }
+  };
+
+  const resetForm = () => {
+    setMode(null);
+    setCode('');
+    setPassword('');
+  };
+
+  const handleStartSetup = async () => {
+    setBusy(true);
+    try {
+      const response = await axios.post('/auth/2fa/setup');
+      setEnrolment(response.data.data);
+      setRecoveryCodes(null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start setup');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const response = await axios.post('/auth/2fa/confirm', { code });
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      setEnrolment(null);
+      resetForm();
+      toast.success('Two-factor authentication enabled');
+      fetchStatus();
+      refreshUser();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to confirm code');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const response = await axios.post('/auth/2fa/recovery-codes', { code });
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      resetForm();
+      fetchStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to regenerate recovery codes');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      // Accept either an authenticator code or a recovery code
+      const factor = /^\d{6}$/.test(code) ? { code } : { recoveryCode: code };
+      await axios.post('/auth/2fa/disable', { password, ...factor });
+      resetForm();
+      setRecoveryCodes(null);
+      toast.success('Two-factor authentication disabled');
+      fetchStatus();
+      refreshUser();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to disable two-factor authentication');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!status) {
+    return (
+      <div className="p-4 text-center">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600 mx-auto"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center">
+        {status.enabled ? (
+          <ShieldCheck className="h-5 w-5 text-green-600 mr-2" />
+        ) : (
+          <ShieldOff className="h-5 w-5 text-gray-400 mr-2" />
+        )}
+        <span className="text-sm text-gray-700">
+          {status.enabled
+            ? `Enabled - ${status.recoveryCodesRemaining} recovery codes left`
+            : 'Not enabled'}
+        </span>
+        {status.required && !status.enabled && (
+          <span className="ml-3 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium text-red-600 bg-red-100">
+            Required for admins
+          </span>
+        )}
+      </div>
+
+      {recoveryCodes && (
+        <div className="rounded-md bg-yellow-50 p-4">
+          <div className="flex items-center mb-2">
+            <KeyRound className="h-5 w-5 text-yellow-600 mr-2" />
+            <p className="text-sm font-medium text-yellow-800">
+              Save these recovery codes. Each works once, and they will not be shown again.
+            </p>
+          </div>
+          <ul className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900">
+            {recoveryCodes.map((recoveryCode) => (
+              <li key={recoveryCode}>{recoveryCode}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!status.enabled && !enrolment && (
+        <button onClick={handleStartSetup} disabled={busy} className={primaryButtonClass}>
+          Enable two-factor authentication
+        </button>
+      )}
+
+      {enrolment && (
+        <form onSubmit={handleConfirm} className="space-y-3">
+          <p className="text-sm text-gray-600">
+            Add this account to your authenticator app, using the link on a mobile device or by entering the key by hand.
+          </p>
+          <div className="rounded-md bg-gray-50 p-3 text-sm">
+            <p className="text-gray-500">Setup key</p>
+            <p className="font-mono text-gray-900 break-all">{enrolment.secret}</p>
+            <a href={enrolment.otpauthUrl} className="mt-2 inline-block font-medium text-primary-600 hover:text-primary-500">
+              Open in authenticator app
+            </a>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Code from the app</label>
+            <input
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              placeholder="123456"
+              className={inputClass}
+            />
+          </div>
+          <div className="flex space-x-3">
+            <button type="submit" disabled={busy || !code} className={primaryButtonClass}>
+              Confirm
+            </button>
+            <button type="button" onClick={() => { setEnrolment(null); resetForm(); }} className={secondaryButtonClass}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {status.enabled && !mode && (
+        <div className="flex space-x-3">
+          <button onClick={() => setMode('regenerate')} className={secondaryButtonClass}>
+            New recovery codes
+          </button>
+          <button onClick={() => setMode('disable')} className={secondaryButtonClass}>
+            Disable
+          </button>
+        </div>
+      )}
+
+      {mode === 'regenerate' && (
+        <form onSubmit={handleRegenerate} className="space-y-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Code from your authenticator app</label>
+            <input
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              className={inputClass}
+            />
+          </div>
+          <div className="flex space-x-3">
+            <button type="submit" disabled={busy || !code} className={primaryButtonClass}>
+              Generate new codes
+            </button>
+            <button type="button" onClick={resetForm} className={secondaryButtonClass}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {mode === 'disable' && (
+        <form onSubmit={handleDisable} className="space-y-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Password</label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Authenticator code or recovery code</label>
+            <input
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              autoComplete="one-time-code"
+              className={inputClass}
+            />
+          </div>
+          <div className="flex space-x-3">
+            <button type="submit" disabled={busy || !code || !password} className={primaryButtonClass}>
+              Disable two-factor authentication
+            </button>
+            <button type="button" onClick={resetForm} className={secondaryButtonClass}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
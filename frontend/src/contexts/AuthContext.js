@@ -4,6 +4,45 @@ import toast from 'react-hot-toast';
 
 const AuthContext = createContext();
 
+// Shared so that concurrent 401s wait on one refresh instead of racing
+// (a refresh token that is presented twice revokes the whole session)
+let refreshPromise = null;
+
+// Requests whose 401 means bad credentials rather than an expired access token
+const NO_REFRESH_URLS = ['/auth/login', '/auth/login/2fa', '/auth/oidc/callback', '/auth/register', '/auth/refresh'];
+
+const UNSAFE_METHODS = ['post', 'put', 'patch', 'delete'];
+
+// The tokens live in httpOnly cookies the app cannot read; it only keeps the
+// CSRF token the API hands out with them, in memory
+let csrfToken = null;
+
+// Token for acting as another user; sent as a bearer token, which the API
+// prefers over the cookie. Kept in memory only, so a reload ends it.
+let impersonationToken = null;
+
+const storeCsrfToken = (token) => {
+  csrfToken = token;
+};
+
+const clearTokens = () => {
+  csrfToken = null;
+};
+
+const refreshTokens = () => {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post('/auth/refresh', {})
+      .then((response) => {
+        storeCsrfToken(response.data.data.csrfToken);
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -21,17 +60,60 @@ export const AuthProvider = ({ children }) => {
     // Configure axios defaults
     axios.defaults.baseURL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api/v1';
     axios.defaults.withCredentials = true;
-    const token = localStorage.getItem('token');
-    if (token) {
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-    }
+    axios.defaults.headers.common['X-Auth-Mode'] = 'cookie';
+
+    // Tokens from before the switch to cookies
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+
+    // Double-submit CSRF token on every state-changing request
+    const requestInterceptor = axios.interceptors.request.use((config) => {
+      if (csrfToken && UNSAFE_METHODS.includes(config.method)) {
+        config.headers['X-CSRF-Token'] = csrfToken;
+      }
+      if (impersonationToken) {
+        config.headers['Authorization'] = `Bearer ${impersonationToken}`;
+      }
+      return config;
+    });
 
-    // Response interceptor to handle token expiration
+    // Response interceptor to refresh expired access tokens
     const responseInterceptor = axios.interceptors.response.use(
       (response) => response,
-      (error) => {
-        if (error.response?.status === 401) {
-          logout();
+      async (error) => {
+        const originalRequest = error.config;
+
+        // The impersonation expired or was ended elsewhere; go back to the admin's own session
+        if (error.response?.status === 401 && impersonationToken && originalRequest?.url !== '/auth/impersonation/end') {
+          impersonationToken = null;
+          toast.error('Impersonation has ended.');
+          try {
+            const response = await axios.get('/auth/me');
+            setUser(response.data.data);
+          } catch (meError) {
+            // The interceptor has already dealt with the admin's session
+          }
+          return Promise.reject(error);
+        }
+
+        if (
+          error.response?.status === 401 &&
+          originalRequest &&
+          !originalRequest._retry &&
+          !NO_REFRESH_URLS.includes(originalRequest.url) &&
+          csrfToken
+        ) {
+          originalRequest._retry = true;
+          try {
+            await refreshTokens();
+            return axios(originalRequest);
+          } catch (refreshError) {
+            // Fall through and end the session below
+          }
+        }
+
+        if (error.response?.status === 401 && originalRequest?.url !== '/auth/logout') {
+          clearSession();
           toast.error('Session expired. Please login again.');
         }
         return Promise.reject(error);
@@ -39,6 +121,7 @@ export const AuthProvider = ({ children }) => {
     );
 
     return () => {
+      axios.interceptors.request.eject(requestInterceptor);
       axios.interceptors.response.eject(responseInterceptor);
     };
   }, []);
@@ -46,15 +129,17 @@ export const AuthProvider = ({ children }) => {
   // Check if user is logged in on app start
   useEffect(() => {
     const checkAuth = async () => {
-      const token = localStorage.getItem('token');
-      if (token) {
-        try {
+      try {
+        // A CSRF token means the browser still holds a cookie session
+        const csrfResponse = await axios.get('/auth/csrf');
+        storeCsrfToken(csrfResponse.data.data.csrfToken);
+
+        if (csrfToken) {
           const response = await axios.get('/auth/me');
           setUser(response.data.data);
-        } catch (error) {
-          localStorage.removeItem('token');
-          delete axios.defaults.headers.common['Authorization'];
         }
+      } catch (error) {
+        clearTokens();
       }
       setLoading(false);
     };
@@ -62,16 +147,30 @@ export const AuthProvider = ({ children }) => {
     checkAuth();
   }, []);
 
+  // Store the session from a successful login response
+  const finishLogin = (data) => {
+    const { user, csrfToken, twoFactorSetupRequired } = data;
+
+    storeCsrfToken(csrfToken);
+    setUser(user);
+
+    toast.success('Login successful!');
+    if (twoFactorSetupRequired) {
+      toast.error('Admin accounts must enable two-factor authentication in Settings.');
+    }
+  };
+
   const login = async (email, password) => {
     try {
       const response = await axios.post('/auth/login', { email, password });
-      const { user, token } = response.data.data;
-      
-      localStorage.setItem('token', token);
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-      setUser(user);
-      
-      toast.success('Login successful!');
+      const { data } = response.data;
+
+      // Password accepted, but a second factor is needed
+      if (data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: data.challengeToken };
+      }
+
+      finishLogin(data);
       return { success: true };
     } catch (error) {
       const message = error.response?.data?.message || 'Login failed';
@@ -80,37 +179,193 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second step of a two-factor login, with either { code } or { recoveryCode }
+  const completeTwoFactorLogin = async (challengeToken, factor) => {
+    try {
+      const response = await axios.post('/auth/login/2fa', { challengeToken, ...factor });
+      finishLogin(response.data.data);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Verification failed';
+      toast.error(message);
+      return { success: false, message };
+    }
+  };
+
+  // Send the browser to the identity provider
+  const startSsoLogin = async () => {
+    try {
+      const response = await axios.post('/auth/oidc/authorize');
+      window.location.assign(response.data.data.authorizationUrl);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Single sign-on is unavailable';
+      toast.error(message);
+      return { success: false, message };
+    }
+  };
+
+  // Finish an SSO login with the code and state the identity provider sent back
+  const completeSsoLogin = async (code, state) => {
+    try {
+      const response = await axios.post('/auth/oidc/callback', { code, state });
+      const { data } = response.data;
+
+      if (data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: data.challengeToken };
+      }
+
+      finishLogin(data);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Single sign-on failed';
+      toast.error(message);
+      return { success: false, message };
+    }
+  };
+
   const register = async (userData) => {
     try {
       const response = await axios.post('/auth/register', userData);
-      const { user, token } = response.data.data;
+      const { user, csrfToken } = response.data.data;
+
+      // No session means the email has to be verified before signing in
+      if (!csrfToken) {
+        toast.success(response.data.message);
+        return { success: true, verificationRequired: true };
+      }
       
-      localStorage.setItem('token', token);
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      storeCsrfToken(csrfToken);
       setUser(user);
       
-      toast.success('Registration successful!');
+      toast.success('Registration successful! Check your email to verify your address.');
       return { success: true };
     } catch (error) {
       const message = error.response?.data?.message || 'Registration failed';
       toast.error(message);
+      return { success: false, message, errors: error.response?.data?.errors };
+    }
+  };
+
+  const refreshUser = async () => {
+    try {
+      const response = await axios.get('/auth/me');
+      setUser(response.data.data);
+    } catch (error) {
+      // The interceptor takes care of expired sessions
+    }
+  };
+
+  const updateProfile = async (profileData) => {
+    try {
+      const response = await axios.patch('/auth/me', profileData);
+      setUser(response.data.data);
+      toast.success(response.data.message);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to update profile';
+      toast.error(message);
       return { success: false, message };
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    delete axios.defaults.headers.common['Authorization'];
+  const changePassword = async (currentPassword, newPassword) => {
+    try {
+      const response = await axios.post('/auth/change-password', { currentPassword, newPassword });
+      // Every other session was signed out; keep this one going with the new tokens
+      storeCsrfToken(response.data.data.csrfToken);
+      toast.success(response.data.message);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to change password';
+      toast.error(message);
+      return { success: false, message, errors: error.response?.data?.errors };
+    }
+  };
+
+  // Act as another user. Requests use the impersonation token until
+  // exitImpersonation; the admin's own session stays signed in underneath.
+  const startImpersonation = async (userId, reason) => {
+    try {
+      const response = await axios.post(`/users/${userId}/impersonate`, { reason });
+      const { token, expiresAt, blockDestructiveActions, user: impersonatedUser } = response.data.data;
+
+      impersonationToken = token;
+      setUser({
+        ...impersonatedUser,
+        impersonatedBy: { _id: user._id, username: user.username, expiresAt, blockDestructiveActions }
+      });
+      toast.success(response.data.message);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to impersonate user';
+      toast.error(message);
+      return { success: false, message };
+    }
+  };
+
+  const exitImpersonation = async () => {
+    try {
+      await axios.post('/auth/impersonation/end');
+    } catch (error) {
+      // Already over; the token expires on its own
+    }
+    impersonationToken = null;
+    await refreshUser();
+    toast.success('Impersonation ended');
+  };
+
+  const clearSession = () => {
+    impersonationToken = null;
+    clearTokens();
     setUser(null);
+  };
+
+  const logout = async () => {
+    // Logging out ends any impersonation along with the admin's session
+    impersonationToken = null;
+    try {
+      // Revoke the session server-side so the tokens stop working
+      await axios.post('/auth/logout');
+    } catch (error) {
+      // The session is already gone; clear local state regardless
+    }
+    clearSession();
     toast.success('Logged out successfully');
   };
 
+  const logoutAll = async () => {
+    try {
+      await axios.post('/auth/logout-all');
+      clearSession();
+      toast.success('Logged out of all devices');
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to log out of all devices';
+      toast.error(message);
+      return { success: false, message };
+    }
+  };
+
+  // Whether the signed-in user's role holds a permission such as 'user.view'
+  const hasPermission = (permission) => Boolean(user?.permissions?.includes(permission));
+
   const value = {
     user,
     loading,
+    hasPermission,
     login,
+    completeTwoFactorLogin,
+    startSsoLogin,
+    completeSsoLogin,
     register,
-    logout
+    logout,
+    logoutAll,
+    refreshUser,
+    updateProfile,
+    changePassword,
+    startImpersonation,
+    exitImpersonation
   };
 
   return (
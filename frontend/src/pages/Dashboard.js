@@ -1,8 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import { useAuth } from '../contexts/AuthContext';
-import { CheckSquare, Clock, AlertCircle, TrendingUp, Users, Plus } from 'lucide-react';
+import { CheckSquare, Clock, AlertCircle, TrendingUp, Users, Plus, Mail } from 'lucide-react';
 import toast from 'react-hot-toast';
+import { LabelChip } from '../components/Labels';
 
 const Dashboard = () => {
   const { user } = useAuth();
@@ -30,6 +31,15 @@ const Dashboard = () => {
     }
   };
 
+  const handleResendVerification = async () => {
+    try {
+      await axios.post('/auth/resend-verification', { email: user.email });
+      toast.success('Verification email sent');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send verification email');
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'completed':
@@ -76,7 +86,25 @@ const Dashboard = () => {
           </p>
         </div>
 
-        {/* Stats Cards */}
+        {/* Email verification notice */}
+        {user && !user.emailVerified && (
+          <div className="mb-8 rounded-md bg-yellow-50 p-4 flex items-center justify-between">
+            <div className="flex items-center">
+              <Mail className="h-5 w-5 text-yellow-500 mr-3" />
+              <p className="text-sm text-yellow-800">
+                Please verify your email address. Until you do, you may not be able to make changes.
+              </p>
+            </div>
+            <button
+              onClick={handleResendVerification}
+              className="ml-4 text-sm font-medium text-yellow-800 underline hover:text-yellow-900"
+            >
+              Resend email
+            </button>
+          </div>
+        )}
+
+                {/* Stats Cards */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
           <div className="bg-white overflow-hidden shadow rounded-lg">
             <div className="p-5">
@@ -159,6 +187,30 @@ const Dashboard = () => {
           </div>
         </div>
 
+        {/* Tasks by label */}
+        {stats?.byLabel?.length > 0 && (
+          <div className="bg-white shadow overflow-hidden sm:rounded-md mb-8">
+            <div className="px-4 py-5 sm:px-6">
+              <h3 className="text-lg leading-6 font-medium text-gray-900">
+                Tasks by Label
+              </h3>
+            </div>
+            <ul className="divide-y divide-gray-200">
+              {stats.byLabel.map((entry) => (
+                <li key={entry.label._id} className="px-4 py-3 sm:px-6 flex items-center justify-between">
+                  <LabelChip label={entry.label} />
+                  <div className="flex items-center space-x-4 text-sm text-gray-500">
+                    <span>{entry.total} total</span>
+                    <span>{entry.pending} pending</span>
+                    <span>{entry.inProgress} in progress</span>
+                    <span>{entry.completed} completed</span>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {/* Recent Tasks */}
         <div className="bg-white shadow overflow-hidden sm:rounded-md">
           <div className="px-4 py-5 sm:px-6 flex justify-between items-center">
@@ -1,13 +1,34 @@
-import React, { useState } from 'react';
-import { Link } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import axios from 'axios';
 import { useForm } from 'react-hook-form';
 import { useAuth } from '../contexts/AuthContext';
-import { Eye, EyeOff, CheckSquare } from 'lucide-react';
+import { Eye, EyeOff, CheckSquare, ShieldCheck, Building2 } from 'lucide-react';
 
 const Login = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  const location = useLocation();
+  // An SSO login that still needs a second factor lands here with its challenge
+  const [challengeToken, setChallengeToken] = useState(location.state?.challengeToken || null);
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [sso, setSso] = useState(null);
+  const { login, completeTwoFactorLogin, startSsoLogin } = useAuth();
+
+  useEffect(() => {
+    axios.get('/auth/oidc/config')
+      .then((response) => setSso(response.data.data))
+      .catch(() => setSso(null));
+  }, []);
+
+  const handleSsoLogin = async () => {
+    setLoading(true);
+    const result = await startSsoLogin();
+    // On success the browser is already leaving for the identity provider
+    if (!result.success) {
+      setLoading(false);
+    }
+  };
   
   const {
     register,
@@ -15,12 +36,138 @@ const Login = () => {
     formState: { errors }
   } = useForm();
 
+  const {
+    register: registerFactor,
+    handleSubmit: handleFactorSubmit,
+    reset: resetFactor,
+    formState: { errors: factorErrors }
+  } = useForm();
+
   const onSubmit = async (data) => {
     setLoading(true);
-    await login(data.email, data.password);
+    const result = await login(data.email, data.password);
     setLoading(false);
+    if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+    }
+  };
+
+  const onFactorSubmit = async (data) => {
+    setLoading(true);
+    const factor = useRecoveryCode ? { recoveryCode: data.recoveryCode } : { code: data.code };
+    await completeTwoFactorLogin(challengeToken, factor);
+    setLoading(false);
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    resetFactor();
+  };
+
+  const cancelTwoFactor = () => {
+    setChallengeToken(null);
+    setUseRecoveryCode(false);
+    resetFactor();
   };
 
+  if (challengeToken) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <div className="flex justify-center">
+              <ShieldCheck className="h-12 w-12 text-primary-600" />
+            </div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              Two-factor authentication
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              {useRecoveryCode
+                ? 'Enter one of your recovery codes'
+                : 'Enter the 6-digit code from your authenticator app'}
+            </p>
+          </div>
+
+          <form className="mt-8 space-y-6" onSubmit={handleFactorSubmit(onFactorSubmit)}>
+            {useRecoveryCode ? (
+              <div>
+                <label htmlFor="recoveryCode" className="sr-only">
+                  Recovery code
+                </label>
+                <input
+                  {...registerFactor('recoveryCode', {
+                    required: 'Recovery code is required'
+                  })}
+                  type="text"
+                  autoComplete="off"
+                  className="appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                  placeholder="xxxxx-xxxxx"
+                />
+                {factorErrors.recoveryCode && (
+                  <p className="mt-1 text-sm text-red-600">{factorErrors.recoveryCode.message}</p>
+                )}
+              </div>
+            ) : (
+              <div>
+                <label htmlFor="code" className="sr-only">
+                  Authentication code
+                </label>
+                <input
+                  {...registerFactor('code', {
+                    required: 'Code is required',
+                    pattern: {
+                      value: /^\d{6}$/,
+                      message: 'Code must be 6 digits'
+                    }
+                  })}
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  className="appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                  placeholder="123456"
+                />
+                {factorErrors.code && (
+                  <p className="mt-1 text-sm text-red-600">{factorErrors.code.message}</p>
+                )}
+              </div>
+            )}
+
+            <div className="flex items-center justify-between text-sm">
+              <button
+                type="button"
+                onClick={toggleRecoveryCode}
+                className="font-medium text-primary-600 hover:text-primary-500"
+              >
+                {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+              </button>
+              <button
+                type="button"
+                onClick={cancelTwoFactor}
+                className="font-medium text-gray-500 hover:text-gray-700"
+              >
+                Back to sign in
+              </button>
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={loading}
+                className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? (
+                  <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
+                ) : (
+                  'Verify'
+                )}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -94,6 +241,15 @@ const Login = () => {
             </div>
           </div>
 
+          <div className="flex items-center justify-end">
+            <Link
+              to="/forgot-password"
+              className="text-sm font-medium text-primary-600 hover:text-primary-500"
+            >
+              Forgot your password?
+            </Link>
+          </div>
+
           <div>
             <button
               type="submit"
@@ -108,6 +264,28 @@ const Login = () => {
             </button>
           </div>
         </form>
+
+        {sso?.enabled && (
+          <div>
+            <div className="relative">
+              <div className="absolute inset-0 flex items-center">
+                <div className="w-full border-t border-gray-300"></div>
+              </div>
+              <div className="relative flex justify-center text-sm">
+                <span className="px-2 bg-gray-50 text-gray-500">Or</span>
+              </div>
+            </div>
+            <button
+              type="button"
+              onClick={handleSsoLogin}
+              disabled={loading}
+              className="mt-6 w-full flex justify-center items-center py-2 px-4 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Building2 className="h-5 w-5 mr-2 text-gray-500" />
+              Sign in with {sso.providerName}
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
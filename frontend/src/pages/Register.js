@@ -1,28 +1,58 @@
-import React, { useState } from 'react';
-import { Link } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
+import axios from 'axios';
 import { useAuth } from '../contexts/AuthContext';
-import { Eye, EyeOff, CheckSquare } from 'lucide-react';
+import { usePasswordPolicy, passwordRules, showServerErrors } from '../utils/passwordPolicy';
+import { Eye, EyeOff, CheckSquare, MailOpen } from 'lucide-react';
 
 const Register = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [invitation, setInvitation] = useState(null);
+  const [invitationError, setInvitationError] = useState('');
   const { register: registerUser } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get('invite');
+  const passwordPolicy = usePasswordPolicy();
   
   const {
     register,
     handleSubmit,
     watch,
+    setValue,
+    setError,
     formState: { errors }
   } = useForm();
 
   const password = watch('password');
 
+  useEffect(() => {
+    if (!inviteToken) return;
+
+    axios.get('/invitations/verify', { params: { token: inviteToken } })
+      .then((response) => {
+        setInvitation(response.data.data);
+        if (response.data.data.email) {
+          setValue('email', response.data.data.email);
+        }
+      })
+      .catch((error) => {
+        setInvitationError(error.response?.data?.message || 'Invitation is invalid or has expired');
+      });
+  }, [inviteToken, setValue]);
+
   const onSubmit = async (data) => {
     setLoading(true);
     const { confirmPassword, ...userData } = data;
-    await registerUser(userData);
+    const result = await registerUser(invitation ? { ...userData, inviteToken } : userData);
     setLoading(false);
+    if (result.verificationRequired) {
+      navigate('/login');
+    }
+    // Rule violations from the API, e.g. a breached password, go next to their fields
+    showServerErrors(result.errors, setError, ['username', 'email', 'password']);
   };
 
   return (
@@ -45,6 +75,23 @@ const Register = () => {
             </Link>
           </p>
         </div>
+
+        {invitation && (
+          <div className="rounded-md bg-primary-50 p-4 flex items-center">
+            <MailOpen className="h-5 w-5 text-primary-600 mr-3" />
+            <p className="text-sm text-primary-800">
+              You have been invited to join with the <strong>{invitation.role}</strong> role.
+            </p>
+          </div>
+        )}
+
+        {invitationError && (
+          <div className="rounded-md bg-red-50 p-4">
+            <p className="text-sm text-red-800">
+              {invitationError}. You can still create a regular account.
+            </p>
+          </div>
+        )}
         
         <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
           <div className="space-y-4">
@@ -86,7 +133,8 @@ const Register = () => {
                   }
                 })}
                 type="email"
-                className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                readOnly={Boolean(invitation?.email)}
+                className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm read-only:bg-gray-100"
                 placeholder="Enter your email"
               />
               {errors.email && (
@@ -100,17 +148,7 @@ const Register = () => {
               </label>
               <div className="mt-1 relative">
                 <input
-                  {...register('password', {
-                    required: 'Password is required',
-                    minLength: {
-                      value: 6,
-                      message: 'Password must be at least 6 characters'
-                    },
-                    pattern: {
-                      value: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/,
-                      message: 'Password must contain at least one lowercase letter, one uppercase letter, and one number'
-                    }
-                  })}
+                  {...register('password', passwordRules(passwordPolicy))}
                   type={showPassword ? 'text' : 'password'}
                   className="appearance-none relative block w-full px-3 py-2 pr-10 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
                   placeholder="Enter your password"
@@ -0,0 +1,122 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import ProfileSettings from '../components/ProfileSettings';
+import ChangePasswordForm from '../components/ChangePasswordForm';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import AccessTokens from '../components/AccessTokens';
+import ActiveSessions from '../components/ActiveSessions';
+import SecurityEvents from '../components/SecurityEvents';
+import { LogOut } from 'lucide-react';
+
+const Settings = () => {
+  const { logoutAll } = useAuth();
+  const navigate = useNavigate();
+
+  const handleLogoutAll = async () => {
+    if (window.confirm('Log out of every device, including this one?')) {
+      const result = await logoutAll();
+      if (result.success) {
+        navigate('/login');
+      }
+    }
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto py-6 sm:px-6 lg:px-8">
+      <div className="px-4 py-6 sm:px-0 space-y-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Settings</h1>
+          <p className="mt-2 text-gray-600">Manage your account and security</p>
+        </div>
+
+        {/* Profile */}
+        <div className="bg-white shadow sm:rounded-lg">
+          <div className="px-4 py-5 sm:p-6">
+            <h3 className="text-lg leading-6 font-medium text-gray-900">
+              Profile
+            </h3>
+            <p className="mt-1 mb-4 text-sm text-gray-500">
+              Your username and the email address used for sign-in and notifications.
+            </p>
+            <ProfileSettings />
+          </div>
+        </div>
+
+        {/* Password */}
+        <div className="bg-white shadow sm:rounded-lg">
+          <div className="px-4 py-5 sm:p-6">
+            <h3 className="text-lg leading-6 font-medium text-gray-900">
+              Password
+            </h3>
+            <p className="mt-1 mb-4 text-sm text-gray-500">
+              Changing your password signs you out on every other device.
+            </p>
+            <ChangePasswordForm />
+          </div>
+        </div>
+
+        {/* Two-factor authentication */}
+        <div className="bg-white shadow sm:rounded-lg">
+          <div className="px-4 py-5 sm:p-6">
+            <h3 className="text-lg leading-6 font-medium text-gray-900">
+              Two-factor authentication
+            </h3>
+            <p className="mt-1 mb-4 text-sm text-gray-500">
+              Require a code from an authenticator app in addition to your password when signing in.
+            </p>
+            <TwoFactorSettings />
+          </div>
+        </div>
+
+        {/* Personal access tokens */}
+        <div className="bg-white shadow sm:rounded-lg">
+          <div className="px-4 py-5 sm:p-6">
+            <h3 className="text-lg leading-6 font-medium text-gray-900">
+              Personal access tokens
+            </h3>
+            <p className="mt-1 mb-4 text-sm text-gray-500">
+              Tokens let scripts and CI call the API as you without your password. Send them as a Bearer token.
+            </p>
+            <AccessTokens />
+          </div>
+        </div>
+
+        {/* Sessions */}
+        <div className="bg-white shadow sm:rounded-lg">
+          <div className="px-4 py-5 sm:p-6">
+            <h3 className="text-lg leading-6 font-medium text-gray-900">
+              Sessions
+            </h3>
+            <p className="mt-1 mb-4 text-sm text-gray-500">
+              Devices signed in to your account. Signed in somewhere you don't recognise? Revoke that session, or log out everywhere.
+            </p>
+            <ActiveSessions />
+            <button
+              onClick={handleLogoutAll}
+              className="mt-4 inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-red-600 bg-white hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
+            >
+              <LogOut className="h-4 w-4 mr-2" />
+              Log out of all devices
+            </button>
+          </div>
+        </div>
+
+        {/* Security activity */}
+        <div className="bg-white shadow sm:rounded-lg">
+          <div className="px-4 py-5 sm:p-6">
+            <h3 className="text-lg leading-6 font-medium text-gray-900">
+              Security activity
+            </h3>
+            <p className="mt-1 mb-4 text-sm text-gray-500">
+              Recent sign-ins, failed attempts and changes to your account.
+            </p>
+            <SecurityEvents />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Settings;
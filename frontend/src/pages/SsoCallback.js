@@ -0,0 +1,80 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { CheckSquare, XCircle } from 'lucide-react';
+
+const SsoCallback = () => {
+  const { completeSsoLogin } = useAuth();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const [error, setError] = useState('');
+  // The code and state only work once, so never send them twice
+  const handled = useRef(false);
+
+  useEffect(() => {
+    if (handled.current) return;
+    handled.current = true;
+
+    const finish = async () => {
+      const code = searchParams.get('code');
+      const state = searchParams.get('state');
+
+      if (searchParams.get('error')) {
+        setError(searchParams.get('error_description') || 'The identity provider refused the sign-in.');
+        return;
+      }
+
+      if (!code || !state) {
+        setError('The sign-in response is missing its code or state.');
+        return;
+      }
+
+      const result = await completeSsoLogin(code, state);
+
+      if (result.twoFactorRequired) {
+        navigate('/login', { replace: true, state: { challengeToken: result.challengeToken } });
+      } else if (result.success) {
+        navigate('/dashboard', { replace: true });
+      } else {
+        setError(result.message);
+      }
+    };
+
+    finish();
+  }, [completeSsoLogin, navigate, searchParams]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <div className="flex justify-center">
+            <CheckSquare className="h-12 w-12 text-primary-600" />
+          </div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Single sign-on
+          </h2>
+        </div>
+
+        {error ? (
+          <>
+            <div className="rounded-md bg-red-50 p-4 flex items-start">
+              <XCircle className="h-5 w-5 text-red-500 mr-3 flex-shrink-0" />
+              <p className="text-sm text-red-800">{error}</p>
+            </div>
+            <p className="text-center text-sm">
+              <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+                Back to sign in
+              </Link>
+            </p>
+          </>
+        ) : (
+          <div className="flex justify-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SsoCallback;
@@ -1,21 +1,39 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import { useForm } from 'react-hook-form';
 import { useAuth } from '../contexts/AuthContext';
-import { Plus, Edit, Trash2, Search, Filter, X } from 'lucide-react';
+import { Plus, Edit, Trash2, Search, Filter, X, Tag } from 'lucide-react';
 import toast from 'react-hot-toast';
+import TaskComments from '../components/TaskComments';
+import TaskAttachments from '../components/TaskAttachments';
+import TaskChecklist from '../components/TaskChecklist';
+import TaskDependencies from '../components/TaskDependencies';
+import Subtasks, { ProgressBar } from '../components/Subtasks';
+import Labels, { LabelChip, LabelPicker } from '../components/Labels';
+import TaskFilters, { emptyTaskFilters, sortOptions, countTaskFilters, taskFilterParams } from '../components/TaskFilters';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Render search highlight segments, marking the matched parts
+const Highlighted = ({ segments }) => segments.map((segment, i) => (
+  segment.match
+    ? <mark key={i} className="bg-yellow-200 text-inherit rounded-sm">{segment.text}</mark>
+    : <React.Fragment key={i}>{segment.text}</React.Fragment>
+));
 
 const Tasks = () => {
-  const { user } = useAuth();
+  const { user, hasPermission } = useAuth();
   const [tasks, setTasks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [editingTask, setEditingTask] = useState(null);
-  const [filters, setFilters] = useState({
-    status: '',
-    priority: '',
-    search: ''
-  });
+  const [filters, setFilters] = useState(emptyTaskFilters);
+  const [showFilters, setShowFilters] = useState(false);
+  const [searchInput, setSearchInput] = useState('');
+  const [labels, setLabels] = useState([]);
+  // Labels chosen in the task modal, as IDs
+  const [formLabels, setFormLabels] = useState([]);
+  const [showLabels, setShowLabels] = useState(false);
   const [pagination, setPagination] = useState({
     current: 1,
     pages: 1,
@@ -34,14 +52,61 @@ const Tasks = () => {
     fetchTasks();
   }, [filters, pagination.current]);
 
+  // Changing a filter starts again from the first page
+  const updateFilters = useCallback((changes) => {
+    setFilters((current) => ({ ...current, ...changes }));
+    setPagination((current) => ({ ...current, current: 1 }));
+  }, []);
+
+  // Search on the server once the user stops typing
+  useEffect(() => {
+    const search = searchInput.trim();
+    if (search === filters.search) return;
+
+    const timer = setTimeout(() => updateFilters({ search }), SEARCH_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [searchInput, filters.search, updateFilters]);
+
+  const clearFilters = () => {
+    setSearchInput('');
+    updateFilters(emptyTaskFilters);
+  };
+
+  const activeFilterCount = countTaskFilters(filters);
+
+  // Resolves to the fetched labels, or nothing when the request failed
+  const fetchLabels = useCallback(async () => {
+    try {
+      const response = await axios.get('/labels');
+      setLabels(response.data.data);
+      return response.data.data;
+    } catch (error) {
+      toast.error('Failed to fetch labels');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchLabels();
+  }, [fetchLabels]);
+
+  // Reload the tasks too, since they show label names and colors, and stop
+  // filtering by deleted labels
+  const handleLabelsChange = async () => {
+    const fetched = await fetchLabels();
+    if (!fetched) return;
+
+    const ids = fetched.map((label) => label._id);
+    updateFilters({ labels: filters.labels.filter((id) => ids.includes(id)) });
+  };
+
   const fetchTasks = async () => {
     try {
       setLoading(true);
       const params = new URLSearchParams({
         page: pagination.current,
         limit: pagination.limit,
-        ...(filters.status && { status: filters.status }),
-        ...(filters.priority && { priority: filters.priority })
+        ...taskFilterParams(filters)
       });
 
       const response = await axios.get(`/tasks?${params}`);
@@ -56,7 +121,7 @@ const Tasks = () => {
 
   const handleCreateTask = async (data) => {
     try {
-      await axios.post('/tasks', data);
+      await axios.post('/tasks', { ...data, labels: formLabels });
       toast.success('Task created successfully');
       setShowModal(false);
       reset();
@@ -66,19 +131,29 @@ const Tasks = () => {
     }
   };
 
-  const handleUpdateTask = async (data) => {
+  const updateTask = async (data, force) => {
     try {
-      await axios.put(`/tasks/${editingTask._id}`, data);
+      await axios.put(`/tasks/${editingTask._id}`, data, { params: force ? { force: true } : undefined });
       toast.success('Task updated successfully');
       setShowModal(false);
       setEditingTask(null);
       reset();
       fetchTasks();
     } catch (error) {
+      // Starting or finishing a blocked task needs a confirmation
+      if (error.response?.data?.code === 'TASK_BLOCKED') {
+        const titles = error.response.data.blockers.map((blocker) => blocker.title).join(', ');
+        if (window.confirm(`This task is blocked by: ${titles}. Change its status anyway?`)) {
+          updateTask(data, true);
+        }
+        return;
+      }
       toast.error(error.response?.data?.message || 'Failed to update task');
     }
   };
 
+  const handleUpdateTask = (data) => updateTask({ ...data, labels: formLabels }, false);
+
   const handleDeleteTask = async (taskId) => {
     if (window.confirm('Are you sure you want to delete this task?')) {
       try {
@@ -94,6 +169,7 @@ const Tasks = () => {
   const openModal = (task = null) => {
     setEditingTask(task);
     setShowModal(true);
+    setFormLabels(task ? task.labels.map((label) => label._id) : []);
     if (task) {
       reset({
         title: task.title,
@@ -139,11 +215,6 @@ const Tasks = () => {
     }
   };
 
-  const filteredTasks = tasks.filter(task =>
-    task.title.toLowerCase().includes(filters.search.toLowerCase()) ||
-    task.description.toLowerCase().includes(filters.search.toLowerCase())
-  );
-
   return (
     <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
       <div className="px-4 py-6 sm:px-0">
@@ -152,19 +223,30 @@ const Tasks = () => {
             <h1 className="text-3xl font-bold text-gray-900">Tasks</h1>
             <p className="mt-2 text-gray-600">Manage your tasks and track progress</p>
           </div>
-          <button
-            onClick={() => openModal()}
-            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
-          >
-            <Plus className="h-4 w-4 mr-2" />
-            New Task
-          </button>
+          <div className="flex items-center space-x-3">
+            {hasPermission('label.manage') && (
+              <button
+                onClick={() => setShowLabels(true)}
+                className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+              >
+                <Tag className="h-4 w-4 mr-2" />
+                Labels
+              </button>
+            )}
+            <button
+              onClick={() => openModal()}
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              New Task
+            </button>
+          </div>
         </div>
 
         {/* Filters */}
         <div className="mb-6 bg-white p-4 rounded-lg shadow">
           <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
-            <div>
+            <div className="md:col-span-2">
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Search
               </label>
@@ -173,8 +255,8 @@ const Tasks = () => {
                 <input
                   type="text"
                   placeholder="Search tasks..."
-                  value={filters.search}
-                  onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+                  value={searchInput}
+                  onChange={(e) => setSearchInput(e.target.value)}
                   className="pl-10 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500"
                 />
               </div>
@@ -182,45 +264,45 @@ const Tasks = () => {
             
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Status
+                Sort by
               </label>
               <select
-                value={filters.status}
-                onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+                value={filters.sort}
+                onChange={(e) => updateFilters({ sort: e.target.value })}
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500"
               >
-                <option value="">All Status</option>
-                <option value="pending">Pending</option>
-                <option value="in-progress">In Progress</option>
-                <option value="completed">Completed</option>
+                {sortOptions.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.value === '' && filters.search ? 'Best match' : option.label}
+                  </option>
+                ))}
               </select>
             </div>
             
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Priority
-              </label>
-              <select
-                value={filters.priority}
-                onChange={(e) => setFilters({ ...filters, priority: e.target.value })}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+            <div className="flex items-end space-x-2">
+              <button
+                onClick={() => setShowFilters(!showFilters)}
+                className={`flex-1 inline-flex justify-center items-center px-4 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 ${
+                  showFilters ? 'border-primary-500 text-primary-700 bg-primary-50' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                }`}
               >
-                <option value="">All Priority</option>
-                <option value="low">Low</option>
-                <option value="medium">Medium</option>
-                <option value="high">High</option>
-              </select>
-            </div>
-            
-            <div className="flex items-end">
+                <Filter className="h-4 w-4 mr-2" />
+                Filters{activeFilterCount > 0 && ` (${activeFilterCount})`}
+              </button>
               <button
-                onClick={() => setFilters({ status: '', priority: '', search: '' })}
-                className="w-full px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+                onClick={clearFilters}
+                className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
               >
                 Clear Filters
               </button>
             </div>
           </div>
+
+          {showFilters && (
+            <div className="mt-4 pt-4 border-t border-gray-200">
+              <TaskFilters filters={filters} labels={labels} onChange={updateFilters} />
+            </div>
+          )}
         </div>
 
         {/* Tasks List */}
@@ -229,15 +311,15 @@ const Tasks = () => {
             <div className="p-8 text-center">
               <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
             </div>
-          ) : filteredTasks.length > 0 ? (
+          ) : tasks.length > 0 ? (
             <ul className="divide-y divide-gray-200">
-              {filteredTasks.map((task) => (
+              {tasks.map((task) => (
                 <li key={task._id} className="px-6 py-4">
                   <div className="flex items-center justify-between">
                     <div className="flex-1 min-w-0">
                       <div className="flex items-center space-x-3">
                         <h3 className="text-lg font-medium text-gray-900 truncate">
-                          {task.title}
+                          {task.highlights ? <Highlighted segments={task.highlights.title} /> : task.title}
                         </h3>
                         <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(task.status)}`}>
                           {task.status}
@@ -245,14 +327,25 @@ const Tasks = () => {
                         <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getPriorityColor(task.priority)}`}>
                           {task.priority}
                         </span>
+                        {task.labels.map((label) => (
+                          <LabelChip key={label._id} label={label} />
+                        ))}
                       </div>
-                      <p className="mt-1 text-sm text-gray-500">{task.description}</p>
+                      {task.parent && (
+                        <p className="mt-1 text-xs text-gray-500">Subtask of {task.parent.title}</p>
+                      )}
+                      <p className="mt-1 text-sm text-gray-500">
+                        {task.highlights ? <Highlighted segments={task.highlights.description} /> : task.description}
+                      </p>
                       <div className="mt-2 flex items-center space-x-4 text-sm text-gray-500">
                         <span>Assigned to: {task.assignedTo?.username}</span>
                         <span>Created: {new Date(task.createdAt).toLocaleDateString()}</span>
                         {task.dueDate && (
                           <span>Due: {new Date(task.dueDate).toLocaleDateString()}</span>
                         )}
+                        {(task.progress.subtasks.total > 0 || task.progress.checklist.total > 0) && (
+                          <ProgressBar progress={task.progress} />
+                        )}
                       </div>
                     </div>
                     <div className="flex items-center space-x-2">
@@ -277,7 +370,7 @@ const Tasks = () => {
             <div className="p-8 text-center">
               <h3 className="text-lg font-medium text-gray-900">No tasks found</h3>
               <p className="mt-1 text-sm text-gray-500">
-                {Object.values(filters).some(f => f) ? 'Try adjusting your filters' : 'Get started by creating a new task'}
+                {activeFilterCount > 0 || filters.search ? 'Try adjusting your filters' : 'Get started by creating a new task'}
               </p>
             </div>
           )}
@@ -322,7 +415,7 @@ const Tasks = () => {
       {/* Modal */}
       {showModal && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
-          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+          <div className={`relative top-20 mx-auto mb-20 p-5 border shadow-lg rounded-md bg-white ${editingTask ? 'w-full max-w-2xl' : 'w-96'}`}>
             <div className="flex justify-between items-center mb-4">
               <h3 className="text-lg font-medium text-gray-900">
                 {editingTask ? 'Edit Task' : 'Create New Task'}
@@ -391,6 +484,11 @@ const Tasks = () => {
                 />
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Labels</label>
+                <LabelPicker labels={labels} selected={formLabels} onChange={setFormLabels} />
+              </div>
+
               <div className="flex justify-end space-x-3 pt-4">
                 <button
                   type="button"
@@ -407,6 +505,46 @@ const Tasks = () => {
                 </button>
               </div>
             </form>
+
+            {editingTask && (
+              <>
+                <div className="mt-6 pt-4 border-t border-gray-200">
+                  <TaskChecklist task={editingTask} onChange={fetchTasks} />
+                </div>
+                {!editingTask.parent && (
+                  <div className="mt-6 pt-4 border-t border-gray-200">
+                    <Subtasks taskId={editingTask._id} onChange={fetchTasks} />
+                  </div>
+                )}
+                <div className="mt-6 pt-4 border-t border-gray-200">
+                  <TaskDependencies taskId={editingTask._id} onChange={fetchTasks} />
+                </div>
+                <div className="mt-6 pt-4 border-t border-gray-200">
+                  <TaskAttachments taskId={editingTask._id} />
+                </div>
+                <div className="mt-6 pt-4 border-t border-gray-200">
+                  <TaskComments taskId={editingTask._id} />
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Label manager */}
+      {showLabels && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto mb-20 p-5 border shadow-lg rounded-md bg-white w-full max-w-2xl">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-lg font-medium text-gray-900">Labels</h3>
+              <button
+                onClick={() => setShowLabels(false)}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <X className="h-6 w-6" />
+              </button>
+            </div>
+            <Labels labels={labels} onLabelsChange={handleLabelsChange} />
           </div>
         </div>
       )}
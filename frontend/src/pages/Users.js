@@ -1,15 +1,20 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { Users as UsersIcon, Shield, User, ToggleLeft, ToggleRight } from 'lucide-react';
+import { Users as UsersIcon, Shield, User, ToggleLeft, ToggleRight, MailCheck, MailWarning, ShieldCheck, Lock, Unlock, KeyRound, RefreshCw, UserCheck } from 'lucide-react';
 import toast from 'react-hot-toast';
+import Invitations from '../components/Invitations';
+import Roles from '../components/Roles';
 
 const Users = () => {
-  const { user } = useAuth();
+  const { user, hasPermission, startImpersonation } = useAuth();
+  const navigate = useNavigate();
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filters, setFilters] = useState({
-    role: ''
+    role: '',
+    emailVerified: ''
   });
   const [pagination, setPagination] = useState({
     current: 1,
@@ -18,17 +23,124 @@ const Users = () => {
     limit: 10
   });
 
+  const [activeTab, setActiveTab] = useState('users');
+  const [roles, setRoles] = useState([]);
+  const [requireAdminTwoFactor, setRequireAdminTwoFactor] = useState(false);
+  const [blockImpersonatedDeletes, setBlockImpersonatedDeletes] = useState(true);
+  const [lockedIps, setLockedIps] = useState([]);
+
   useEffect(() => {
     fetchUsers();
   }, [filters, pagination.current]);
 
+  const canManageSecurity = hasPermission('settings.security.manage');
+  const canManageLockouts = hasPermission('user.lockout.manage');
+
+  const fetchRoles = useCallback(async () => {
+    try {
+      const response = await axios.get('/roles');
+      setRoles(response.data.data);
+    } catch (error) {
+      toast.error('Failed to fetch roles');
+    }
+  }, []);
+
+  const fetchLockedIps = useCallback(async () => {
+    try {
+      const response = await axios.get('/users/lockouts');
+      setLockedIps(response.data.data.ips);
+    } catch (error) {
+      toast.error('Failed to fetch lockouts');
+    }
+  }, []);
+
+  const fetchSecuritySettings = useCallback(async () => {
+    try {
+      const response = await axios.get('/users/settings/security');
+      setRequireAdminTwoFactor(response.data.data.requireAdminTwoFactor);
+      setBlockImpersonatedDeletes(response.data.data.blockImpersonatedDestructiveActions);
+    } catch (error) {
+      toast.error('Failed to fetch security settings');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRoles();
+    if (canManageSecurity) fetchSecuritySettings();
+    if (canManageLockouts) fetchLockedIps();
+  }, [canManageSecurity, canManageLockouts, fetchRoles, fetchSecuritySettings, fetchLockedIps]);
+
+  const handleUnlockUser = async (userId) => {
+    try {
+      await axios.delete(`/users/${userId}/lockout`);
+      toast.success('Account unlocked successfully');
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to unlock account');
+    }
+  };
+
+  const handleUnlockIp = async (ip) => {
+    try {
+      await axios.delete(`/users/lockouts/ips/${encodeURIComponent(ip)}`);
+      toast.success('IP lockout cleared successfully');
+      fetchLockedIps();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to clear IP lockout');
+    }
+  };
+
+  const isLocked = (userItem) => userItem.lockUntil && new Date(userItem.lockUntil) > new Date();
+
+  const handleRequireAdminTwoFactor = async (required) => {
+    try {
+      await axios.patch('/users/settings/security', { requireAdminTwoFactor: required });
+      setRequireAdminTwoFactor(required);
+      toast.success(required ? 'Two-factor authentication is now required for admins' : 'Two-factor authentication is now optional for admins');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update security settings');
+    }
+  };
+
+  const handleImpersonate = async (userItem) => {
+    const reason = window.prompt(`Why are you acting as ${userItem.username}? (optional, kept in the audit log)`);
+    if (reason === null) return;
+
+    const result = await startImpersonation(userItem._id, reason || undefined);
+    if (result.success) {
+      navigate('/tasks');
+    }
+  };
+
+  const handleBlockImpersonatedDeletes = async (blocked) => {
+    try {
+      await axios.patch('/users/settings/security', { blockImpersonatedDestructiveActions: blocked });
+      setBlockImpersonatedDeletes(blocked);
+      toast.success(blocked ? 'Deleting is now blocked while impersonating' : 'Deleting is now allowed while impersonating');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update security settings');
+    }
+  };
+
+  const handleRotateSigningKey = async () => {
+    if (!window.confirm('Rotate the token signing key? Existing tokens stay valid until they expire.')) return;
+
+    try {
+      await axios.post('/signing-keys/rotate');
+      toast.success('Signing key rotated successfully');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to rotate signing key');
+    }
+  };
+
   const fetchUsers = async () => {
     try {
       setLoading(true);
       const params = new URLSearchParams({
         page: pagination.current,
         limit: pagination.limit,
-        ...(filters.role && { role: filters.role })
+        ...(filters.role && { role: filters.role }),
+        ...(filters.emailVerified && { emailVerified: filters.emailVerified })
       });
 
       const response = await axios.get(`/users?${params}`);
@@ -56,15 +168,16 @@ const Users = () => {
       await axios.patch(`/users/${userId}/role`, { role: newRole });
       toast.success('User role updated successfully');
       fetchUsers();
+      fetchRoles();
     } catch (error) {
       toast.error(error.response?.data?.message || 'Failed to update user role');
     }
   };
 
   const getRoleColor = (role) => {
-    return role === 'admin' 
-      ? 'text-purple-600 bg-purple-100' 
-      : 'text-blue-600 bg-blue-100';
+    if (role === 'admin') return 'text-purple-600 bg-purple-100';
+    if (role === 'user') return 'text-blue-600 bg-blue-100';
+    return 'text-indigo-600 bg-indigo-100';
   };
 
   const getStatusColor = (isActive) => {
@@ -73,6 +186,12 @@ const Users = () => {
       : 'text-red-600 bg-red-100';
   };
 
+  const getVerificationColor = (emailVerified) => {
+    return emailVerified 
+      ? 'text-green-600 bg-green-100' 
+      : 'text-yellow-600 bg-yellow-100';
+  };
+
   return (
     <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
       <div className="px-4 py-6 sm:px-0">
@@ -81,154 +200,342 @@ const Users = () => {
           <p className="mt-2 text-gray-600">Manage user accounts and permissions</p>
         </div>
 
-        {/* Filters */}
-        <div className="mb-6 bg-white p-4 rounded-lg shadow">
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Filter by Role
-              </label>
-              <select
-                value={filters.role}
-                onChange={(e) => setFilters({ ...filters, role: e.target.value })}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500"
-              >
-                <option value="">All Roles</option>
-                <option value="user">User</option>
-                <option value="admin">Admin</option>
-              </select>
-            </div>
-            
-            <div className="flex items-end">
+        {/* Tabs */}
+        <div className="mb-6 border-b border-gray-200">
+          <nav className="-mb-px flex space-x-8">
+            {[
+              { id: 'users', label: 'Users' },
+              ...(hasPermission('user.invite') ? [{ id: 'invitations', label: 'Invitations' }] : []),
+              ...(hasPermission('role.manage') ? [{ id: 'roles', label: 'Roles' }] : [])
+            ].map((tab) => (
               <button
-                onClick={() => setFilters({ role: '' })}
-                className="w-full px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+                key={tab.id}
+                onClick={() => setActiveTab(tab.id)}
+                className={`py-2 px-1 border-b-2 text-sm font-medium ${
+                  activeTab === tab.id
+                    ? 'border-primary-500 text-primary-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
               >
-                Clear Filters
+                {tab.label}
               </button>
-            </div>
-          </div>
+            ))}
+          </nav>
         </div>
 
-        {/* Users List */}
-        <div className="bg-white shadow overflow-hidden sm:rounded-md">
-          {loading ? (
-            <div className="p-8 text-center">
-              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+        {activeTab === 'invitations' ? (
+          <Invitations roles={roles} />
+        ) : activeTab === 'roles' ? (
+          <Roles roles={roles} onRolesChange={fetchRoles} />
+        ) : (
+          <>
+            {/* Security settings */}
+            {canManageSecurity && (
+              <div className="mb-6 bg-white p-4 rounded-lg shadow flex items-center justify-between">
+                <div className="flex items-center">
+                  <ShieldCheck className="h-5 w-5 text-primary-600 mr-3" />
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">Require two-factor authentication for admins</p>
+                    <p className="text-sm text-gray-500">Admins without 2FA are locked out of admin features until they enable it.</p>
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleRequireAdminTwoFactor(!requireAdminTwoFactor)}
+                  className="flex items-center space-x-2 px-3 py-1 rounded-md text-sm font-medium border border-gray-300 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+                >
+                  {requireAdminTwoFactor ? (
+                    <>
+                      <ToggleRight className="h-4 w-4 text-green-600" />
+                      <span>Required</span>
+                    </>
+                  ) : (
+                    <>
+                      <ToggleLeft className="h-4 w-4 text-gray-400" />
+                      <span>Optional</span>
+                    </>
+                  )}
+                </button>
+              </div>
+            )}
+
+            {canManageSecurity && (
+              <div className="mb-6 bg-white p-4 rounded-lg shadow flex items-center justify-between">
+                <div className="flex items-center">
+                  <UserCheck className="h-5 w-5 text-primary-600 mr-3" />
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">Block deleting while impersonating</p>
+                    <p className="text-sm text-gray-500">Admins acting as a user cannot delete anything. Applies to impersonations started from now on.</p>
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleBlockImpersonatedDeletes(!blockImpersonatedDeletes)}
+                  className="flex items-center space-x-2 px-3 py-1 rounded-md text-sm font-medium border border-gray-300 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+                >
+                  {blockImpersonatedDeletes ? (
+                    <>
+                      <ToggleRight className="h-4 w-4 text-green-600" />
+                      <span>Blocked</span>
+                    </>
+                  ) : (
+                    <>
+                      <ToggleLeft className="h-4 w-4 text-gray-400" />
+                      <span>Allowed</span>
+                    </>
+                  )}
+                </button>
+              </div>
+            )}
+
+            {/* Token signing key */}
+            {canManageSecurity && (
+              <div className="mb-6 bg-white p-4 rounded-lg shadow flex items-center justify-between">
+                <div className="flex items-center">
+                  <KeyRound className="h-5 w-5 text-primary-600 mr-3" />
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">Token signing key</p>
+                    <p className="text-sm text-gray-500">Rotate if a key may have leaked. Tokens signed with the old key keep working until they expire.</p>
+                  </div>
+                </div>
+                <button
+                  onClick={handleRotateSigningKey}
+                  className="flex items-center space-x-2 px-3 py-1 rounded-md text-sm font-medium border border-gray-300 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+                >
+                  <RefreshCw className="h-4 w-4 text-gray-500" />
+                  <span>Rotate key</span>
+                </button>
+              </div>
+            )}
+
+            {/* Locked IP addresses */}
+            {lockedIps.length > 0 && (
+              <div className="mb-6 bg-white p-4 rounded-lg shadow">
+                <div className="flex items-center mb-3">
+                  <Lock className="h-5 w-5 text-red-600 mr-3" />
+                  <p className="text-sm font-medium text-gray-900">IP addresses locked after failed logins</p>
+                </div>
+                <ul className="divide-y divide-gray-200">
+                  {lockedIps.map((lockout) => (
+                    <li key={lockout.ip} className="py-2 flex items-center justify-between text-sm">
+                      <span className="font-mono text-gray-900">{lockout.ip}</span>
+                      <span className="text-gray-500">
+                        {lockout.failedLoginAttempts} failures, locked until {new Date(lockout.lockUntil).toLocaleTimeString()}
+                      </span>
+                      <button
+                        onClick={() => handleUnlockIp(lockout.ip)}
+                        className="flex items-center px-3 py-1 rounded-md text-sm font-medium border border-gray-300 hover:bg-gray-50"
+                      >
+                        <Unlock className="h-4 w-4 mr-1" />
+                        Unlock
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {/* Filters */}
+            <div className="mb-6 bg-white p-4 rounded-lg shadow">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Filter by Role
+                  </label>
+                  <select
+                    value={filters.role}
+                    onChange={(e) => setFilters({ ...filters, role: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+                  >
+                    <option value="">All Roles</option>
+                    {roles.map((role) => (
+                      <option key={role._id} value={role.name}>{role.name}</option>
+                    ))}
+                  </select>
+                </div>
+            
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Email Verification
+                  </label>
+                  <select
+                    value={filters.emailVerified}
+                    onChange={(e) => setFilters({ ...filters, emailVerified: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+                  >
+                    <option value="">All</option>
+                    <option value="true">Verified</option>
+                    <option value="false">Unverified</option>
+                  </select>
+                </div>
+            
+                <div className="flex items-end">
+                  <button
+                    onClick={() => setFilters({ role: '', emailVerified: '' })}
+                    className="w-full px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+                  >
+                    Clear Filters
+                  </button>
+                </div>
+              </div>
             </div>
-          ) : users.length > 0 ? (
-            <ul className="divide-y divide-gray-200">
-              {users.map((userItem) => (
-                <li key={userItem._id} className="px-6 py-4">
-                  <div className="flex items-center justify-between">
-                    <div className="flex items-center space-x-4">
-                      <div className="flex-shrink-0">
-                        <div className="h-10 w-10 rounded-full bg-gray-200 flex items-center justify-center">
-                          <User className="h-6 w-6 text-gray-500" />
-                        </div>
-                      </div>
-                      <div className="flex-1 min-w-0">
-                        <div className="flex items-center space-x-3">
-                          <h3 className="text-lg font-medium text-gray-900">
-                            {userItem.username}
-                          </h3>
-                          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getRoleColor(userItem.role)}`}>
-                            <Shield className="h-3 w-3 mr-1" />
-                            {userItem.role}
-                          </span>
-                          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(userItem.isActive)}`}>
-                            {userItem.isActive ? 'Active' : 'Inactive'}
-                          </span>
+
+            {/* Users List */}
+            <div className="bg-white shadow overflow-hidden sm:rounded-md">
+              {loading ? (
+                <div className="p-8 text-center">
+                  <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+                </div>
+              ) : users.length > 0 ? (
+                <ul className="divide-y divide-gray-200">
+                  {users.map((userItem) => (
+                    <li key={userItem._id} className="px-6 py-4">
+                      <div className="flex items-center justify-between">
+                        <div className="flex items-center space-x-4">
+                          <div className="flex-shrink-0">
+                            <div className="h-10 w-10 rounded-full bg-gray-200 flex items-center justify-center">
+                              <User className="h-6 w-6 text-gray-500" />
+                            </div>
+                          </div>
+                          <div className="flex-1 min-w-0">
+                            <div className="flex items-center space-x-3">
+                              <h3 className="text-lg font-medium text-gray-900">
+                                {userItem.username}
+                              </h3>
+                              <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getRoleColor(userItem.role)}`}>
+                                <Shield className="h-3 w-3 mr-1" />
+                                {userItem.role}
+                              </span>
+                              <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(userItem.isActive)}`}>
+                                {userItem.isActive ? 'Active' : 'Inactive'}
+                              </span>
+                              <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getVerificationColor(userItem.emailVerified)}`}>
+                                {userItem.emailVerified ? (
+                                  <MailCheck className="h-3 w-3 mr-1" />
+                                ) : (
+                                  <MailWarning className="h-3 w-3 mr-1" />
+                                )}
+                                {userItem.emailVerified ? 'Verified' : 'Unverified'}
+                              </span>
+                              {isLocked(userItem) && (
+                                <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium text-red-600 bg-red-100">
+                                  <Lock className="h-3 w-3 mr-1" />
+                                  Locked
+                                </span>
+                              )}
+                            </div>
+                            <p className="text-sm text-gray-500">{userItem.email}</p>
+                            <p className="text-sm text-gray-400">
+                              Joined: {new Date(userItem.createdAt).toLocaleDateString()}
+                            </p>
+                          </div>
                         </div>
-                        <p className="text-sm text-gray-500">{userItem.email}</p>
-                        <p className="text-sm text-gray-400">
-                          Joined: {new Date(userItem.createdAt).toLocaleDateString()}
-                        </p>
-                      </div>
-                    </div>
                     
-                    <div className="flex items-center space-x-4">
-                      {/* Role Change */}
-                      <div className="flex items-center space-x-2">
-                        <label className="text-sm text-gray-700">Role:</label>
-                        <select
-                          value={userItem.role}
-                          onChange={(e) => handleRoleChange(userItem._id, e.target.value)}
-                          disabled={userItem._id === user._id}
-                          className="text-sm border border-gray-300 rounded px-2 py-1 focus:outline-none focus:ring-primary-500 focus:border-primary-500 disabled:bg-gray-100"
-                        >
-                          <option value="user">User</option>
-                          <option value="admin">Admin</option>
-                        </select>
-                      </div>
+                        <div className="flex items-center space-x-4">
+                          {/* Unlock after failed logins */}
+                          {isLocked(userItem) && (
+                            <button
+                              onClick={() => handleUnlockUser(userItem._id)}
+                              className="flex items-center space-x-2 px-3 py-1 rounded-md text-sm font-medium border border-gray-300 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+                            >
+                              <Unlock className="h-4 w-4 text-red-600" />
+                              <span>Unlock</span>
+                            </button>
+                          )}
+
+                          {/* See the app as this user */}
+                          {hasPermission('user.impersonate') && userItem._id !== user._id && userItem.isActive && (
+                            <button
+                              onClick={() => handleImpersonate(userItem)}
+                              className="flex items-center space-x-2 px-3 py-1 rounded-md text-sm font-medium border border-gray-300 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+                            >
+                              <UserCheck className="h-4 w-4 text-primary-600" />
+                              <span>Impersonate</span>
+                            </button>
+                          )}
+
+                          {/* Role Change */}
+                          <div className="flex items-center space-x-2">
+                            <label className="text-sm text-gray-700">Role:</label>
+                            <select
+                              value={userItem.role}
+                              onChange={(e) => handleRoleChange(userItem._id, e.target.value)}
+                              disabled={userItem._id === user._id}
+                              className="text-sm border border-gray-300 rounded px-2 py-1 focus:outline-none focus:ring-primary-500 focus:border-primary-500 disabled:bg-gray-100"
+                            >
+                              {roles.map((role) => (
+                                <option key={role._id} value={role.name}>{role.name}</option>
+                              ))}
+                            </select>
+                          </div>
                       
-                      {/* Status Toggle */}
-                      <button
-                        onClick={() => handleToggleStatus(userItem._id, userItem.isActive)}
-                        disabled={userItem._id === user._id}
-                        className="flex items-center space-x-2 px-3 py-1 rounded-md text-sm font-medium border border-gray-300 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
-                      >
-                        {userItem.isActive ? (
-                          <>
-                            <ToggleRight className="h-4 w-4 text-green-600" />
-                            <span>Deactivate</span>
-                          </>
-                        ) : (
-                          <>
-                            <ToggleLeft className="h-4 w-4 text-red-600" />
-                            <span>Activate</span>
-                          </>
-                        )}
-                      </button>
-                    </div>
-                  </div>
-                </li>
-              ))}
-            </ul>
-          ) : (
-            <div className="p-8 text-center">
-              <UsersIcon className="mx-auto h-12 w-12 text-gray-400" />
-              <h3 className="mt-2 text-lg font-medium text-gray-900">No users found</h3>
-              <p className="mt-1 text-sm text-gray-500">
-                {filters.role ? 'Try adjusting your filters' : 'No users available'}
-              </p>
+                          {/* Status Toggle */}
+                          <button
+                            onClick={() => handleToggleStatus(userItem._id, userItem.isActive)}
+                            disabled={userItem._id === user._id}
+                            className="flex items-center space-x-2 px-3 py-1 rounded-md text-sm font-medium border border-gray-300 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                          >
+                            {userItem.isActive ? (
+                              <>
+                                <ToggleRight className="h-4 w-4 text-green-600" />
+                                <span>Deactivate</span>
+                              </>
+                            ) : (
+                              <>
+                                <ToggleLeft className="h-4 w-4 text-red-600" />
+                                <span>Activate</span>
+                              </>
+                            )}
+                          </button>
+                        </div>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <div className="p-8 text-center">
+                  <UsersIcon className="mx-auto h-12 w-12 text-gray-400" />
+                  <h3 className="mt-2 text-lg font-medium text-gray-900">No users found</h3>
+                  <p className="mt-1 text-sm text-gray-500">
+                    {Object.values(filters).some(f => f) ? 'Try adjusting your filters' : 'No users available'}
+                  </p>
+                </div>
+              )}
             </div>
-          )}
-        </div>
 
-        {/* Pagination */}
-        {pagination.pages > 1 && (
-          <div className="mt-6 flex justify-center">
-            <nav className="relative z-0 inline-flex rounded-md shadow-sm -space-x-px">
-              <button
-                onClick={() => setPagination({ ...pagination, current: pagination.current - 1 })}
-                disabled={pagination.current === 1}
-                className="relative inline-flex items-center px-2 py-2 rounded-l-md border border-gray-300 bg-white text-sm font-medium text-gray-500 hover:bg-gray-50 disabled:opacity-50"
-              >
-                Previous
-              </button>
-              {[...Array(pagination.pages)].map((_, i) => (
-                <button
-                  key={i + 1}
-                  onClick={() => setPagination({ ...pagination, current: i + 1 })}
-                  className={`relative inline-flex items-center px-4 py-2 border text-sm font-medium ${
-                    pagination.current === i + 1
-                      ? 'z-10 bg-primary-50 border-primary-500 text-primary-600'
-                      : 'bg-white border-gray-300 text-gray-500 hover:bg-gray-50'
-                  }`}
-                >
-                  {i + 1}
-                </button>
-              ))}
-              <button
-                onClick={() => setPagination({ ...pagination, current: pagination.current + 1 })}
-                disabled={pagination.current === pagination.pages}
-                className="relative inline-flex items-center px-2 py-2 rounded-r-md border border-gray-300 bg-white text-sm font-medium text-gray-500 hover:bg-gray-50 disabled:opacity-50"
-              >
-                Next
-              </button>
-            </nav>
-          </div>
+            {/* Pagination */}
+            {pagination.pages > 1 && (
+              <div className="mt-6 flex justify-center">
+                <nav className="relative z-0 inline-flex rounded-md shadow-sm -space-x-px">
+                  <button
+                    onClick={() => setPagination({ ...pagination, current: pagination.current - 1 })}
+                    disabled={pagination.current === 1}
+                    className="relative inline-flex items-center px-2 py-2 rounded-l-md border border-gray-300 bg-white text-sm font-medium text-gray-500 hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    Previous
+                  </button>
+                  {[...Array(pagination.pages)].map((_, i) => (
+                    <button
+                      key={i + 1}
+                      onClick={() => setPagination({ ...pagination, current: i + 1 })}
+                      className={`relative inline-flex items-center px-4 py-2 border text-sm font-medium ${
+                        pagination.current === i + 1
+                          ? 'z-10 bg-primary-50 border-primary-500 text-primary-600'
+                          : 'bg-white border-gray-300 text-gray-500 hover:bg-gray-50'
+                      }`}
+                    >
+                      {i + 1}
+                    </button>
+                  ))}
+                  <button
+                    onClick={() => setPagination({ ...pagination, current: pagination.current + 1 })}
+                    disabled={pagination.current === pagination.pages}
+                    className="relative inline-flex items-center px-2 py-2 rounded-r-md border border-gray-300 bg-white text-sm font-medium text-gray-500 hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    Next
+                  </button>
+                </nav>
+              </div>
+            )}
+          </>
         )}
       </div>
     </div>
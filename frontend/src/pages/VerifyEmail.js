@@ -0,0 +1,91 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import { useAuth } from '../contexts/AuthContext';
+import { CheckSquare, CheckCircle, XCircle } from 'lucide-react';
+
+const VerifyEmail = () => {
+  const { user, refreshUser } = useAuth();
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  const token = searchParams.get('token');
+  // Tokens only work once, so send each one a single time even when the
+  // refreshed user re-runs the effect
+  const verifiedToken = useRef();
+
+  useEffect(() => {
+    if (verifiedToken.current === token) return;
+    verifiedToken.current = token;
+
+    const verify = async () => {
+      if (!token) {
+        setStatus('error');
+        setMessage('This verification link is missing its token.');
+        return;
+      }
+
+      try {
+        const response = await axios.post('/auth/verify-email', { token });
+        setStatus('success');
+        setMessage(response.data.message);
+        if (user) {
+          refreshUser();
+        }
+      } catch (error) {
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Failed to verify email');
+      }
+    };
+
+    verify();
+  }, [token, user, refreshUser]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <div className="flex justify-center">
+            <CheckSquare className="h-12 w-12 text-primary-600" />
+          </div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Email verification
+          </h2>
+        </div>
+
+        {status === 'verifying' && (
+          <div className="flex justify-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          </div>
+        )}
+
+        {status === 'success' && (
+          <div className="rounded-md bg-green-50 p-4 flex items-start">
+            <CheckCircle className="h-5 w-5 text-green-500 mr-3 flex-shrink-0" />
+            <p className="text-sm text-green-800">{message}</p>
+          </div>
+        )}
+
+        {status === 'error' && (
+          <div className="rounded-md bg-red-50 p-4 flex items-start">
+            <XCircle className="h-5 w-5 text-red-500 mr-3 flex-shrink-0" />
+            <p className="text-sm text-red-800">{message}</p>
+          </div>
+        )}
+
+        {status !== 'verifying' && (
+          <p className="text-center text-sm text-gray-600">
+            <Link
+              to={user ? '/dashboard' : '/login'}
+              className="font-medium text-primary-600 hover:text-primary-500"
+            >
+              {user ? 'Go to dashboard' : 'Go to sign in'}
+            </Link>
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,60 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+
+// Used until the API's policy has loaded; matches the server defaults
+const DEFAULT_POLICY = {
+  minLength: 8,
+  maxLength: 72,
+  requireLowercase: true,
+  requireUppercase: true,
+  requireDigit: true,
+  requireSymbol: false
+};
+
+// The password rules configured on the server
+export const usePasswordPolicy = () => {
+  const [policy, setPolicy] = useState(DEFAULT_POLICY);
+
+  useEffect(() => {
+    axios.get('/auth/password-policy')
+      .then((response) => setPolicy(response.data.data))
+      .catch(() => {
+        // Keep the defaults; the server still checks every password
+      });
+  }, []);
+
+  return policy;
+};
+
+// react-hook-form rules for a new password field. Each check is keyed by the
+// error code the API uses for the same rule. Breached and reused passwords can
+// only be detected by the server.
+export const passwordRules = (policy) => ({
+  required: 'Password is required',
+  validate: {
+    PASSWORD_TOO_SHORT: (value) => value.length >= policy.minLength ||
+      `Password must be at least ${policy.minLength} characters long`,
+    PASSWORD_TOO_LONG: (value) => new TextEncoder().encode(value).length <= policy.maxLength ||
+      `Password must be at most ${policy.maxLength} bytes long (accented letters and emoji take more than one)`,
+    PASSWORD_MISSING_LOWERCASE: (value) => !policy.requireLowercase || /[a-z]/.test(value) ||
+      'Password must contain at least one lowercase letter',
+    PASSWORD_MISSING_UPPERCASE: (value) => !policy.requireUppercase || /[A-Z]/.test(value) ||
+      'Password must contain at least one uppercase letter',
+    PASSWORD_MISSING_DIGIT: (value) => !policy.requireDigit || /\d/.test(value) ||
+      'Password must contain at least one number',
+    PASSWORD_MISSING_SYMBOL: (value) => !policy.requireSymbol || /[^a-zA-Z\d]/.test(value) ||
+      'Password must contain at least one symbol'
+  }
+});
+
+// Show the API's validation errors for the given form fields next to those
+// fields. Returns whether any error was placed, so callers can skip a toast.
+export const showServerErrors = (errors, setError, fields) => {
+  const fieldErrors = (errors || []).filter((error) => fields.includes(error.path));
+
+  fieldErrors.forEach((error) => {
+    setError(error.path, { type: error.code || 'server', message: error.msg });
+  });
+
+  return fieldErrors.length > 0;
+};
@@ -1,22 +1,99 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
+const {
+  verifyAccessToken,
+  isPersonalAccessToken,
+  usePersonalAccessToken
+} = require('../services/tokenService');
+const { mustEnrolTwoFactor } = require('../services/twoFactorService');
+const { accessTokenFromCookie, hasValidCsrfToken } = require('../services/authCookies');
+const {
+  findActiveImpersonation,
+  isDestructiveRequest,
+  recordImpersonatedRequest
+} = require('../services/impersonation');
+const { emailVerificationPolicy } = require('../config/auth');
+const { permissions, isAdministrativePermission } = require('../config/permissions');
 
-// Verify JWT token
+const SESSION_LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// Verify JWT token or personal access token, from the Authorization header
+// or, for the browser app in cookie mode, from the access token cookie
 const authenticate = async (req, res, next) => {
   try {
     const authHeader = req.header('Authorization');
+    const hasBearerToken = Boolean(authHeader) && authHeader.startsWith('Bearer ');
+    const cookieToken = !hasBearerToken && accessTokenFromCookie(req);
     
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    if (!hasBearerToken && !cookieToken) {
       return res.status(401).json({
         success: false,
         message: 'Access denied. No token provided or invalid format.'
       });
     }
 
-    const token = authHeader.substring(7);
+    // Browsers attach cookies to cross-site requests too, so writes must prove
+    // they come from our app with the CSRF token
+    if (cookieToken && !hasValidCsrfToken(req)) {
+      return res.status(403).json({
+        success: false,
+        code: 'CSRF_TOKEN_INVALID',
+        message: 'Missing or invalid CSRF token.'
+      });
+    }
+
+    const token = hasBearerToken ? authHeader.substring(7) : cookieToken;
+
+    // Personal access tokens used by scripts and CI
+    if (isPersonalAccessToken(token)) {
+      const accessToken = await usePersonalAccessToken(token);
+
+      if (!accessToken) {
+        return res.status(401).json({
+          success: false,
+          message: 'Access token is invalid, expired or revoked.'
+        });
+      }
+
+      const user = await User.findById(accessToken.user).select('-password');
+
+      if (!user || !user.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid token or user not found.'
+        });
+      }
+
+      req.user = user;
+      req.permissions = await Role.permissionsFor(user.role);
+      req.accessToken = accessToken;
+      return next();
+    }
     
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = await verifyAccessToken(token);
+
+      // Impersonation tokens are valid while their impersonation is; other
+      // access tokens while their session is
+      const impersonated = decoded.act && await findActiveImpersonation(decoded);
+      const session = !decoded.act && decoded.sid && await Session.findById(decoded.sid);
+
+      if (decoded.act && !impersonated) {
+        return res.status(401).json({
+          success: false,
+          code: 'IMPERSONATION_ENDED',
+          message: 'Impersonation has ended or expired.'
+        });
+      }
+
+      if (!decoded.act && (!session || !session.isValid() || session.user.toString() !== decoded.userId)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired or been revoked.'
+        });
+      }
+
       const user = await User.findById(decoded.userId).select('-password');
       
       if (!user || !user.isActive) {
@@ -26,7 +103,48 @@ const authenticate = async (req, res, next) => {
         });
       }
 
+      // Tokens issued before the user's last logout-all or account change
+      if (decoded.tv !== user.tokenVersion) {
+        return res.status(401).json({
+          success: false,
+          message: 'Token has been revoked.'
+        });
+      }
+
+      if (impersonated) {
+        req.user = user;
+        req.permissions = await Role.permissionsFor(user.role);
+        req.impersonation = impersonated.impersonation;
+        req.impersonator = impersonated.admin;
+
+        // Every request made as someone else ends up in the audit log
+        const blocked = impersonated.impersonation.blockDestructiveActions && isDestructiveRequest(req);
+        recordImpersonatedRequest(req, res, { blocked });
+
+        if (blocked) {
+          return res.status(403).json({
+            success: false,
+            code: 'IMPERSONATION_ACTION_BLOCKED',
+            message: 'Destructive actions are blocked while impersonating.'
+          });
+        }
+
+        return next();
+      }
+
+      // Keep "last seen" current without writing on every single request
+      if (Date.now() - session.lastSeenAt > SESSION_LAST_SEEN_INTERVAL_MS) {
+        session.lastSeenAt = new Date();
+        session.ipAddress = req.ip;
+        await Session.updateOne(
+          { _id: session._id },
+          { $set: { lastSeenAt: session.lastSeenAt, ipAddress: session.ipAddress } }
+        );
+      }
+
       req.user = user;
+      req.permissions = await Role.permissionsFor(user.role);
+      req.authSession = session;
       next();
     } catch (jwtError) {
       return res.status(401).json({
@@ -42,9 +160,65 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-// Check if user has required role
-const authorize = (...roles) => {
+// Check that a personal access token carries every listed scope.
+// Requests made with a login session are not limited by scopes.
+const requireScope = (...scopes) => {
   return (req, res, next) => {
+    if (!req.accessToken) {
+      return next();
+    }
+
+    const missing = scopes.filter((scope) => !req.accessToken.scopes.includes(scope));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        code: 'INSUFFICIENT_SCOPE',
+        message: `Access token is missing the required scope: ${missing.join(', ')}.`
+      });
+    }
+
+    next();
+  };
+};
+
+// Account and credential management needs a real login, not a personal
+// access token, and cannot be done while impersonating
+const requireSession = (req, res, next) => {
+  if (req.impersonation) {
+    return res.status(403).json({
+      success: false,
+      code: 'IMPERSONATION_ACTION_BLOCKED',
+      message: 'This endpoint cannot be used while impersonating.'
+    });
+  }
+
+  if (!req.accessToken) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'Personal access tokens cannot be used for this endpoint.'
+  });
+};
+
+// Whether the request may use a permission: the user's role must hold it and
+// a personal access token must also carry the scope it needs
+const hasPermission = (req, permission) => {
+  if (!req.permissions || !req.permissions.includes(permission)) {
+    return false;
+  }
+  return !req.accessToken || req.accessToken.scopes.includes(permissions[permission].scope);
+};
+
+// Whether the user could hand out these permissions, i.e. holds all of them.
+// Stops anyone granting a role more powerful than their own.
+const canGrantPermissions = (req, granted) => granted.every((permission) => req.permissions.includes(permission));
+
+// Check that the user's role holds every listed permission
+const requirePermission = (...required) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -52,10 +226,42 @@ const authorize = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    const missing = required.filter((permission) => !req.permissions.includes(permission));
+
+    if (missing.length > 0) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Insufficient permissions.'
+        code: 'PERMISSION_DENIED',
+        message: `Access denied. Missing permission: ${missing.join(', ')}.`
+      });
+    }
+
+    if (req.accessToken) {
+      const missingScopes = [...new Set(required.map((permission) => permissions[permission].scope))]
+        .filter((scope) => !req.accessToken.scopes.includes(scope));
+
+      if (missingScopes.length > 0) {
+        return res.status(403).json({
+          success: false,
+          code: 'INSUFFICIENT_SCOPE',
+          message: `Access token is missing the required scope: ${missingScopes.join(', ')}.`
+        });
+      }
+    }
+
+    try {
+      // Admins may be required to enrol in 2FA before using administrative endpoints
+      if (required.some(isAdministrativePermission) && await mustEnrolTwoFactor(req.user)) {
+        return res.status(403).json({
+          success: false,
+          code: 'TWO_FACTOR_SETUP_REQUIRED',
+          message: 'Two-factor authentication must be enabled for admin accounts.'
+        });
+      }
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Server error during authorization.'
       });
     }
 
@@ -63,8 +269,17 @@ const authorize = (...roles) => {
   };
 };
 
-// Check if user is admin
-const requireAdmin = authorize('admin');
+// Block changes from users who have not verified their email (when the policy asks for it)
+const requireVerifiedEmail = (req, res, next) => {
+  if (emailVerificationPolicy === 'none' || req.user.emailVerified) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'Please verify your email address before making changes.'
+  });
+};
 
 // Check if user can access resource (own resource or admin)
 const requireOwnershipOrAdmin = (resourceUserField = 'userId') => {
@@ -76,8 +291,8 @@ const requireOwnershipOrAdmin = (resourceUserField = 'userId') => {
       });
     }
 
-    // Admin can access everything
-    if (req.user.role === 'admin') {
+    // Users who can see every account can access everything
+    if (hasPermission(req, 'user.view')) {
       return next();
     }
 
@@ -96,7 +311,11 @@ const requireOwnershipOrAdmin = (resourceUserField = 'userId') => {
 
 module.exports = {
   authenticate,
-  authorize,
-  requireAdmin,
+  hasPermission,
+  canGrantPermissions,
+  requirePermission,
+  requireScope,
+  requireSession,
+  requireVerifiedEmail,
   requireOwnershipOrAdmin
 };
@@ -0,0 +1,51 @@
+const Task = require('../models/Task');
+const { hasPermission } = require('./auth');
+
+const isInvolved = (req, task) => (
+  task.assignedTo.toString() === req.user._id.toString() ||
+  task.createdBy.toString() === req.user._id.toString()
+);
+
+// The rules of GET /tasks/:id and PUT /tasks/:id: the creator and the
+// assignee may view and edit a task, others need task.view.any or
+// task.update.any
+const canAccessTask = {
+  view: (req, task) => hasPermission(req, 'task.view.any') || isInvolved(req, task),
+  update: (req, task) => hasPermission(req, 'task.update.any') || isInvolved(req, task)
+};
+
+// Load the task in the `id` route parameter into req.task, if the user may
+// `access` ('view' or 'update') it. For routes nested below /tasks/:id.
+const loadTask = (access) => async (req, res, next) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!canAccessTask[access](req, task)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    req.task = task;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching task',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  canAccessTask,
+  loadTask
+};
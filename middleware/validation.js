@@ -1,4 +1,21 @@
-const { body, param, query, validationResult } = require('express-validator');
+const { body, header, param, query, validationResult } = require('express-validator');
+const { invitationPolicy, personalAccessTokenPolicy } = require('../config/auth');
+const { permissionNames } = require('../config/permissions');
+const { passwordRules, passwordError } = require('../services/passwordPolicy');
+const SecurityEvent = require('../models/SecurityEvent');
+const {
+  DATE_FIELDS,
+  parseStatusList,
+  parsePriorityList,
+  parseUserList,
+  parseBoolean,
+  parseLabelList,
+  parseTaskId,
+  parseDateRange,
+  parseSort,
+  sortsByRelevance
+} = require('../services/taskQuery');
+const { decodeCursor } = require('../services/cursorPagination');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -7,12 +24,30 @@ const handleValidationErrors = (req, res, next) => {
     return res.status(400).json({
       success: false,
       message: 'Validation failed',
-      errors: errors.array()
+      // Structured messages ({ code, message }) become a code next to the usual msg
+      errors: errors.array().map((error) => (
+        error.msg && error.msg.code ? { ...error, msg: error.msg.message, code: error.msg.code } : error
+      ))
     });
   }
   next();
 };
 
+// Password policy rules shared by every endpoint that sets a password. Each
+// broken rule is reported separately with its error code.
+const passwordStrength = (field) => passwordRules.reduce(
+  (chain, rule) => chain.custom(async (password) => {
+    if (!(await rule.test(password))) {
+      throw passwordError(rule.code);
+    }
+    return true;
+  }),
+  body(field)
+    .isString()
+    .withMessage('Password is required')
+    .bail()
+);
+
 // User validation rules
 const validateUserRegistration = [
   body('username')
@@ -27,11 +62,55 @@ const validateUserRegistration = [
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
   
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  passwordStrength('password'),
+  
+  body('inviteToken')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Invite token must be a non-empty string'),
+  
+  handleValidationErrors
+];
+
+const validateProfileUpdate = [
+  body('username')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Username must be between 3 and 30 characters')
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Username can only contain letters, numbers, and underscores'),
+  
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+
+  // Required by the route when the email actually changes
+  body('currentPassword')
+    .optional()
+    .isString()
+    .withMessage('Current password must be a string'),
+  
+  body()
+    .custom((value) => value.username !== undefined || value.email !== undefined)
+    .withMessage('Provide a username or email to update'),
+  
+  handleValidationErrors
+];
+
+const validateChangePassword = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  
+  passwordStrength('newPassword'),
+  
+  body('newPassword')
+    .custom((value, { req }) => value !== req.body.currentPassword)
+    .withMessage('New password must be different from the current password'),
   
   handleValidationErrors
 ];
@@ -49,7 +128,257 @@ const validateUserLogin = [
   handleValidationErrors
 ];
 
+const validateRefreshToken = [
+  // Cookie-mode clients send the refresh token as a cookie instead
+  body('refreshToken')
+    .if(header('X-Auth-Mode').not().equals('cookie'))
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  
+  handleValidationErrors
+];
+
+const validateOidcCallback = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+  
+  body('state')
+    .isString()
+    .notEmpty()
+    .withMessage('State is required'),
+  
+  handleValidationErrors
+];
+
+// Endpoints that only take an email address (password reset, verification resend)
+const validateEmailRequest = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  
+  handleValidationErrors
+];
+
+const validateResetPassword = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  
+  passwordStrength('password'),
+  
+  handleValidationErrors
+];
+
+const validateVerifyEmail = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required'),
+  
+  handleValidationErrors
+];
+
+// Invitation validation rules
+const validateInvitation = [
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  
+  body('role')
+    .optional()
+    .isString()
+    .trim()
+    .toLowerCase()
+    .withMessage('Role must be a role name'),
+  
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: invitationPolicy.maxExpiresInDays })
+    .withMessage(`Expiry must be between 1 and ${invitationPolicy.maxExpiresInDays} days`),
+  
+  handleValidationErrors
+];
+
+const validateInvitationQuery = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'accepted', 'revoked', 'expired'])
+    .withMessage('Status must be pending, accepted, revoked or expired'),
+  
+  handleValidationErrors
+];
+
+const validateInviteToken = [
+  query('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Invite token is required'),
+  
+  handleValidationErrors
+];
+
+// Personal access token validation rules
+const validatePersonalAccessToken = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  
+  body('scopes.*')
+    .isIn(personalAccessTokenPolicy.scopes)
+    .withMessage(`Scopes must be one of: ${personalAccessTokenPolicy.scopes.join(', ')}`),
+  
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: personalAccessTokenPolicy.maxExpiresInDays })
+    .withMessage(`Expiry must be between 1 and ${personalAccessTokenPolicy.maxExpiresInDays} days`),
+  
+  handleValidationErrors
+];
+
+// Role validation rules
+const rolePermissions = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  
+  body('permissions.*')
+    .isIn(permissionNames)
+    .withMessage(`Permissions must be one of: ${permissionNames.join(', ')}`)
+];
+
+const validateRole = [
+  body('name')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9-]{1,29}$/)
+    .withMessage('Role name must be 2-30 lowercase letters, numbers or hyphens, starting with a letter'),
+  
+  body('permissions')
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  
+  ...rolePermissions,
+  handleValidationErrors
+];
+
+// Names are stored on users and invitations, so only the rest can change
+const validateRoleUpdate = [
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  
+  ...rolePermissions,
+  handleValidationErrors
+];
+
+// Two-factor authentication validation rules
+// Either a TOTP code or a one-time recovery code
+const secondFactor = [
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be a 6-digit number'),
+  
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string'),
+  
+  body()
+    .custom((value) => Boolean(value.code || value.recoveryCode))
+    .withMessage('A 6-digit code or a recovery code is required')
+];
+
+const validateTwoFactorCode = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be a 6-digit number'),
+  
+  handleValidationErrors
+];
+
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  
+  ...secondFactor,
+  
+  handleValidationErrors
+];
+
+const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  ...secondFactor,
+  
+  handleValidationErrors
+];
+
 // Task validation rules
+// Parent task, checklist and labels, accepted when creating and updating a task
+const taskRelationRules = () => [
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Parent must be a valid task ID'),
+  
+  body('checklist')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Checklist must be an array of at most 100 items'),
+  
+  body('checklist.*._id')
+    .optional()
+    .isMongoId()
+    .withMessage('Checklist item ID must be valid'),
+  
+  body('checklist.*.text')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Checklist items must be between 1 and 200 characters'),
+  
+  body('checklist.*.done')
+    .optional()
+    .isBoolean()
+    .withMessage('Checklist item done must be true or false')
+    .toBoolean(),
+  
+  body('checklist.*.order')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Checklist item order must be a non-negative integer')
+    .toInt(),
+  
+  body('labels')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Labels must be an array of at most 20 label IDs'),
+  
+  body('labels.*')
+    .isMongoId()
+    .withMessage('Labels must be valid label IDs')
+];
+
 const validateTaskCreation = [
   body('title')
     .trim()
@@ -82,10 +411,17 @@ const validateTaskCreation = [
     .isMongoId()
     .withMessage('Assigned to must be a valid user ID'),
   
+  ...taskRelationRules(),
+  
   handleValidationErrors
 ];
 
 const validateTaskUpdate = [
+  query('force')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('force must be true or false'),
+  
   body('title')
     .optional()
     .trim()
@@ -119,6 +455,31 @@ const validateTaskUpdate = [
     .isMongoId()
     .withMessage('Assigned to must be a valid user ID'),
   
+  ...taskRelationRules(),
+  
+  handleValidationErrors
+];
+
+const commentBody = () => body('body')
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 2000 })
+  .withMessage('Comment must be between 1 and 2000 characters');
+
+const validateComment = [
+  commentBody(),
+  
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Parent must be a valid comment ID'),
+  
+  handleValidationErrors
+];
+
+const validateCommentUpdate = [
+  commentBody(),
+  
   handleValidationErrors
 ];
 
@@ -132,6 +493,104 @@ const validateObjectId = [
 ];
 
 // Query validation
+const validateSessionId = [
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid session ID format'),
+  
+  handleValidationErrors
+];
+
+const validateCommentId = [
+  param('commentId')
+    .isMongoId()
+    .withMessage('Invalid comment ID format'),
+  
+  handleValidationErrors
+];
+
+const validateDependency = [
+  body('blockedBy')
+    .isMongoId()
+    .withMessage('Blocked by must be a valid task ID'),
+  
+  handleValidationErrors
+];
+
+const validateBlockerId = [
+  param('blockerId')
+    .isMongoId()
+    .withMessage('Invalid blocking task ID format'),
+  
+  handleValidationErrors
+];
+
+const validateAttachmentId = [
+  param('attachmentId')
+    .isMongoId()
+    .withMessage('Invalid attachment ID format'),
+  
+  handleValidationErrors
+];
+
+const labelColor = () => body('color')
+  .optional()
+  .matches(/^#[0-9a-fA-F]{6}$/)
+  .withMessage('Color must be a hex color such as #ff8800')
+  .toLowerCase();
+
+const labelDescription = () => body('description')
+  .optional()
+  .isString()
+  .trim()
+  .isLength({ max: 200 })
+  .withMessage('Description cannot exceed 200 characters');
+
+const validateLabel = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Label name must be between 1 and 30 characters'),
+  
+  labelColor(),
+  labelDescription(),
+  handleValidationErrors
+];
+
+const validateLabelUpdate = [
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Label name must be between 1 and 30 characters'),
+  
+  labelColor(),
+  labelDescription(),
+  handleValidationErrors
+];
+
+const validateSecurityEventQuery = [
+  query('type')
+    .optional()
+    .isIn(SecurityEvent.types)
+    .withMessage(`Type must be one of: ${SecurityEvent.types.join(', ')}`),
+  
+  handleValidationErrors
+];
+
+const validateImpersonation = [
+  body('reason')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
 const validatePagination = [
   query('page')
     .optional()
@@ -146,12 +605,133 @@ const validatePagination = [
   handleValidationErrors
 ];
 
+// Run a query parser as a validator; its error message becomes the validation error
+const parses = (parse) => (value) => {
+  parse(value);
+  return true;
+};
+
+// Task listing filters and sort; see services/taskQuery.js for the syntax
+const validateTaskQuery = [
+  query('q')
+    .optional({ values: 'falsy' })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search query must be between 1 and 200 characters'),
+  
+  query('status').optional().custom(parses(parseStatusList)),
+  query('priority').optional().custom(parses(parsePriorityList)),
+  query('assignedTo').optional().custom(parses(parseUserList('assignedTo'))),
+  query('createdBy').optional().custom(parses(parseUserList('createdBy'))),
+  query('overdue').optional().custom(parses(parseBoolean('overdue'))),
+  query('topLevel').optional().custom(parses(parseBoolean('topLevel'))),
+  query('parent').optional().custom(parses(parseTaskId('parent'))),
+  query('labels').optional().custom(parses(parseLabelList)),
+  
+  query('labelMode')
+    .optional()
+    .isIn(['any', 'all'])
+    .withMessage('labelMode must be any or all'),
+  ...DATE_FIELDS.map((field) => query(field).optional().custom(parses(parseDateRange(field)))),
+  
+  query('sort')
+    .optional()
+    .custom(parses(parseSort))
+    .bail()
+    .custom((value, { req }) => !sortsByRelevance(req.query) || Boolean(req.query.q))
+    .withMessage('Sorting by relevance requires a search query'),
+  
+  handleValidationErrors
+];
+
+const validateTaskDetailQuery = [
+  query('includeSubtasks')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('includeSubtasks must be true or false'),
+  
+  handleValidationErrors
+];
+
+const validateTaskStatsQuery = [
+  query('topLevel')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('topLevel must be true or false'),
+  
+  handleValidationErrors
+];
+
+// Cursor mode of the paginated lists; see services/cursorPagination.js
+const validateCursorPagination = [
+  query('paginate')
+    .optional()
+    .isIn(['page', 'cursor'])
+    .withMessage('Paginate must be page or cursor'),
+  
+  query(['after', 'before'])
+    .optional()
+    .isString()
+    .withMessage('Cursor must be a string')
+    .bail()
+    .custom(parses(decodeCursor)),
+  
+  query('after')
+    .optional()
+    .custom((value, { req }) => req.query.before === undefined)
+    .withMessage('Use either after or before, not both'),
+  
+  query('page')
+    .optional()
+    .custom((value, { req }) => !req.query.after && !req.query.before && req.query.paginate !== 'cursor')
+    .withMessage('Page cannot be combined with cursor pagination'),
+  
+  query('includeTotal')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('includeTotal must be true or false'),
+  
+  handleValidationErrors
+];
+
 module.exports = {
   validateUserRegistration,
+  validateProfileUpdate,
+  validateChangePassword,
   validateUserLogin,
+  validateRefreshToken,
+  validateOidcCallback,
+  validateEmailRequest,
+  validateResetPassword,
+  validateVerifyEmail,
+  validateInvitation,
+  validateInvitationQuery,
+  validateInviteToken,
+  validatePersonalAccessToken,
+  validateRole,
+  validateRoleUpdate,
+  validateLabel,
+  validateLabelUpdate,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
   validateTaskCreation,
   validateTaskUpdate,
+  validateComment,
+  validateCommentUpdate,
   validateObjectId,
+  validateSessionId,
+  validateCommentId,
+  validateAttachmentId,
+  validateDependency,
+  validateBlockerId,
   validatePagination,
+  validateTaskQuery,
+  validateTaskDetailQuery,
+  validateTaskStatsQuery,
+  validateCursorPagination,
+  validateImpersonation,
+  validateSecurityEventQuery,
   handleValidationErrors
 };
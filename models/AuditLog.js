@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the entry
+ *         action:
+ *           type: string
+ *           enum: [impersonation.start, impersonation.request, impersonation.end]
+ *         actor:
+ *           type: string
+ *           description: The user ID of whoever performed the action (the admin when impersonating)
+ *         subject:
+ *           type: string
+ *           description: The user ID the action was performed as or on
+ *         impersonation:
+ *           type: string
+ *           description: The impersonation the entry belongs to
+ *         method:
+ *           type: string
+ *         path:
+ *           type: string
+ *         statusCode:
+ *           type: integer
+ *         blocked:
+ *           type: boolean
+ *           description: Whether the request was refused because destructive actions are blocked
+ *         ipAddress:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const AUDIT_ACTIONS = ['impersonation.start', 'impersonation.request', 'impersonation.end'];
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  impersonation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Impersonation',
+    default: null
+  },
+  method: {
+    type: String,
+    default: null
+  },
+  path: {
+    type: String,
+    default: null
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  blocked: {
+    type: Boolean,
+    default: false
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  // Entries are never changed once written
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ subject: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ impersonation: 1, createdAt: 1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Impersonation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the impersonation
+ *         admin:
+ *           type: string
+ *           description: The user ID of the admin acting as the user
+ *         user:
+ *           type: string
+ *           description: The user ID of the impersonated user
+ *         reason:
+ *           type: string
+ *           description: Why the admin started impersonating, e.g. a support ticket
+ *         blockDestructiveActions:
+ *           type: boolean
+ *           description: Whether DELETE requests are refused while impersonating
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         endedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the admin exited, if they have
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const impersonationSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The admin's own session; impersonation ends when it does
+  adminSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: null
+  },
+  // Fixed when the impersonation starts, so changing the setting does not
+  // loosen impersonations already running
+  blockDestructiveActions: {
+    type: Boolean,
+    default: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+impersonationSchema.index({ user: 1, createdAt: -1 });
+impersonationSchema.index({ admin: 1, createdAt: -1 });
+
+// Whether impersonation tokens for this impersonation are still accepted
+impersonationSchema.methods.isActive = function() {
+  return !this.endedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Impersonation', impersonationSchema);
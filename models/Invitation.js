@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const hashInviteToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invitation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the invitation
+ *         email:
+ *           type: string
+ *           format: email
+ *           description: Address the invitation is restricted to, if any
+ *         role:
+ *           type: string
+ *           description: Name of the role granted to the account registered with the invitation
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *           description: Current state of the invitation
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the invitation stops being accepted
+ *         invitedBy:
+ *           type: string
+ *           description: The admin who created the invitation
+ *         acceptedBy:
+ *           type: string
+ *           description: The user who registered with the invitation
+ *         acceptedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  // Name of the Role the registered account gets
+  role: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: 'user'
+  },
+  // SHA-256 hash of the invitation token; the raw token is only shown once
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+invitationSchema.index({ tokenHash: 1 }, { unique: true });
+invitationSchema.index({ createdAt: -1 });
+
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+// Query conditions matching invitations that can still be used
+const pendingFilter = () => ({
+  acceptedAt: null,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+// Query conditions for each status, for filtering the invitation list
+invitationSchema.statics.statusFilter = function(status) {
+  switch (status) {
+    case 'pending':
+      return pendingFilter();
+    case 'accepted':
+      return { acceptedAt: { $ne: null } };
+    case 'revoked':
+      return { acceptedAt: null, revokedAt: { $ne: null } };
+    case 'expired':
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $lte: new Date() } };
+    default:
+      return {};
+  }
+};
+
+// Create an invitation and return it along with its raw token
+invitationSchema.statics.createWithToken = async function(fields) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const invitation = await this.create({ ...fields, tokenHash: hashInviteToken(token) });
+
+  return { invitation, token };
+};
+
+// Find a still-usable invitation by its raw token
+invitationSchema.statics.findPending = function(token) {
+  return this.findOne({ tokenHash: hashInviteToken(token), ...pendingFilter() });
+};
+
+// Atomically mark a still-usable invitation as accepted so it cannot be used twice
+invitationSchema.statics.accept = function(token, userId) {
+  return this.findOneAndUpdate(
+    { tokenHash: hashInviteToken(token), ...pendingFilter() },
+    { $set: { acceptedBy: userId, acceptedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Check whether the invitation may be used to register the given email
+invitationSchema.methods.allowsEmail = function(email) {
+  return !this.email || this.email === email.toLowerCase();
+};
+
+// Transform output to remove sensitive data
+invitationSchema.methods.toJSON = function() {
+  const invitationObject = this.toObject({ virtuals: true });
+  delete invitationObject.tokenHash;
+  return invitationObject;
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
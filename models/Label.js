@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Label:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the label
+ *         name:
+ *           type: string
+ *           maxLength: 30
+ *           description: Unique, ignoring case, e.g. "bug"
+ *         color:
+ *           type: string
+ *           pattern: '^#[0-9a-f]{6}$'
+ *           description: Hex color of the label's chips
+ *         description:
+ *           type: string
+ *           maxLength: 200
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const DEFAULT_COLOR = '#6b7280';
+
+// Names are compared without regard to case, so "Bug" and "bug" are one label
+const nameCollation = { locale: 'en', strength: 2 };
+
+const labelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Label name is required'],
+    trim: true,
+    maxlength: [30, 'Label name cannot exceed 30 characters']
+  },
+  color: {
+    type: String,
+    lowercase: true,
+    match: [/^#[0-9a-f]{6}$/, 'Color must be a hex color such as #ff8800'],
+    default: DEFAULT_COLOR
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Label description cannot exceed 200 characters'],
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+labelSchema.index({ name: 1 }, { unique: true, collation: nameCollation });
+
+// Whether another label already has this name, in any case
+labelSchema.statics.nameTaken = async function(name, exceptId) {
+  const filter = exceptId ? { name, _id: { $ne: exceptId } } : { name };
+  return Boolean(await this.exists(filter).collation(nameCollation));
+};
+
+module.exports = mongoose.model('Label', labelSchema);
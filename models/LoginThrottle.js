@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Failed login counters that do not belong to a user document:
+// one per client IP ("ip:<address>") and one per unknown email ("email:<address>")
+
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  lockUntil: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop counters nobody has touched for a while
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginThrottleSchema.index({ lockUntil: 1 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const { personalAccessTokenPolicy } = require('../config/auth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PersonalAccessToken:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the token
+ *         name:
+ *           type: string
+ *           description: Label chosen by the owner, e.g. "CI pipeline"
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [tasks:read, tasks:write, users:admin]
+ *         tokenPrefix:
+ *           type: string
+ *           description: First characters of the token, to tell tokens apart
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Token must belong to a user']
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [50, 'Token name cannot exceed 50 characters']
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: personalAccessTokenPolicy.scopes
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  // SHA-256 hash of the token; the raw token is only shown once
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+personalAccessTokenSchema.index({ tokenHash: 1 }, { unique: true });
+personalAccessTokenSchema.index({ user: 1, createdAt: -1 });
+
+// Check whether the token can still be used
+personalAccessTokenSchema.methods.isValid = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Transform output to remove sensitive data
+personalAccessTokenSchema.methods.toJSON = function() {
+  const tokenObject = this.toObject();
+  delete tokenObject.tokenHash;
+  return tokenObject;
+};
+
+module.exports = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { permissionNames, builtInRoles } = require('../config/permissions');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the role
+ *         name:
+ *           type: string
+ *           pattern: '^[a-z][a-z0-9-]{1,29}$'
+ *           description: Name stored on users and invitations, e.g. "manager"
+ *         description:
+ *           type: string
+ *           maxLength: 200
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Permissions granted to users with this role, e.g. task.delete.any
+ *         builtIn:
+ *           type: boolean
+ *           description: Built-in roles (user, admin) cannot be edited or deleted
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9-]{1,29}$/, 'Role name must be 2-30 lowercase letters, numbers or hyphens, starting with a letter']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Role description cannot exceed 200 characters'],
+    default: ''
+  },
+  permissions: [{
+    type: String,
+    enum: permissionNames
+  }],
+  builtIn: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Permissions held by a role name; unknown roles hold none
+roleSchema.statics.permissionsFor = async function(name) {
+  const role = await this.findOne({ name }).select('permissions').lean();
+  return role ? role.permissions : [];
+};
+
+// Create the built-in roles, or bring them back in line with the code
+roleSchema.statics.seedBuiltIns = async function() {
+  await Promise.all(builtInRoles.map((role) => this.updateOne(
+    { name: role.name },
+    { $set: { description: role.description, permissions: role.permissions, builtIn: true } },
+    { upsert: true }
+  )));
+};
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const { securityEventPolicy } = require('../config/auth');
+
+const SECURITY_EVENT_TYPES = [
+  'login.success',
+  'login.failure',
+  'token.refresh',
+  'password.change',
+  'password.reset',
+  'email.change',
+  'role.change',
+  'account.deactivate',
+  'account.activate'
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SecurityEvent:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the event
+ *         user:
+ *           type: string
+ *           description: The user ID the event is about
+ *         type:
+ *           type: string
+ *           enum: [login.success, login.failure, token.refresh, password.change, password.reset, email.change, role.change, account.deactivate, account.activate]
+ *         actor:
+ *           type: object
+ *           description: The admin who made the change, for role changes and (de)activation
+ *           properties:
+ *             _id:
+ *               type: string
+ *             username:
+ *               type: string
+ *         details:
+ *           type: object
+ *           description: |
+ *             Depends on the type: `method` (password, 2fa or sso) for logins,
+ *             `reason` for failed logins, `from` and `to` for role changes (with
+ *             `source: sso` when the identity provider's groups changed it) and
+ *             email changes
+ *         ipAddress:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     SecurityEventPage:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         data:
+ *           type: object
+ *           properties:
+ *             events:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SecurityEvent'
+ *             pagination:
+ *               type: object
+ *               properties:
+ *                 current:
+ *                   type: integer
+ *                 pages:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *   parameters:
+ *     SecurityEventType:
+ *       in: query
+ *       name: type
+ *       schema:
+ *         type: string
+ *         enum: [login.success, login.failure, token.refresh, password.change, password.reset, email.change, role.change, account.deactivate, account.activate]
+ *       description: Only return events of this type
+ */
+
+const securityEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: SECURITY_EVENT_TYPES,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  // Events are never changed once written
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ user: 1, type: 1, createdAt: -1 });
+// Let MongoDB drop events once they are older than the retention period
+securityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: securityEventPolicy.retentionDays * 24 * 60 * 60 });
+
+securityEventSchema.statics.types = SECURITY_EVENT_TYPES;
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the session
+ *         user:
+ *           type: string
+ *           description: The user ID the session belongs to
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the session's refresh token stops being accepted
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the session was revoked, if it has been
+ *         revokedReason:
+ *           type: string
+ *           description: Why the session was revoked
+ *         userAgent:
+ *           type: string
+ *           description: User agent of the client that signed in
+ *         ipAddress:
+ *           type: string
+ *           description: IP address the session was last used from
+ *         lastSeenAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the session was last used
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: The date the session was created
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: The date the session was last rotated
+ */
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Session must belong to a user']
+  },
+  // SHA-256 hash of the current refresh token; the raw token is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hashes of refresh tokens already rotated out of this family, kept for reuse detection
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+sessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ user: 1, lastSeenAt: -1 });
+// Let MongoDB drop sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check whether the session can still be used
+sessionSchema.methods.isValid = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Revoke this session (and with it every token of the family)
+sessionSchema.methods.revoke = async function(reason) {
+  if (this.revokedAt) return this;
+
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return await this.save();
+};
+
+// Sessions that can still be used, most recently active first
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastSeenAt: -1 });
+};
+
+// Revoke every open session of a user
+sessionSchema.statics.revokeAllForUser = async function(userId, reason) {
+  return await this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
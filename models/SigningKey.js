@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SigningKey:
+ *       type: object
+ *       properties:
+ *         kid:
+ *           type: string
+ *           description: Key id, sent in the header of every token the key signs
+ *         algorithm:
+ *           type: string
+ *           enum: [RS256, ES256]
+ *         active:
+ *           type: boolean
+ *           description: Whether new tokens are signed with this key
+ *         retiredAt:
+ *           type: string
+ *           format: date-time
+ *           description: When a rotation replaced the key
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When a retired key stops verifying tokens and leaves the key set
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const signingKeySchema = new mongoose.Schema({
+  kid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  algorithm: {
+    type: String,
+    enum: ['RS256', 'ES256'],
+    required: true
+  },
+  publicKey: {
+    type: String,
+    required: true
+  },
+  // PKCS#8 PEM, encrypted when JWT_KEY_PASSPHRASE is set
+  privateKey: {
+    type: String,
+    required: true,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  retiredAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Only one key signs at a time
+signingKeySchema.index({ active: 1 }, { unique: true, partialFilterExpression: { active: true } });
+
+// Let MongoDB drop retired keys once every token they signed has expired
+signingKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Keys that can still verify tokens: the active one and retired ones not yet expired
+signingKeySchema.statics.findUsable = function() {
+  return this.find({ $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] })
+    .select('+privateKey')
+    .sort({ createdAt: -1 });
+};
+
+signingKeySchema.methods.toJSON = function() {
+  const keyObject = this.toObject();
+  delete keyObject.privateKey;
+  return keyObject;
+};
+
+module.exports = mongoose.model('SigningKey', signingKeySchema);
@@ -37,6 +37,26 @@ const mongoose = require('mongoose');
  *         createdBy:
  *           type: string
  *           description: The user ID who created the task
+ *         parent:
+ *           type: string
+ *           nullable: true
+ *           description: The task this is a subtask of; null for top-level tasks
+ *         checklist:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ChecklistItem'
+ *         labels:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Label'
+ *           description: The task's labels; label IDs when writing
+ *         blockedBy:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: IDs of the tasks that must be completed before this one can start
+ *         progress:
+ *           $ref: '#/components/schemas/TaskProgress'
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -45,8 +65,148 @@ const mongoose = require('mongoose');
  *           type: string
  *           format: date-time
  *           description: The date the task was last updated
+ *     ChecklistItem:
+ *       type: object
+ *       required:
+ *         - text
+ *       properties:
+ *         _id:
+ *           type: string
+ *         text:
+ *           type: string
+ *           maxLength: 200
+ *         done:
+ *           type: boolean
+ *           default: false
+ *         order:
+ *           type: integer
+ *           description: Position in the checklist, from 0
+ *     TaskProgress:
+ *       type: object
+ *       description: Rolled up from the task's subtasks and checklist
+ *       properties:
+ *         subtasks:
+ *           type: object
+ *           properties:
+ *             total:
+ *               type: integer
+ *             completed:
+ *               type: integer
+ *         checklist:
+ *           type: object
+ *           properties:
+ *             total:
+ *               type: integer
+ *             done:
+ *               type: integer
+ *         percent:
+ *           type: integer
+ *           description: |
+ *             Completed subtasks and done checklist items out of all of them;
+ *             without either, 100 for a completed task and 0 otherwise
+ *     DependencyGraph:
+ *       type: object
+ *       description: |
+ *         The tasks a task waits on and the tasks waiting on it, transitively.
+ *         An edge `{ from, to }` means `from` blocks `to`.
+ *       properties:
+ *         task:
+ *           type: string
+ *         nodes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *                 description: Left out for tasks the user cannot see
+ *               status:
+ *                 type: string
+ *               priority:
+ *                 type: string
+ *               depth:
+ *                 type: integer
+ *                 description: Hops from the task; negative for its blockers, positive for the tasks it blocks
+ *               restricted:
+ *                 type: boolean
+ *                 description: True for tasks the user cannot see
+ *         edges:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *               to:
+ *                 type: string
+ *         truncated:
+ *           type: boolean
+ *           description: True if the graph was cut off at 200 tasks
+ *     TaskSearchResult:
+ *       type: object
+ *       description: Added to each task found with a search query
+ *       properties:
+ *         score:
+ *           type: number
+ *           description: Text search relevance; higher is better
+ *         highlights:
+ *           type: object
+ *           description: |
+ *             The title and a snippet of the description, split into segments;
+ *             segments with `match: true` contain a search term
+ *           properties:
+ *             title:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TextSegment'
+ *             description:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TextSegment'
+ *     DateRange:
+ *       type: object
+ *       description: Bounds of a date range; any combination of the operators
+ *       properties:
+ *         gte:
+ *           type: string
+ *           format: date-time
+ *         gt:
+ *           type: string
+ *           format: date-time
+ *         lte:
+ *           type: string
+ *           format: date-time
+ *         lt:
+ *           type: string
+ *           format: date-time
+ *     TextSegment:
+ *       type: object
+ *       properties:
+ *         text:
+ *           type: string
+ *         match:
+ *           type: boolean
  */
 
+const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Checklist item text is required'],
+    trim: true,
+    maxlength: [200, 'Checklist item cannot exceed 200 characters']
+  },
+  done: {
+    type: Boolean,
+    default: false
+  },
+  order: {
+    type: Number,
+    default: 0
+  }
+});
+
 const taskSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -88,7 +248,24 @@ const taskSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'Task must have a creator']
-  }
+  },
+  // Subtasks are tasks of their own under a top-level parent task
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  checklist: [checklistItemSchema],
+  labels: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Label'
+  }],
+  // Tasks that must be completed before this one can start; changed only
+  // through /tasks/:id/dependencies, which keeps the graph acyclic
+  blockedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }]
 }, {
   timestamps: true
 });
@@ -99,5 +276,15 @@ taskSchema.index({ createdBy: 1 });
 taskSchema.index({ status: 1 });
 taskSchema.index({ priority: 1 });
 taskSchema.index({ dueDate: 1 });
+taskSchema.index({ parent: 1 });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ labels: 1 });
+// Default listing order, also the keyset of cursor pagination
+taskSchema.index({ createdAt: -1, _id: -1 });
+// Full-text search (`q` on GET /tasks); title matches rank higher
+taskSchema.index(
+  { title: 'text', description: 'text' },
+  { name: 'task_text_search', weights: { title: 3, description: 1 } }
+);
 
 module.exports = mongoose.model('Task', taskSchema);
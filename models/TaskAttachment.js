@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TaskAttachment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the attachment
+ *         task:
+ *           type: string
+ *           description: The task ID the file is attached to
+ *         filename:
+ *           type: string
+ *           description: The name of the uploaded file
+ *         contentType:
+ *           type: string
+ *           description: The MIME type of the file
+ *         size:
+ *           type: integer
+ *           description: The size of the file in bytes
+ *         uploadedBy:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             username:
+ *               type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const taskAttachmentSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Where the file is kept in the storage backend; never sent to clients
+  storageKey: {
+    type: String,
+    required: true,
+    select: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+taskAttachmentSchema.index({ task: 1, createdAt: 1 });
+
+taskAttachmentSchema.methods.toJSON = function() {
+  const attachmentObject = this.toObject();
+  delete attachmentObject.storageKey;
+  return attachmentObject;
+};
+
+module.exports = mongoose.model('TaskAttachment', taskAttachmentSchema);
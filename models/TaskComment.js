@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TaskComment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the comment
+ *         task:
+ *           type: string
+ *           description: The task ID the comment belongs to
+ *         parent:
+ *           type: string
+ *           nullable: true
+ *           description: The comment this one replies to; replies are one level deep
+ *         author:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             username:
+ *               type: string
+ *         body:
+ *           type: string
+ *           description: The comment text; empty once a comment with replies is deleted
+ *         mentions:
+ *           type: array
+ *           description: The users mentioned with @username
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               username:
+ *                 type: string
+ *         edits:
+ *           type: array
+ *           description: Earlier versions of the body, oldest first
+ *           items:
+ *             type: object
+ *             properties:
+ *               body:
+ *                 type: string
+ *               editedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When this version was replaced
+ *         editedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         deleted:
+ *           type: boolean
+ *           description: Whether the comment was deleted while it had replies
+ *         replies:
+ *           type: array
+ *           description: Replies, oldest first (top-level comments in listings only)
+ *           items:
+ *             $ref: '#/components/schemas/TaskComment'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const taskCommentSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaskComment',
+    default: null
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters'],
+    // Only a deleted comment may be empty
+    required: [function() { return !this.deleted; }, 'Comment text is required']
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  edits: [{
+    _id: false,
+    body: String,
+    editedAt: Date
+  }],
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  deleted: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+taskCommentSchema.index({ task: 1, parent: 1, createdAt: 1 });
+taskCommentSchema.index({ mentions: 1 });
+
+// Replace the body, keeping the previous version in the edit history
+taskCommentSchema.methods.edit = function(body, mentions) {
+  const now = new Date();
+  this.edits.push({ body: this.body, editedAt: now });
+  this.body = body;
+  this.mentions = mentions;
+  this.editedAt = now;
+};
+
+module.exports = mongoose.model('TaskComment', taskCommentSchema);
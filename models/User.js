@@ -1,6 +1,9 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const PASSWORD_RESET_EXPIRES_MS = 60 * 60 * 1000;
+
 /**
  * @swagger
  * components:
@@ -26,11 +29,20 @@ const bcrypt = require('bcryptjs');
  *           description: The hashed password of the user
  *         role:
  *           type: string
- *           enum: [user, admin]
- *           description: The role of the user
+ *           description: Name of the user's role, e.g. user, admin or a custom role
  *         isActive:
  *           type: boolean
  *           description: Whether the user account is active
+ *         emailVerified:
+ *           type: boolean
+ *           description: Whether the user has confirmed their email address
+ *         twoFactorEnabled:
+ *           type: boolean
+ *           description: Whether TOTP two-factor authentication is turned on
+ *         lockUntil:
+ *           type: string
+ *           format: date-time
+ *           description: Until when logins are refused after too many failed attempts
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -39,6 +51,11 @@ const bcrypt = require('bcryptjs');
  *           type: string
  *           format: date-time
  *           description: The date the user was last updated
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Permissions of the user's role; only included for the signed-in user
  */
 
 const userSchema = new mongoose.Schema({
@@ -61,17 +78,77 @@ const userSchema = new mongoose.Schema({
   password: {
     type: String,
     required: [true, 'Password is required'],
-    minlength: [6, 'Password must be at least 6 characters long'],
     select: false
   },
+  // bcrypt hashes of earlier passwords, newest first, so they cannot be reused
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  // Name of a Role; the role's permissions decide what the user can do
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    lowercase: true,
+    trim: true,
     default: 'user'
   },
   isActive: {
     type: Boolean,
     default: true
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  // Base32 TOTP secret; set during enrolment, only trusted once twoFactorEnabled is true
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Last accepted TOTP time step, so a code cannot be replayed
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  // SHA-256 hashes of the unused one-time recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Failed login tracking for account lockout
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    select: false
+  },
+  lockUntil: {
+    type: Date
+  },
+  // Subject ("sub") of the linked single sign-on identity
+  oidcSubject: {
+    type: String
+  },
+  // Bumped to invalidate every token the user currently holds
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Hash of the single-use password reset token, cleared once used
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
   }
 }, {
   timestamps: true
@@ -80,6 +157,11 @@ const userSchema = new mongoose.Schema({
 // Index for better query performance
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+userSchema.index({ lockUntil: 1 }, { sparse: true });
+userSchema.index({ oidcSubject: 1 }, { unique: true, sparse: true });
+// Default listing order, also the keyset of cursor pagination
+userSchema.index({ createdAt: -1, _id: -1 });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -99,10 +181,57 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Create a password reset token; only its hash is stored on the user
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetTokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_EXPIRES_MS);
+
+  return token;
+};
+
+const passwordResetTokenFilter = (token) => ({
+  passwordResetTokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+  passwordResetExpires: { $gt: new Date() }
+});
+
+// The user a still-valid password reset token belongs to, without using it up
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne(passwordResetTokenFilter(token));
+};
+
+// Atomically use up a still-valid password reset token and return its user
+userSchema.statics.consumePasswordResetToken = function(token) {
+  return this.findOneAndUpdate(
+    passwordResetTokenFilter(token),
+    { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } },
+    { new: true }
+  );
+};
+
+// Accounts created before email verification existed have no emailVerified
+// field; they were never asked to verify, so count them as verified rather
+// than locking them out. Only touches documents without the field.
+userSchema.statics.markLegacyEmailsVerified = function() {
+  return this.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+};
+
 // Transform output to remove sensitive data
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordHistory;
+  delete userObject.tokenVersion;
+  delete userObject.oidcSubject;
+  delete userObject.passwordResetTokenHash;
+  delete userObject.passwordResetExpires;
+  delete userObject.twoFactorSecret;
+  delete userObject.twoFactorLastStep;
+  delete userObject.twoFactorRecoveryCodes;
   return userObject;
 };
 
@@ -0,0 +1,207 @@
+const express = require('express');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { authenticate, requireSession } = require('../middleware/auth');
+const { validatePersonalAccessToken, validateObjectId } = require('../middleware/validation');
+const { createPersonalAccessToken } = require('../services/tokenService');
+const { personalAccessTokenPolicy } = require('../config/auth');
+const { hasAdministrativePermission } = require('../config/permissions');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /auth/tokens:
+ *   get:
+ *     summary: List the current user's personal access tokens
+ *     tags: [Personal Access Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tokens retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tokens:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PersonalAccessToken'
+ *                     availableScopes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate, requireSession, async (req, res) => {
+  try {
+    const tokens = await PersonalAccessToken.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    // Only offer scopes the user's role can actually use
+    const availableScopes = personalAccessTokenPolicy.scopes.filter(
+      (scope) => hasAdministrativePermission(req.permissions) || !personalAccessTokenPolicy.adminScopes.includes(scope)
+    );
+
+    res.json({
+      success: true,
+      data: {
+        tokens,
+        availableScopes
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching access tokens',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/tokens:
+ *   post:
+ *     summary: Create a personal access token
+ *     description: |
+ *       The token is returned once and only its hash is stored. Send it as
+ *       `Authorization: Bearer <token>`; it can only reach endpoints its scopes allow.
+ *     tags: [Personal Access Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 50
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [tasks:read, tasks:write, users:admin]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 default: 30
+ *     responses:
+ *       201:
+ *         description: Token created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     accessToken:
+ *                       $ref: '#/components/schemas/PersonalAccessToken'
+ *                     token:
+ *                       type: string
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Scope not available to the user's role
+ */
+router.post('/', authenticate, requireSession, validatePersonalAccessToken, async (req, res) => {
+  try {
+    const { name } = req.body;
+    const scopes = [...new Set(req.body.scopes)];
+    const expiresInDays = parseInt(req.body.expiresInDays) || personalAccessTokenPolicy.defaultExpiresInDays;
+
+    if (!hasAdministrativePermission(req.permissions) &&
+        scopes.some((scope) => personalAccessTokenPolicy.adminScopes.includes(scope))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only roles with administrative permissions can create tokens with admin scopes'
+      });
+    }
+
+    const { accessToken, token } = await createPersonalAccessToken(req.user, { name, scopes, expiresInDays });
+
+    res.status(201).json({
+      success: true,
+      message: 'Access token created. Copy it now; it will not be shown again.',
+      data: {
+        accessToken,
+        token
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating access token',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/tokens/{id}:
+ *   delete:
+ *     summary: Revoke a personal access token
+ *     tags: [Personal Access Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token ID
+ *     responses:
+ *       200:
+ *         description: Token revoked successfully
+ *       404:
+ *         description: Token not found
+ */
+router.delete('/:id', authenticate, requireSession, validateObjectId, async (req, res) => {
+  try {
+    const accessToken = await PersonalAccessToken.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!accessToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'Access token not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Access token revoked successfully',
+      data: accessToken
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking access token',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,105 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { authenticate } = require('../middleware/auth');
-const { validateUserRegistration, validateUserLogin } = require('../middleware/validation');
+const Invitation = require('../models/Invitation');
+const Role = require('../models/Role');
+const { authenticate, requireSession } = require('../middleware/auth');
+const {
+  validateUserRegistration,
+  validateProfileUpdate,
+  validateChangePassword,
+  validateUserLogin,
+  validateRefreshToken,
+  validateOidcCallback,
+  validateEmailRequest,
+  validateResetPassword,
+  validateVerifyEmail,
+  validateTwoFactorLogin,
+  validatePagination,
+  validateSecurityEventQuery
+} = require('../middleware/validation');
+const {
+  clientInfo,
+  issueTokens,
+  rotateRefreshToken,
+  revokeAllUserTokens,
+  signEmailVerificationToken,
+  verifyEmailVerificationToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} = require('../services/tokenService');
+const { verifySecondFactor, mustEnrolTwoFactor } = require('../services/twoFactorService');
+const { checkLoginAllowed, recordLoginFailure, clearAccountLockout } = require('../services/loginProtection');
+const { sendPasswordResetEmail, sendVerificationEmail, sendEmailChangedEmail } = require('../services/emails');
+const { endImpersonation } = require('../services/impersonation');
+const { recordSecurityEvent, listSecurityEvents } = require('../services/securityEvents');
+const {
+  passwordError,
+  isPasswordReused,
+  setPassword,
+  publicPasswordPolicy
+} = require('../services/passwordPolicy');
+const { OidcError, createAuthorizationUrl, handleCallback, findOrCreateUser } = require('../services/oidc');
+const {
+  wantsCookieMode,
+  refreshTokenFromCookie,
+  csrfTokenFromCookie,
+  oidcStateFromCookie,
+  deliverTokens,
+  clearAuthCookies,
+  setOidcStateCookie,
+  clearOidcStateCookie,
+  hasValidCsrfToken
+} = require('../services/authCookies');
+const { emailVerificationPolicy, oidc } = require('../config/auth');
 
 const router = express.Router();
 
+// A password from the user's history, reported like the other password rule violations
+const passwordReusedResponse = (res, field) => {
+  const { code, message } = passwordError('PASSWORD_REUSED');
+
+  return res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: [{ type: 'field', location: 'body', path: field, msg: message, code }]
+  });
+};
+
+// The signed-in user as sent to the client, with the permissions of their role
+const currentUserProfile = async (user, permissions) => ({
+  ...user.toJSON(),
+  permissions: permissions || await Role.permissionsFor(user.role)
+});
+
+// Start a session for a fully authenticated user and send the login response.
+// `method` is how they signed in: password, 2fa or sso.
+const completeLogin = async (user, req, res, method) => {
+  await clearAccountLockout(user._id);
+  const tokens = await issueTokens(user, clientInfo(req));
+  await recordSecurityEvent(req, user, 'login.success', { details: { method } });
+
+  // Remove password from response
+  user.password = undefined;
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: await currentUserProfile(user),
+      ...deliverTokens(req, res, tokens),
+      ...(await mustEnrolTwoFactor(user) && { twoFactorSetupRequired: true })
+    }
+  });
+};
+
 /**
  * @swagger
  * /auth/register:
  *   post:
  *     summary: Register a new user
  *     tags: [Authentication]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuthModeHeader'
  *     requestBody:
  *       required: true
  *       content:
@@ -32,11 +120,20 @@ const router = express.Router();
  *                 format: email
  *               password:
  *                 type: string
- *                 minLength: 6
- *               role:
+ *                 minLength: 8
+ *                 description: |
+ *                   Must satisfy the configured password policy (by default 8 characters to
+ *                   72 bytes with a lowercase letter, an uppercase letter and a number);
+ *                   GET /auth/password-policy returns the active rules
+ *               inviteToken:
  *                 type: string
- *                 enum: [user, admin]
- *                 default: user
+ *                 description: Invitation token; the only way to register with a role other than user
+ *     description: |
+ *       New accounts get the user role unless they register with an invitation, which
+ *       grants the invited role. Invitations bound to an email address also count as
+ *       email verification. Otherwise a verification link is sent; when
+ *       EMAIL_VERIFICATION_POLICY is "block", no tokens are issued until the address
+ *       has been verified.
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -56,12 +153,17 @@ const router = express.Router();
  *                       $ref: '#/components/schemas/User'
  *                     token:
  *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *                     csrfToken:
+ *                       type: string
+ *                       description: Cookie mode only, in place of the tokens
  *       400:
- *         description: Validation error or user already exists
+ *         description: Validation error, user already exists or invalid invitation
  */
 router.post('/register', validateUserRegistration, async (req, res) => {
   try {
-    const { username, email, password, role } = req.body;
+    const { username, email, password, inviteToken } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({
@@ -75,29 +177,73 @@ router.post('/register', validateUserRegistration, async (req, res) => {
       });
     }
 
-    // Create new user
+    const invalidInvitation = {
+      success: false,
+      message: 'Invitation is invalid, has expired or was issued for a different email'
+    };
+
+    let invitation = null;
+    if (inviteToken) {
+      invitation = await Invitation.findPending(inviteToken);
+
+      if (!invitation || !invitation.allowsEmail(email)) {
+        return res.status(400).json(invalidInvitation);
+      }
+    }
+
+    // Create new user; only an invitation can grant a role other than user.
+    // An invitation sent to this address already proves the user owns it.
     const user = new User({
       username,
       email,
       password,
-      role: role || 'user'
+      role: invitation ? invitation.role : 'user',
+      emailVerified: Boolean(invitation && invitation.email)
     });
 
-    await user.save();
+    // Claim the invitation first so it cannot be used for two accounts
+    if (invitation && !await Invitation.accept(inviteToken, user._id)) {
+      return res.status(400).json(invalidInvitation);
+    }
+
+    try {
+      await user.save();
+    } catch (saveError) {
+      if (invitation) {
+        await Invitation.updateOne({ _id: invitation._id }, { $set: { acceptedBy: null, acceptedAt: null } });
+      }
+      throw saveError;
+    }
+
+    // A failed email should not fail the sign-up; the user can ask for a new link
+    if (!user.emailVerified) {
+      try {
+        await sendVerificationEmail(user, await signEmailVerificationToken(user));
+      } catch (mailError) {
+        console.error('Failed to send verification email:', mailError);
+      }
+    }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    // Unverified users cannot sign in under the "block" policy
+    if (emailVerificationPolicy === 'block' && !user.emailVerified) {
+      return res.status(201).json({
+        success: true,
+        message: 'User registered successfully. Please verify your email before logging in.',
+        data: {
+          user
+        }
+      });
+    }
+
+    // Start a session and issue access + refresh tokens
+    const tokens = await issueTokens(user, clientInfo(req));
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
-        user,
-        token
+        user: await currentUserProfile(user),
+        ...deliverTokens(req, res, tokens)
       }
     });
   } catch (error) {
@@ -114,7 +260,16 @@ router.post('/register', validateUserRegistration, async (req, res) => {
  * /auth/login:
  *   post:
  *     summary: Login user
+ *     description: |
+ *       When the account has two-factor authentication enabled, the response holds a
+ *       `challengeToken` instead of tokens; finish the login with `/auth/login/2fa`.
+ *
+ *       With `X-Auth-Mode: cookie` the tokens are set as httpOnly cookies and the
+ *       response holds a `csrfToken` instead; send it back in the `X-CSRF-Token`
+ *       header on every state-changing request.
  *     tags: [Authentication]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuthModeHeader'
  *     requestBody:
  *       required: true
  *       content:
@@ -149,8 +304,26 @@ router.post('/register', validateUserRegistration, async (req, res) => {
  *                       $ref: '#/components/schemas/User'
  *                     token:
  *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *                     csrfToken:
+ *                       type: string
+ *                       description: Cookie mode only, in place of the tokens
+ *                     twoFactorRequired:
+ *                       type: boolean
+ *                       description: Set instead of the tokens when the second step is needed
+ *                     challengeToken:
+ *                       type: string
+ *                       description: Pass to /auth/login/2fa together with a code
+ *                     twoFactorSetupRequired:
+ *                       type: boolean
+ *                       description: Admin must enable 2FA before using admin endpoints
  *       401:
- *         description: Invalid credentials
+ *         description: Invalid credentials (also returned while the account is locked)
+ *       403:
+ *         description: Email address not verified (when EMAIL_VERIFICATION_POLICY is "block")
+ *       429:
+ *         description: Too many failed attempts from this IP address
  */
 router.post('/login', validateUserLogin, async (req, res) => {
   try {
@@ -159,7 +332,21 @@ router.post('/login', validateUserLogin, async (req, res) => {
     // Find user and include password for comparison
     const user = await User.findOne({ email }).select('+password');
 
-    if (!user || !user.isActive) {
+    const { ipRetryAfter, accountRetryAfter } = await checkLoginAllowed({ ip: req.ip, email, user });
+
+    if (ipRetryAfter) {
+      if (user) await recordSecurityEvent(req, user, 'login.failure', { details: { method: 'password', reason: 'ip-locked' } });
+      res.set('Retry-After', String(ipRetryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts. Please try again later.'
+      });
+    }
+
+    // A locked account answers exactly like a wrong password, and unknown emails
+    // lock the same way, so lockouts cannot be used to discover accounts
+    if (accountRetryAfter) {
+      if (user) await recordSecurityEvent(req, user, 'login.failure', { details: { method: 'password', reason: 'account-locked' } });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -167,37 +354,310 @@ router.post('/login', validateUserLogin, async (req, res) => {
     }
 
     // Check password
-    const isPasswordValid = await user.comparePassword(password);
+    const isPasswordValid = user && user.isActive && await user.comparePassword(password);
 
     if (!isPasswordValid) {
+      await recordLoginFailure({ ip: req.ip, email, user });
+      // Unknown emails have no account to file the event under
+      if (user) {
+        await recordSecurityEvent(req, user, 'login.failure', {
+          details: { method: 'password', reason: user.isActive ? 'invalid-password' : 'account-inactive' }
+        });
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    // Checked after the password so the response does not reveal unverified accounts
+    if (emailVerificationPolicy === 'block' && !user.emailVerified) {
+      await recordSecurityEvent(req, user, 'login.failure', { details: { method: 'password', reason: 'email-unverified' } });
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before logging in'
+      });
+    }
+
+    // With 2FA on, the password only earns a short-lived challenge for the second step
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: await signTwoFactorChallenge(user)
+        }
+      });
+    }
+
+    await completeLogin(user, req, res, 'password');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/login/2fa:
+ *   post:
+ *     summary: Complete a two-factor login
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 description: One-time recovery code, instead of a code
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid or expired challenge, or invalid code
+ *       429:
+ *         description: Too many failed attempts
+ */
+router.post('/login/2fa', validateTwoFactorLogin, async (req, res) => {
+  try {
+    const challenge = await verifyTwoFactorChallenge(req.body.challengeToken);
+    const user = challenge && await User.findById(challenge.userId)
+      .select('+twoFactorSecret +twoFactorLastStep');
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired login challenge'
+      });
+    }
+
+    // Code guesses count towards the same lockout as password guesses
+    const { ipRetryAfter, accountRetryAfter } = await checkLoginAllowed({ ip: req.ip, email: user.email, user });
+
+    if (ipRetryAfter || accountRetryAfter) {
+      await recordSecurityEvent(req, user, 'login.failure', {
+        details: { method: '2fa', reason: accountRetryAfter ? 'account-locked' : 'ip-locked' }
+      });
+      res.set('Retry-After', String(Math.max(ipRetryAfter, accountRetryAfter)));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts. Please try again later.'
+      });
+    }
+
+    if (!await verifySecondFactor(user, req.body)) {
+      await recordLoginFailure({ ip: req.ip, email: user.email, user });
+      await recordSecurityEvent(req, user, 'login.failure', { details: { method: '2fa', reason: 'invalid-2fa-code' } });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    user.twoFactorSecret = undefined;
+    user.twoFactorLastStep = undefined;
+
+    await completeLogin(user, req, res, '2fa');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/oidc/config:
+ *   get:
+ *     summary: Check whether single sign-on is available
+ *     tags: [Authentication]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Single sign-on settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     providerName:
+ *                       type: string
+ */
+router.get('/oidc/config', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      enabled: oidc.enabled,
+      providerName: oidc.providerName
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /auth/oidc/authorize:
+ *   post:
+ *     summary: Start a single sign-on login
+ *     description: |
+ *       Returns the identity provider URL to send the browser to. The provider
+ *       redirects back to OIDC_REDIRECT_URI with a code and state for `/auth/oidc/callback`.
+ *       The state is also set in an httpOnly cookie, which the callback requires.
+ *     tags: [Authentication]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Authorization URL created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     authorizationUrl:
+ *                       type: string
+ *       404:
+ *         description: Single sign-on is not configured
+ *       502:
+ *         description: Identity provider could not be reached
+ */
+router.post('/oidc/authorize', async (req, res) => {
+  if (!oidc.enabled) {
+    return res.status(404).json({
+      success: false,
+      message: 'Single sign-on is not configured'
+    });
+  }
 
-    // Remove password from response
-    user.password = undefined;
+  try {
+    const { authorizationUrl, state, expiresAt } = await createAuthorizationUrl();
+    setOidcStateCookie(res, state, expiresAt);
 
     res.json({
       success: true,
-      message: 'Login successful',
       data: {
-        user,
-        token
+        authorizationUrl
       }
     });
   } catch (error) {
+    res.status(502).json({
+      success: false,
+      message: 'Could not reach the identity provider',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/oidc/callback:
+ *   post:
+ *     summary: Complete a single sign-on login
+ *     description: |
+ *       Exchanges the authorization code (with the PKCE verifier kept by the server),
+ *       verifies the ID token, then finds the user by subject or verified email, or
+ *       creates them. The state must match the cookie set by `/auth/oidc/authorize` in
+ *       the same browser. New users get their role from the configured group claim;
+ *       existing users' built-in role is kept in sync only when OIDC_ADMIN_GROUPS is set
+ *       and the claim is present, and custom roles are never changed. Responds like
+ *       `/auth/login`.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - state
+ *             properties:
+ *               code:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Login was rejected or the account is deactivated
+ *       404:
+ *         description: Single sign-on is not configured
+ */
+router.post('/oidc/callback', validateOidcCallback, async (req, res) => {
+  if (!oidc.enabled) {
+    return res.status(404).json({
+      success: false,
+      message: 'Single sign-on is not configured'
+    });
+  }
+
+  try {
+    const browserState = oidcStateFromCookie(req);
+    clearOidcStateCookie(res);
+
+    const claims = await handleCallback(req.body, browserState);
+    const user = await findOrCreateUser(claims, req);
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    // Local 2FA still applies on top of whatever the identity provider checked
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: await signTwoFactorChallenge(user)
+        }
+      });
+    }
+
+    await completeLogin(user, req, res, 'sso');
+  } catch (error) {
+    if (error instanceof OidcError) {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
-      message: 'Server error during login',
+      message: 'Server error during single sign-on',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -208,6 +668,7 @@ router.post('/login', validateUserLogin, async (req, res) => {
  * /auth/me:
  *   get:
  *     summary: Get current user profile
+ *     description: While impersonating, this is the impersonated user plus `impersonatedBy`, the admin.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -222,7 +683,22 @@ router.post('/login', validateUserLogin, async (req, res) => {
  *                 success:
  *                   type: boolean
  *                 data:
- *                   $ref: '#/components/schemas/User'
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/User'
+ *                     - type: object
+ *                       properties:
+ *                         impersonatedBy:
+ *                           type: object
+ *                           properties:
+ *                             _id:
+ *                               type: string
+ *                             username:
+ *                               type: string
+ *                             expiresAt:
+ *                               type: string
+ *                               format: date-time
+ *                             blockDestructiveActions:
+ *                               type: boolean
  *       401:
  *         description: Unauthorized
  */
@@ -230,7 +706,17 @@ router.get('/me', authenticate, async (req, res) => {
   try {
     res.json({
       success: true,
-      data: req.user
+      data: {
+        ...(await currentUserProfile(req.user, req.permissions)),
+        ...(req.impersonation && {
+          impersonatedBy: {
+            _id: req.impersonator._id,
+            username: req.impersonator.username,
+            expiresAt: req.impersonation.expiresAt,
+            blockDestructiveActions: req.impersonation.blockDestructiveActions
+          }
+        })
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -243,15 +729,35 @@ router.get('/me', authenticate, async (req, res) => {
 
 /**
  * @swagger
- * /auth/refresh:
- *   post:
- *     summary: Refresh JWT token
+ * /auth/me:
+ *   patch:
+ *     summary: Update current user profile
+ *     description: |
+ *       Changing the email address needs `currentPassword`, marks the address unverified,
+ *       sends a new verification link and tells the old address about the change.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 minLength: 3
+ *                 maxLength: 30
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               currentPassword:
+ *                 type: string
+ *                 description: Required when `email` changes
  *     responses:
  *       200:
- *         description: Token refreshed successfully
+ *         description: Profile updated successfully
  *         content:
  *           application/json:
  *             schema:
@@ -259,33 +765,739 @@ router.get('/me', authenticate, async (req, res) => {
  *               properties:
  *                 success:
  *                   type: boolean
+ *                 message:
+ *                   type: string
  *                 data:
- *                   type: object
- *                   properties:
- *                     token:
- *                       type: string
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: |
+ *           Validation error, username or email already taken, or the current password
+ *           is missing or incorrect for an email change
  *       401:
  *         description: Unauthorized
  */
-router.post('/refresh', authenticate, async (req, res) => {
+router.patch('/me', authenticate, requireSession, validateProfileUpdate, async (req, res, next) => {
   try {
-    // Generate new JWT token
-    const token = jwt.sign(
-      { userId: req.user._id, role: req.user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    const { username, email, currentPassword } = req.body;
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (username !== undefined) user.username = username;
+
+    // Moving the email moves password resets with it, so a stolen session
+    // alone must not be enough
+    const previousEmail = user.email;
+    const emailChanged = email !== undefined && email !== previousEmail;
+    if (emailChanged) {
+      if (!currentPassword || !(await user.comparePassword(currentPassword))) {
+        return res.status(400).json({
+          success: false,
+          message: currentPassword ? 'Current password is incorrect' : 'Current password is required to change your email'
+        });
+      }
+
+      user.email = email;
+      user.emailVerified = false;
+    }
+
+    // Taken usernames and emails fail on the unique indexes
+    await user.save();
+
+    if (emailChanged) {
+      await recordSecurityEvent(req, user, 'email.change', {
+        details: { from: previousEmail, to: user.email }
+      });
+
+      try {
+        await sendVerificationEmail(user, await signEmailVerificationToken(user));
+      } catch (mailError) {
+        console.error('Failed to send verification email:', mailError);
+      }
+
+      try {
+        await sendEmailChangedEmail(user, previousEmail);
+      } catch (mailError) {
+        console.error('Failed to send email change notice:', mailError);
+      }
+    }
 
     res.json({
       success: true,
-      data: {
-        token
-      }
+      message: emailChanged
+        ? 'Profile updated successfully. Please verify your new email address.'
+        : 'Profile updated successfully',
+      data: await currentUserProfile(user, req.permissions)
     });
   } catch (error) {
+    // Let the global error handler report which field is already taken
+    if (error.code === 11000) {
+      return next(error);
+    }
+
     res.status(500).json({
       success: false,
-      message: 'Server error during token refresh',
+      message: 'Server error while updating profile',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/me/security-events:
+ *   get:
+ *     summary: List your login history and other security events
+ *     description: Logins, failed logins, token refreshes, password changes and account changes made by admins, newest first.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SecurityEventType'
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of events per page
+ *     responses:
+ *       200:
+ *         description: Security events retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SecurityEventPage'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me/security-events', authenticate, requireSession, validatePagination, validateSecurityEventQuery, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await listSecurityEvents(req.user._id, {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20,
+        type: req.query.type
+      })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching security events',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/password-policy:
+ *   get:
+ *     summary: Get the password rules
+ *     description: |
+ *       Lets clients check a password before submitting it. Endpoints that set a password
+ *       report each broken rule as a validation error with one of these codes:
+ *       PASSWORD_TOO_SHORT, PASSWORD_TOO_LONG, PASSWORD_MISSING_LOWERCASE,
+ *       PASSWORD_MISSING_UPPERCASE, PASSWORD_MISSING_DIGIT, PASSWORD_MISSING_SYMBOL,
+ *       PASSWORD_BREACHED and PASSWORD_REUSED.
+ *     tags: [Authentication]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Password policy retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     minLength:
+ *                       type: integer
+ *                     maxLength:
+ *                       type: integer
+ *                       description: Maximum length in UTF-8 bytes
+ *                     requireLowercase:
+ *                       type: boolean
+ *                     requireUppercase:
+ *                       type: boolean
+ *                     requireDigit:
+ *                       type: boolean
+ *                     requireSymbol:
+ *                       type: boolean
+ *                     checksBreachedPasswords:
+ *                       type: boolean
+ *                     historySize:
+ *                       type: integer
+ *                       description: Number of recent passwords that cannot be reused
+ */
+router.get('/password-policy', (req, res) => {
+  res.json({
+    success: true,
+    data: publicPasswordPolicy()
+  });
+});
+
+/**
+ * @swagger
+ * /auth/change-password:
+ *   post:
+ *     summary: Change the current user's password
+ *     description: |
+ *       Signs out every session, then starts a new one for the caller and returns its tokens.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 8
+ *                 description: Must satisfy the password policy from GET /auth/password-policy
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *       400:
+ *         description: Validation error (password rule codes are listed under /auth/password-policy), reused password or incorrect current password
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/change-password', authenticate, requireSession, validateChangePassword, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id).select('+password +passwordHistory');
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (await isPasswordReused(user, newPassword)) {
+      return passwordReusedResponse(res, 'newPassword');
+    }
+
+    setPassword(user, newPassword);
+    await user.save();
+    await recordSecurityEvent(req, user, 'password.change');
+
+    // Sign out every other device; this one continues with a fresh session
+    await revokeAllUserTokens(user._id, 'password-change');
+    const tokens = await issueTokens(await User.findById(user._id), clientInfo(req));
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: deliverTokens(req, res, tokens)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing password',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access and refresh token
+ *     description: |
+ *       Refresh tokens rotate on every use. Presenting a refresh token that has
+ *       already been rotated out revokes the whole session it belongs to.
+ *
+ *       In cookie mode (`X-Auth-Mode: cookie`) the refresh token is read from the
+ *       `tm_refresh` cookie, the `X-CSRF-Token` header is required, and the new
+ *       tokens are set as cookies instead of being returned.
+ *     tags: [Authentication]
+ *     security: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuthModeHeader'
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Required unless in cookie mode
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *                     csrfToken:
+ *                       type: string
+ *                       description: Cookie mode only, in place of the tokens
+ *       401:
+ *         description: Refresh token is invalid, expired, revoked or reused
+ *       403:
+ *         description: Missing or invalid CSRF token (cookie mode)
+ */
+router.post('/refresh', validateRefreshToken, async (req, res) => {
+  try {
+    const cookieMode = wantsCookieMode(req);
+
+    if (cookieMode && !hasValidCsrfToken(req)) {
+      return res.status(403).json({
+        success: false,
+        code: 'CSRF_TOKEN_INVALID',
+        message: 'Missing or invalid CSRF token.'
+      });
+    }
+
+    const refreshToken = cookieMode ? refreshTokenFromCookie(req) : req.body.refreshToken;
+    const result = refreshToken && await rotateRefreshToken(refreshToken, clientInfo(req));
+
+    if (!result) {
+      if (cookieMode) clearAuthCookies(res);
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    await recordSecurityEvent(req, result.user, 'token.refresh');
+
+    res.json({
+      success: true,
+      data: deliverTokens(req, res, result, { renewCsrfToken: false })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/csrf:
+ *   get:
+ *     summary: Get the CSRF token of the current cookie session
+ *     description: |
+ *       Lets the browser app pick its CSRF token up again after a page reload, since
+ *       the cookie holding it is httpOnly. `csrfToken` is null when there is no cookie session.
+ *     tags: [Authentication]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: CSRF token retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     csrfToken:
+ *                       type: string
+ *                       nullable: true
+ */
+router.get('/csrf', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      csrfToken: csrfTokenFromCookie(req)
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /auth/impersonation/end:
+ *   post:
+ *     summary: Exit impersonation
+ *     description: Called with the impersonation token; the token stops working and the admin continues with their own session.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Impersonation ended
+ *       400:
+ *         description: The request was not made while impersonating
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/impersonation/end', authenticate, async (req, res) => {
+  try {
+    if (!req.impersonation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Not impersonating anyone'
+      });
+    }
+
+    await endImpersonation(req);
+
+    res.json({
+      success: true,
+      message: 'Impersonation ended'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while ending impersonation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Log out of the current session
+ *     description: Revokes the session behind the access token, so neither it nor its refresh token can be used again.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', authenticate, requireSession, async (req, res) => {
+  try {
+    await req.authSession.revoke('logout');
+    clearAuthCookies(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Log out of every session
+ *     description: Invalidates every access and refresh token the current user holds, on all devices.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out of all sessions successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout-all', authenticate, requireSession, async (req, res) => {
+  try {
+    await revokeAllUserTokens(req.user._id, 'logout-all');
+    clearAuthCookies(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Always responds the same way, whether or not an account exists for the email.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         description: Validation error
+ */
+router.post('/forgot-password', validateEmailRequest, async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user && user.isActive) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+
+      // A failed send must not change the response, or it would reveal
+      // which addresses have an account
+      try {
+        await sendPasswordResetEmail(user, token);
+      } catch (mailError) {
+        console.error('Failed to send password reset email:', mailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: The token is single-use. Every existing session of the user is revoked.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *                 description: Must satisfy the password policy from GET /auth/password-policy
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Validation error (password rule codes are listed under /auth/password-policy), reused password or invalid/expired token
+ */
+router.post('/reset-password', validateResetPassword, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // Checked before the token is used up, so the link still works for another try
+    const owner = await User.findByPasswordResetToken(token).select('+password +passwordHistory');
+
+    if (owner && await isPasswordReused(owner, password)) {
+      return passwordReusedResponse(res, 'password');
+    }
+
+    const user = await User.consumePasswordResetToken(token).select('+password +passwordHistory');
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    setPassword(user, password);
+    await user.save();
+    await recordSecurityEvent(req, user, 'password.reset');
+
+    // Whoever may have had access before the reset loses it now
+    await revokeAllUserTokens(user._id, 'password-reset');
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   post:
+ *     summary: Confirm an email address with the token from the verification link
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Validation error or invalid/expired token
+ */
+router.post('/verify-email', validateVerifyEmail, async (req, res) => {
+  try {
+    const decoded = await verifyEmailVerificationToken(req.body.token);
+    const user = decoded && await User.findById(decoded.userId);
+
+    // The link only counts for the address it was sent to
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: user
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying email',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/resend-verification:
+ *   post:
+ *     summary: Send a new email verification link
+ *     description: Always responds the same way, whether or not an unverified account exists for the email.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Verification email sent if the account exists and is unverified
+ *       400:
+ *         description: Validation error
+ */
+router.post('/resend-verification', validateEmailRequest, async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user && user.isActive && !user.emailVerified) {
+      // As in forgot-password, a failed send must not reveal the account
+      try {
+        await sendVerificationEmail(user, await signEmailVerificationToken(user));
+      } catch (mailError) {
+        console.error('Failed to send verification email:', mailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an unverified account exists for that email, a verification link has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification email',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -0,0 +1,336 @@
+const express = require('express');
+const Invitation = require('../models/Invitation');
+const Role = require('../models/Role');
+const {
+  authenticate,
+  canGrantPermissions,
+  requirePermission,
+  requireVerifiedEmail
+} = require('../middleware/auth');
+const {
+  validateInvitation,
+  validateInvitationQuery,
+  validateInviteToken,
+  validateObjectId,
+  validatePagination
+} = require('../middleware/validation');
+const { sendInvitationEmail, appUrl } = require('../services/emails');
+const { invitationPolicy } = require('../config/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /invitations:
+ *   get:
+ *     summary: Get all invitations (requires user.invite)
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of invitations per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *         description: Filter by status
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ *       403:
+ *         description: Access denied - missing permission
+ */
+router.get('/', authenticate, requirePermission('user.invite'), validatePagination, validateInvitationQuery, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = Invitation.statusFilter(req.query.status);
+
+    const invitations = await Invitation.find(filter)
+      .populate('invitedBy', 'username email')
+      .populate('acceptedBy', 'username email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Invitation.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        invitations,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invitations',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /invitations:
+ *   post:
+ *     summary: Create an invitation (requires user.invite)
+ *     description: |
+ *       Returns the invitation token and a registration link. They are shown only once.
+ *       When an email is given, the invitation can only be used for that address and
+ *       the link is also sent there.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 description: Name of an existing role
+ *                 default: user
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 30
+ *                 default: 7
+ *     responses:
+ *       201:
+ *         description: Invitation created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invitation:
+ *                       $ref: '#/components/schemas/Invitation'
+ *                     token:
+ *                       type: string
+ *                     inviteUrl:
+ *                       type: string
+ *                     emailSent:
+ *                       type: boolean
+ *       400:
+ *         description: Validation error or unknown role
+ *       403:
+ *         description: Access denied - missing permission, or the role has permissions the caller lacks
+ */
+router.post('/', authenticate, requirePermission('user.invite'), requireVerifiedEmail, validateInvitation, async (req, res) => {
+  try {
+    const { email, role } = req.body;
+    const expiresInDays = parseInt(req.body.expiresInDays) || invitationPolicy.defaultExpiresInDays;
+    const invitedRole = await Role.findOne({ name: role || 'user' });
+
+    if (!invitedRole) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role does not exist'
+      });
+    }
+
+    // Invitations cannot hand out more than the inviter holds
+    if (!canGrantPermissions(req, invitedRole.permissions)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot invite users to a role with permissions you do not hold'
+      });
+    }
+
+    const { invitation, token } = await Invitation.createWithToken({
+      email,
+      role: invitedRole.name,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+      invitedBy: req.user._id
+    });
+
+    // The admin still gets the link to pass on if the email cannot be sent
+    let emailSent = false;
+    if (email) {
+      try {
+        await sendInvitationEmail(invitation, token, req.user);
+        emailSent = true;
+      } catch (mailError) {
+        console.error('Failed to send invitation email:', mailError);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation created successfully',
+      data: {
+        invitation,
+        token,
+        inviteUrl: appUrl(`/register?invite=${encodeURIComponent(token)}`),
+        emailSent
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /invitations/verify:
+ *   get:
+ *     summary: Look up an invitation by its token
+ *     description: Used by the registration form to show the invited role and email.
+ *     tags: [Invitations]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invitation token
+ *     responses:
+ *       200:
+ *         description: Invitation is valid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     email:
+ *                       type: string
+ *                     role:
+ *                       type: string
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *       404:
+ *         description: Invitation is invalid or has expired
+ */
+router.get('/verify', validateInviteToken, async (req, res) => {
+  try {
+    const invitation = await Invitation.findPending(req.query.token);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /invitations/{id}:
+ *   delete:
+ *     summary: Revoke a pending invitation (requires user.invite)
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation revoked successfully
+ *       400:
+ *         description: Invitation is no longer pending
+ *       404:
+ *         description: Invitation not found
+ *       403:
+ *         description: Access denied - missing permission
+ */
+router.delete('/:id', authenticate, requirePermission('user.invite'), requireVerifiedEmail, validateObjectId, async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Invitation is already ${invitation.status}`
+      });
+    }
+
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully',
+      data: invitation
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,264 @@
+const express = require('express');
+const Label = require('../models/Label');
+const Task = require('../models/Task');
+const {
+  authenticate,
+  requirePermission,
+  requireScope,
+  requireVerifiedEmail
+} = require('../middleware/auth');
+const { validateLabel, validateLabelUpdate, validateObjectId } = require('../middleware/validation');
+
+const router = express.Router();
+
+const duplicateNameResponse = (res) => res.status(409).json({
+  success: false,
+  message: 'A label with this name already exists'
+});
+
+/**
+ * @swagger
+ * /labels:
+ *   get:
+ *     summary: List all task labels
+ *     tags: [Labels]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Labels retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Label'
+ */
+router.get('/', authenticate, requireScope('tasks:read'), async (req, res) => {
+  try {
+    const labels = await Label.find().collation({ locale: 'en' }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: labels
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching labels',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /labels:
+ *   post:
+ *     summary: Create a label (requires label.manage)
+ *     tags: [Labels]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 30
+ *                 example: bug
+ *               color:
+ *                 type: string
+ *                 example: '#dc2626'
+ *               description:
+ *                 type: string
+ *                 maxLength: 200
+ *     responses:
+ *       201:
+ *         description: Label created successfully
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: A label with this name already exists
+ *       403:
+ *         description: Access denied - missing permission
+ */
+router.post('/', authenticate, requirePermission('label.manage'), requireVerifiedEmail, validateLabel, async (req, res) => {
+  try {
+    const { name, color, description } = req.body;
+
+    if (await Label.nameTaken(name)) {
+      return duplicateNameResponse(res);
+    }
+
+    const label = await Label.create({
+      name,
+      color,
+      description,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Label created successfully',
+      data: label
+    });
+  } catch (error) {
+    // Created at the same time by another request, after the check above
+    if (error.code === 11000) {
+      return duplicateNameResponse(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating label',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /labels/{id}:
+ *   patch:
+ *     summary: Rename, recolor or describe a label (requires label.manage)
+ *     tags: [Labels]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Label ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 30
+ *               color:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *                 maxLength: 200
+ *     responses:
+ *       200:
+ *         description: Label updated successfully
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: A label with this name already exists
+ *       403:
+ *         description: Access denied - missing permission
+ *       404:
+ *         description: Label not found
+ */
+router.patch('/:id', authenticate, requirePermission('label.manage'), requireVerifiedEmail, validateObjectId, validateLabelUpdate, async (req, res) => {
+  try {
+    const label = await Label.findById(req.params.id);
+
+    if (!label) {
+      return res.status(404).json({
+        success: false,
+        message: 'Label not found'
+      });
+    }
+
+    const { name, color, description } = req.body;
+
+    if (name !== undefined && await Label.nameTaken(name, label._id)) {
+      return duplicateNameResponse(res);
+    }
+
+    if (name !== undefined) label.name = name;
+    if (color !== undefined) label.color = color;
+    if (description !== undefined) label.description = description;
+    await label.save();
+
+    res.json({
+      success: true,
+      message: 'Label updated successfully',
+      data: label
+    });
+  } catch (error) {
+    // Taken by another request after the check above
+    if (error.code === 11000) {
+      return duplicateNameResponse(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating label',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /labels/{id}:
+ *   delete:
+ *     summary: Delete a label (requires label.manage)
+ *     description: The label is removed from every task that has it.
+ *     tags: [Labels]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Label ID
+ *     responses:
+ *       200:
+ *         description: Label deleted successfully
+ *       403:
+ *         description: Access denied - missing permission
+ *       404:
+ *         description: Label not found
+ */
+router.delete('/:id', authenticate, requirePermission('label.manage'), requireVerifiedEmail, validateObjectId, async (req, res) => {
+  try {
+    const label = await Label.findById(req.params.id);
+
+    if (!label) {
+      return res.status(404).json({
+        success: false,
+        message: 'Label not found'
+      });
+    }
+
+    await Task.updateMany({ labels: label._id }, { $pull: { labels: label._id } });
+    await label.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Label deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting label',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
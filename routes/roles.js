@@ -0,0 +1,358 @@
+const express = require('express');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const {
+  authenticate,
+  canGrantPermissions,
+  requirePermission,
+  requireVerifiedEmail
+} = require('../middleware/auth');
+const { validateRole, validateRoleUpdate, validateObjectId } = require('../middleware/validation');
+const { permissions } = require('../config/permissions');
+
+const router = express.Router();
+
+const duplicateNameResponse = (res) => res.status(409).json({
+  success: false,
+  message: 'A role with this name already exists'
+});
+
+/**
+ * @swagger
+ * /roles:
+ *   get:
+ *     summary: List roles with their permissions (requires user.view)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Role'
+ *                       - type: object
+ *                         properties:
+ *                           userCount:
+ *                             type: integer
+ *       403:
+ *         description: Access denied - missing permission
+ */
+router.get('/', authenticate, requirePermission('user.view'), async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ builtIn: -1, name: 1 }),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+
+    const userCounts = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+    res.json({
+      success: true,
+      data: roles.map((role) => ({
+        ...role.toJSON(),
+        userCount: userCounts.get(role.name) || 0
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching roles',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /roles/permissions:
+ *   get:
+ *     summary: List every permission a role can hold (requires user.view)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       description:
+ *                         type: string
+ *                       scope:
+ *                         type: string
+ *                         description: Scope a personal access token needs to use the permission
+ *       403:
+ *         description: Access denied - missing permission
+ */
+router.get('/permissions', authenticate, requirePermission('user.view'), (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(permissions).map(([name, { description, scope }]) => ({ name, description, scope }))
+  });
+});
+
+/**
+ * @swagger
+ * /roles:
+ *   post:
+ *     summary: Create a custom role (requires role.manage)
+ *     description: A role can only contain permissions the caller's own role holds.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 pattern: '^[a-z][a-z0-9-]{1,29}$'
+ *                 example: manager
+ *               description:
+ *                 type: string
+ *                 maxLength: 200
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [task.create, task.view.any, task.update.any, stats.view.global]
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: A role with this name already exists
+ *       403:
+ *         description: Access denied - missing permission
+ */
+router.post('/', authenticate, requirePermission('role.manage'), requireVerifiedEmail, validateRole, async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const rolePermissions = [...new Set(req.body.permissions)];
+
+    if (!canGrantPermissions(req, rolePermissions)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot create a role with permissions you do not hold'
+      });
+    }
+
+    if (await Role.exists({ name })) {
+      return duplicateNameResponse(res);
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions: rolePermissions,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role
+    });
+  } catch (error) {
+    // Created at the same time by another request, after the check above
+    if (error.code === 11000) {
+      return duplicateNameResponse(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /roles/{id}:
+ *   patch:
+ *     summary: Update a custom role's description or permissions (requires role.manage)
+ *     description: |
+ *       Takes effect on the next request of every user with the role. Built-in roles
+ *       cannot be changed and roles cannot be renamed.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *                 maxLength: 200
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Validation error or built-in role
+ *       404:
+ *         description: Role not found
+ *       403:
+ *         description: Access denied - missing permission
+ */
+router.patch('/:id', authenticate, requirePermission('role.manage'), requireVerifiedEmail, validateObjectId, validateRoleUpdate, async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.builtIn) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be changed'
+      });
+    }
+
+    const rolePermissions = req.body.permissions ? [...new Set(req.body.permissions)] : role.permissions;
+
+    // Both what the role had and what it gets must be within the caller's own permissions
+    if (!canGrantPermissions(req, role.permissions) || !canGrantPermissions(req, rolePermissions)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot change a role with permissions you do not hold'
+      });
+    }
+
+    if (req.body.description !== undefined) role.description = req.body.description;
+    role.permissions = rolePermissions;
+    await role.save();
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /roles/{id}:
+ *   delete:
+ *     summary: Delete a custom role (requires role.manage)
+ *     description: Refused while users or pending invitations still have the role.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role ID
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       400:
+ *         description: Built-in role, or role still in use
+ *       404:
+ *         description: Role not found
+ *       403:
+ *         description: Access denied - missing permission
+ */
+router.delete('/:id', authenticate, requirePermission('role.manage'), requireVerifiedEmail, validateObjectId, async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.builtIn) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const [userCount, invitationCount] = await Promise.all([
+      User.countDocuments({ role: role.name }),
+      Invitation.countDocuments({ ...Invitation.statusFilter('pending'), role: role.name })
+    ]);
+
+    if (userCount > 0 || invitationCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Role is still assigned to ${userCount} user(s) and ${invitationCount} pending invitation(s)`
+      });
+    }
+
+    await role.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+const express = require('express');
+const SigningKey = require('../models/SigningKey');
+const { authenticate, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { rotateSigningKey } = require('../services/signingKeys');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /signing-keys:
+ *   get:
+ *     summary: List the JWT signing keys (requires settings.security.manage)
+ *     description: The active key plus retired keys that still verify tokens. Private keys are never returned.
+ *     tags: [Signing Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Signing keys retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SigningKey'
+ *       403:
+ *         description: Access denied - missing permission
+ */
+router.get('/', authenticate, requirePermission('settings.security.manage'), async (req, res) => {
+  try {
+    const keys = await SigningKey.find({ $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: keys
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching signing keys',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /signing-keys/rotate:
+ *   post:
+ *     summary: Rotate the JWT signing key (requires settings.security.manage)
+ *     description: |
+ *       New tokens are signed with a fresh key straight away. The previous key stays in
+ *       /.well-known/jwks.json and keeps verifying the tokens it signed until they have expired.
+ *     tags: [Signing Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Signing key rotated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/SigningKey'
+ *       403:
+ *         description: Access denied - missing permission
+ */
+router.post('/rotate', authenticate, requirePermission('settings.security.manage'), requireVerifiedEmail, async (req, res) => {
+  try {
+    const key = await rotateSigningKey();
+
+    res.status(201).json({
+      success: true,
+      message: 'Signing key rotated successfully',
+      data: key
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rotating signing key',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
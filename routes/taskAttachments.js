@@ -0,0 +1,353 @@
+const express = require('express');
+const multer = require('multer');
+const TaskAttachment = require('../models/TaskAttachment');
+const {
+  authenticate,
+  requireScope,
+  requireVerifiedEmail
+} = require('../middleware/auth');
+const { validateObjectId, validateAttachmentId } = require('../middleware/validation');
+const { loadTask } = require('../middleware/taskAccess');
+const { attachmentPolicy } = require('../config/storage');
+const { addAttachments, openAttachment, removeAttachment } = require('../services/attachments');
+
+// Mounted at /tasks/:id/attachments. Whoever can see a task can list and
+// download its files; whoever can edit it can add and remove them.
+const router = express.Router({ mergeParams: true });
+
+const UPLOAD_FIELD = 'files';
+const maxFileSizeMb = attachmentPolicy.maxFileSizeBytes / (1024 * 1024);
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: attachmentPolicy.maxFileSizeBytes,
+    files: attachmentPolicy.maxFilesPerUpload
+  },
+  fileFilter: (req, file, cb) => {
+    if (!attachmentPolicy.allowedMimeTypes.includes(file.mimetype)) {
+      const error = new Error(`Files of type ${file.mimetype} cannot be attached`);
+      error.code = 'UNSUPPORTED_FILE_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+}).array(UPLOAD_FIELD, attachmentPolicy.maxFilesPerUpload);
+
+// Parse the upload, answering the limit violations with their own statuses
+const receiveFiles = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        message: `Files cannot exceed ${maxFileSizeMb} MB`
+      });
+    }
+
+    if (error.code === 'UNSUPPORTED_FILE_TYPE') {
+      return res.status(415).json({
+        success: false,
+        message: error.message,
+        allowedTypes: attachmentPolicy.allowedMimeTypes
+      });
+    }
+
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `Upload up to ${attachmentPolicy.maxFilesPerUpload} files in the "${UPLOAD_FIELD}" field`
+          : error.message
+      });
+    }
+
+    next(error);
+  });
+};
+
+const findAttachment = (req) => TaskAttachment.findOne({ _id: req.params.attachmentId, task: req.task._id });
+
+/**
+ * @swagger
+ * /tasks/{id}/attachments:
+ *   get:
+ *     summary: List the files attached to a task
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Attachments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TaskAttachment'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task not found
+ */
+router.get('/', authenticate, requireScope('tasks:read'), validateObjectId, loadTask('view'), async (req, res) => {
+  try {
+    const attachments = await TaskAttachment.find({ task: req.task._id })
+      .populate('uploadedBy', 'username')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: attachments
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching attachments',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/attachments:
+ *   post:
+ *     summary: Attach files to a task
+ *     description: |
+ *       Up to 5 files per request in the `files` field, each at most
+ *       `ATTACHMENT_MAX_FILE_SIZE_MB` (10 MB by default) and of an allowed
+ *       type (`ATTACHMENT_ALLOWED_TYPES`: images, text, CSV, JSON, PDF and
+ *       archives by default). A task holds at most `ATTACHMENT_MAX_FILES_PER_TASK`
+ *       (20) files.
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - files
+ *             properties:
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Files attached successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TaskAttachment'
+ *       400:
+ *         description: No files, too many files, or the task is full
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task not found
+ *       413:
+ *         description: A file is too large
+ *       415:
+ *         description: A file's type is not allowed
+ */
+router.post('/', authenticate, requireScope('tasks:write'), requireVerifiedEmail, validateObjectId, loadTask('update'), receiveFiles, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Attach at least one file in the "${UPLOAD_FIELD}" field`
+      });
+    }
+
+    const existing = await TaskAttachment.countDocuments({ task: req.task._id });
+    if (existing + req.files.length > attachmentPolicy.maxFilesPerTask) {
+      return res.status(400).json({
+        success: false,
+        message: `A task can have at most ${attachmentPolicy.maxFilesPerTask} attachments`
+      });
+    }
+
+    const attachments = await addAttachments(req.task, req.files, req.user);
+    await TaskAttachment.populate(attachments, { path: 'uploadedBy', select: 'username' });
+
+    res.status(201).json({
+      success: true,
+      message: 'Files attached successfully',
+      data: attachments
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while attaching files',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/attachments/{attachmentId}:
+ *   get:
+ *     summary: Download an attached file
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Attachment ID
+ *     responses:
+ *       200:
+ *         description: The file, as a download under its original name
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task or attachment not found
+ */
+router.get('/:attachmentId', authenticate, requireScope('tasks:read'), validateObjectId, validateAttachmentId, loadTask('view'), async (req, res) => {
+  try {
+    const attachment = await findAttachment(req).select('+storageKey');
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    let stream;
+    try {
+      stream = await openAttachment(attachment);
+    } catch (error) {
+      console.error(`Attachment ${attachment._id} is missing from storage:`, error.message);
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment file not found'
+      });
+    }
+
+    // Always a download, so uploaded HTML or SVG never renders on our origin
+    res.attachment(attachment.filename);
+    res.set({
+      'Content-Type': attachment.contentType,
+      'Content-Length': attachment.size
+    });
+
+    stream.on('error', (error) => {
+      console.error(`Failed to send attachment ${attachment._id}:`, error.message);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while downloading attachment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/attachments/{attachmentId}:
+ *   delete:
+ *     summary: Remove an attached file
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Attachment ID
+ *     responses:
+ *       200:
+ *         description: Attachment deleted successfully
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task or attachment not found
+ */
+router.delete('/:attachmentId', authenticate, requireScope('tasks:write'), requireVerifiedEmail, validateObjectId, validateAttachmentId, loadTask('update'), async (req, res) => {
+  try {
+    const attachment = await findAttachment(req).select('+storageKey');
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    await removeAttachment(attachment);
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting attachment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
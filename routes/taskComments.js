@@ -0,0 +1,370 @@
+const express = require('express');
+const TaskComment = require('../models/TaskComment');
+const {
+  authenticate,
+  hasPermission,
+  requireScope,
+  requireVerifiedEmail
+} = require('../middleware/auth');
+const {
+  validateComment,
+  validateCommentUpdate,
+  validateObjectId,
+  validateCommentId,
+  validatePagination
+} = require('../middleware/validation');
+const { loadTask } = require('../middleware/taskAccess');
+const { resolveMentions } = require('../services/mentions');
+
+// Mounted at /tasks/:id/comments. Comments are visible to, and can be added
+// by, whoever can see the task.
+const router = express.Router({ mergeParams: true });
+
+const populateComment = [
+  { path: 'author', select: 'username' },
+  { path: 'mentions', select: 'username' }
+];
+
+const findComment = (req) => TaskComment.findOne({ _id: req.params.commentId, task: req.task._id });
+
+/**
+ * @swagger
+ * /tasks/{id}/comments:
+ *   get:
+ *     summary: List the comments on a task
+ *     description: Top-level comments, oldest first and paginated, each with all its replies.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of top-level comments per page
+ *     responses:
+ *       200:
+ *         description: Comments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     comments:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/TaskComment'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task not found
+ */
+router.get('/', authenticate, requireScope('tasks:read'), validateObjectId, validatePagination, loadTask('view'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = { task: req.task._id, parent: null };
+
+    const [comments, total] = await Promise.all([
+      TaskComment.find(filter)
+        .populate(populateComment)
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      TaskComment.countDocuments(filter)
+    ]);
+
+    const replies = await TaskComment.find({ task: req.task._id, parent: { $in: comments.map((comment) => comment._id) } })
+      .populate(populateComment)
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        comments: comments.map((comment) => ({
+          ...comment.toJSON(),
+          replies: replies.filter((reply) => reply.parent.equals(comment._id))
+        })),
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching comments',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/comments:
+ *   post:
+ *     summary: Comment on a task, or reply to a comment
+ *     description: |
+ *       `@username` mentions are resolved to the mentioned users. Replies are
+ *       one level deep: replying to a reply adds to the same thread.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 2000
+ *               parent:
+ *                 type: string
+ *                 description: The comment to reply to
+ *     responses:
+ *       201:
+ *         description: Comment created successfully
+ *       400:
+ *         description: Validation error, or the parent comment is missing or deleted
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task not found
+ */
+router.post('/', authenticate, requireScope('tasks:write'), requireVerifiedEmail, validateObjectId, validateComment, loadTask('view'), async (req, res) => {
+  try {
+    let parent = null;
+
+    if (req.body.parent) {
+      const parentComment = await TaskComment.findOne({ _id: req.body.parent, task: req.task._id });
+
+      if (!parentComment || parentComment.deleted) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parent comment not found'
+        });
+      }
+
+      // Keep threads one level deep
+      parent = parentComment.parent || parentComment._id;
+    }
+
+    const comment = await TaskComment.create({
+      task: req.task._id,
+      parent,
+      author: req.user._id,
+      body: req.body.body,
+      mentions: await resolveMentions(req.body.body)
+    });
+    await comment.populate(populateComment);
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment created successfully',
+      data: comment
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/comments/{commentId}:
+ *   patch:
+ *     summary: Edit your comment
+ *     description: The previous text is kept in the comment's `edits`.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: Comment updated successfully
+ *       403:
+ *         description: Only the author can edit a comment
+ *       404:
+ *         description: Task or comment not found
+ */
+router.patch('/:commentId', authenticate, requireScope('tasks:write'), requireVerifiedEmail, validateObjectId, validateCommentId, validateCommentUpdate, loadTask('view'), async (req, res) => {
+  try {
+    const comment = await findComment(req);
+
+    if (!comment || comment.deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (!comment.author.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the author can edit this comment'
+      });
+    }
+
+    if (req.body.body !== comment.body) {
+      comment.edit(req.body.body, await resolveMentions(req.body.body));
+      await comment.save();
+    }
+    await comment.populate(populateComment);
+
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: comment
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/comments/{commentId}:
+ *   delete:
+ *     summary: Delete a comment
+ *     description: |
+ *       Allowed for the author and users with task.update.any. A comment with
+ *       replies keeps its place in the thread with its text removed.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     responses:
+ *       200:
+ *         description: Comment deleted successfully
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task or comment not found
+ */
+router.delete('/:commentId', authenticate, requireScope('tasks:write'), requireVerifiedEmail, validateObjectId, validateCommentId, loadTask('view'), async (req, res) => {
+  try {
+    const comment = await findComment(req);
+
+    if (!comment || comment.deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (!hasPermission(req, 'task.update.any') && !comment.author.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only the author or admin can delete this comment.'
+      });
+    }
+
+    if (!comment.parent && await TaskComment.exists({ parent: comment._id })) {
+      // Keep the thread, without the deleted text or its history
+      comment.deleted = true;
+      comment.body = '';
+      comment.mentions = [];
+      comment.edits = [];
+      await comment.save();
+    } else {
+      await TaskComment.deleteOne({ _id: comment._id });
+
+      // A deleted comment stays only as long as it has replies
+      if (comment.parent && !(await TaskComment.exists({ parent: comment.parent }))) {
+        await TaskComment.deleteOne({ _id: comment.parent, deleted: true });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
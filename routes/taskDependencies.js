@@ -0,0 +1,242 @@
+const express = require('express');
+const Task = require('../models/Task');
+const {
+  authenticate,
+  requireScope,
+  requireVerifiedEmail
+} = require('../middleware/auth');
+const { validateObjectId, validateDependency, validateBlockerId } = require('../middleware/validation');
+const { canAccessTask, loadTask } = require('../middleware/taskAccess');
+const { MAX_BLOCKERS, linkBlocker, dependencyGraph } = require('../services/taskDependencies');
+
+// Mounted at /tasks/:id/dependencies. Whoever can see a task can see its
+// graph; whoever can edit it decides what it is blocked by.
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * /tasks/{id}/dependencies:
+ *   get:
+ *     summary: Get the dependency graph of a task
+ *     description: |
+ *       The tasks blocking this one and the tasks it blocks, transitively in
+ *       both directions, as nodes and edges.
+ *     tags: [Dependencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Dependency graph retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/DependencyGraph'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task not found
+ */
+router.get('/', authenticate, requireScope('tasks:read'), validateObjectId, loadTask('view'), async (req, res) => {
+  try {
+    const graph = await dependencyGraph(req.task, (task) => canAccessTask.view(req, task));
+
+    res.json({
+      success: true,
+      data: graph
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching dependencies',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/dependencies:
+ *   post:
+ *     summary: Mark a task as blocked by another task
+ *     description: |
+ *       Refused if the blocking task is already, directly or through other
+ *       tasks, blocked by this one; the response then names the `cycle`.
+ *     tags: [Dependencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the blocked task
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - blockedBy
+ *             properties:
+ *               blockedBy:
+ *                 type: string
+ *                 description: ID of the blocking task, which the user must be able to see
+ *     responses:
+ *       201:
+ *         description: Dependency added successfully
+ *       400:
+ *         description: |
+ *           Validation error, the blocking task is missing, the link exists or
+ *           would create a cycle (`code: DEPENDENCY_CYCLE`, with the `cycle` as task IDs)
+ *       403:
+ *         description: Access denied to the task or the blocking task
+ *       404:
+ *         description: Task not found
+ */
+router.post('/', authenticate, requireScope('tasks:write'), requireVerifiedEmail, validateObjectId, validateDependency, loadTask('update'), async (req, res) => {
+  try {
+    const { task } = req;
+    const blocker = await Task.findById(req.body.blockedBy);
+
+    if (!blocker) {
+      return res.status(400).json({
+        success: false,
+        message: 'Blocking task not found'
+      });
+    }
+
+    if (!canAccessTask.view(req, blocker)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to the blocking task'
+      });
+    }
+
+    if (blocker._id.equals(task._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A task cannot block itself'
+      });
+    }
+
+    const outcome = await linkBlocker(task, blocker._id);
+
+    if (outcome.reason === 'missing') {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (outcome.reason === 'exists') {
+      return res.status(400).json({
+        success: false,
+        message: 'This task is already blocked by that task'
+      });
+    }
+
+    if (outcome.reason === 'limit') {
+      return res.status(400).json({
+        success: false,
+        message: `A task can be blocked by at most ${MAX_BLOCKERS} tasks`
+      });
+    }
+
+    if (outcome.cycle) {
+      return res.status(400).json({
+        success: false,
+        code: 'DEPENDENCY_CYCLE',
+        message: 'That task already waits on this one, so the link would create a cycle',
+        cycle: outcome.cycle
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Dependency added successfully',
+      data: {
+        blockedBy: [...task.blockedBy, blocker._id]
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding dependency',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/dependencies/{blockerId}:
+ *   delete:
+ *     summary: Remove a blocking task
+ *     tags: [Dependencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the blocked task
+ *       - in: path
+ *         name: blockerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the blocking task
+ *     responses:
+ *       200:
+ *         description: Dependency removed successfully
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task or dependency not found
+ */
+router.delete('/:blockerId', authenticate, requireScope('tasks:write'), requireVerifiedEmail, validateObjectId, validateBlockerId, loadTask('update'), async (req, res) => {
+  try {
+    const { task } = req;
+
+    if (!task.blockedBy.some((id) => id.toString() === req.params.blockerId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dependency not found'
+      });
+    }
+
+    await Task.updateOne({ _id: task._id }, { $pull: { blockedBy: req.params.blockerId } });
+
+    res.json({
+      success: true,
+      message: 'Dependency removed successfully',
+      data: {
+        blockedBy: task.blockedBy.filter((id) => id.toString() !== req.params.blockerId)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing dependency',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,86 @@
 const express = require('express');
 const Task = require('../models/Task');
 const User = require('../models/User');
-const { authenticate, requireAdmin } = require('../middleware/auth');
-const { validateTaskCreation, validateTaskUpdate, validateObjectId, validatePagination } = require('../middleware/validation');
+const TaskComment = require('../models/TaskComment');
+const Label = require('../models/Label');
+const {
+  authenticate,
+  hasPermission,
+  requirePermission,
+  requireScope,
+  requireVerifiedEmail
+} = require('../middleware/auth');
+const {
+  validateTaskCreation,
+  validateTaskUpdate,
+  validateObjectId,
+  validatePagination,
+  validateCursorPagination,
+  validateTaskQuery,
+  validateTaskDetailQuery,
+  validateTaskStatsQuery
+} = require('../middleware/validation');
+const { canAccessTask } = require('../middleware/taskAccess');
+const { textSearchFilter, highlightTask } = require('../services/taskSearch');
+const { removeTaskAttachments } = require('../services/attachments');
+const { taskFilterConditions, taskSort } = require('../services/taskQuery');
+const { normalizeChecklist, withProgress } = require('../services/subtasks');
+const { openBlockers } = require('../services/taskDependencies');
+const {
+  reverseSort,
+  cursorCondition,
+  paginationOptions,
+  cursorPage,
+  paginationResponse
+} = require('../services/cursorPagination');
 
 const router = express.Router();
 
+const populateTask = [
+  { path: 'assignedTo', select: 'username email' },
+  { path: 'createdBy', select: 'username email' },
+  { path: 'parent', select: 'title' },
+  { path: 'labels', select: 'name color' }
+];
+
+// Whether every one of the (deduplicated) label IDs exists
+const labelsExist = async (labels) => (
+  await Label.countDocuments({ _id: { $in: labels } }) === labels.length
+);
+
+const unknownLabelsResponse = (res) => res.status(400).json({
+  success: false,
+  message: 'One or more labels do not exist'
+});
+
+// Why `parentId` cannot be the parent of `task` (undefined for a new task),
+// as a status and message, or null if it can. Subtasks are one level deep.
+const parentTaskError = async (req, parentId, task) => {
+  const parent = await Task.findById(parentId);
+
+  if (!parent) {
+    return { status: 400, message: 'Parent task not found' };
+  }
+
+  if (!canAccessTask.update(req, parent)) {
+    return { status: 403, message: 'Access denied to the parent task' };
+  }
+
+  if (task && parent._id.equals(task._id)) {
+    return { status: 400, message: 'A task cannot be its own parent' };
+  }
+
+  if (parent.parent) {
+    return { status: 400, message: 'Subtasks cannot have subtasks of their own' };
+  }
+
+  if (task && await Task.exists({ parent: task._id })) {
+    return { status: 400, message: 'A task with subtasks cannot become a subtask' };
+  }
+
+  return null;
+};
+
 /**
  * @swagger
  * /tasks:
@@ -30,68 +105,189 @@ const router = express.Router();
  *           maximum: 100
  *           default: 10
  *         description: Number of tasks per page
+ *       - $ref: '#/components/parameters/PaginateMode'
+ *       - $ref: '#/components/parameters/CursorAfter'
+ *       - $ref: '#/components/parameters/CursorBefore'
+ *       - $ref: '#/components/parameters/IncludeTotal'
  *       - in: query
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, in-progress, completed]
- *         description: Filter by status
+ *         example: pending,in-progress
+ *         description: Comma-separated statuses (pending, in-progress, completed)
  *       - in: query
  *         name: priority
  *         schema:
  *           type: string
- *           enum: [low, medium, high]
- *         description: Filter by priority
+ *         example: high,medium
+ *         description: Comma-separated priorities (low, medium, high)
  *       - in: query
  *         name: assignedTo
  *         schema:
  *           type: string
- *         description: Filter by assigned user ID
+ *         description: Comma-separated user IDs of the assignee; `me` is the current user
+ *       - in: query
+ *         name: createdBy
+ *         schema:
+ *           type: string
+ *         description: Comma-separated user IDs of the creator; `me` is the current user
+ *       - in: query
+ *         name: overdue
+ *         schema:
+ *           type: boolean
+ *         description: Only tasks past their due date and not completed (true), or the others (false)
+ *       - in: query
+ *         name: topLevel
+ *         schema:
+ *           type: boolean
+ *         description: Only top-level tasks (true), or only subtasks (false)
+ *       - in: query
+ *         name: parent
+ *         schema:
+ *           type: string
+ *         description: Only the subtasks of this task
+ *       - in: query
+ *         name: labels
+ *         schema:
+ *           type: string
+ *         description: Comma-separated label IDs
+ *       - in: query
+ *         name: labelMode
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *           default: any
+ *         description: Match tasks with any of the `labels`, or with all of them
+ *       - in: query
+ *         name: dueDate
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           $ref: '#/components/schemas/DateRange'
+ *         description: Due date range, e.g. `dueDate[gte]=2024-01-01&dueDate[lt]=2024-02-01`
+ *       - in: query
+ *         name: createdAt
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           $ref: '#/components/schemas/DateRange'
+ *         description: Creation date range
+ *       - in: query
+ *         name: updatedAt
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           $ref: '#/components/schemas/DateRange'
+ *         description: Last update date range
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           maxLength: 200
+ *         description: |
+ *           Full-text search in title and description. Words are matched by their
+ *           stem, `"quoted phrases"` must occur as written and `-word` excludes
+ *           tasks containing the word. Each result then carries a `score` and
+ *           `highlights`.
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         example: dueDate,-priority
+ *         description: |
+ *           Up to 3 comma-separated fields, `-` for descending: relevance (requires
+ *           `q`), createdAt, updatedAt, dueDate, priority, status, title. Priority
+ *           and status sort in their natural order and tasks without a due date
+ *           come last. Defaults to relevance with `q` and to `-createdAt` otherwise.
  *     responses:
  *       200:
  *         description: Tasks retrieved successfully
+ *         headers:
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tasks:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Task'
+ *                           - $ref: '#/components/schemas/TaskSearchResult'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters, with one error per parameter, or a cursor of another sort order
  */
-router.get('/', authenticate, validatePagination, async (req, res) => {
+router.get('/', authenticate, requireScope('tasks:read'), validatePagination, validateCursorPagination, validateTaskQuery, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const pagination = paginationOptions(req.query);
+    const { limit } = pagination;
+    const { computed, sortKeys } = taskSort(req.query);
+
+    const cursor = pagination.after || pagination.before;
+    const cursorFilter = cursor && cursorCondition(cursor, sortKeys, { before: Boolean(pagination.before) });
+    if (cursor && !cursorFilter) {
+      return res.status(400).json({
+        success: false,
+        message: 'The cursor belongs to a different sort order; start again without after or before'
+      });
+    }
 
-    // Build filter object
-    const filter = {};
-    
-    // Non-admin users can only see their own tasks
-    if (req.user.role !== 'admin') {
-      filter.$or = [
-        { assignedTo: req.user._id },
-        { createdBy: req.user._id }
-      ];
+    const conditions = taskFilterConditions(req.query, req.user);
+
+    // Without task.view.any users only see their own tasks
+    if (!hasPermission(req, 'task.view.any')) {
+      conditions.unshift({
+        $or: [
+          { assignedTo: req.user._id },
+          { createdBy: req.user._id }
+        ]
+      });
     }
 
-    // Apply additional filters
-    if (req.query.status) filter.status = req.query.status;
-    if (req.query.priority) filter.priority = req.query.priority;
-    if (req.query.assignedTo) filter.assignedTo = req.query.assignedTo;
+    const filter = conditions.length > 0 ? { $and: conditions } : {};
+    const { q } = req.query;
+    const searchFilter = q ? textSearchFilter(filter, q) : filter;
+
+    // An aggregation, so priority and status can sort in their natural order.
+    // Search results carry their relevance score. One task more than the page
+    // is fetched to tell whether there are more.
+    const [results, total] = await Promise.all([
+      Task.aggregate([
+        { $match: searchFilter },
+        ...(q ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+        ...(Object.keys(computed).length > 0 ? [{ $addFields: { _sort: computed } }] : []),
+        ...(cursorFilter ? [{ $match: cursorFilter }] : []),
+        { $sort: pagination.before ? reverseSort(sortKeys) : sortKeys },
+        ...(pagination.cursorMode ? [] : [{ $skip: (pagination.page - 1) * limit }]),
+        { $limit: limit + 1 }
+      ]),
+      pagination.includeTotal ? Task.countDocuments(searchFilter) : undefined
+    ]);
 
-    const tasks = await Task.find(filter)
-      .populate('assignedTo', 'username email')
-      .populate('createdBy', 'username email')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    const { items, ...pageInfo } = pagination.cursorMode
+      ? cursorPage(results, sortKeys, pagination)
+      : { items: results.slice(0, limit), hasMore: results.length > limit };
 
-    const total = await Task.countDocuments(filter);
+    const tasks = await withProgress(
+      await Task.populate(items.map(({ _sort, ...task }) => Task.hydrate(task)), populateTask)
+    );
 
     res.json({
       success: true,
       data: {
-        tasks,
-        pagination: {
-          current: page,
-          pages: Math.ceil(total / limit),
-          total,
-          limit
-        }
+        tasks: q
+          ? tasks.map((task) => ({ ...task, highlights: highlightTask(task, q) }))
+          : tasks,
+        pagination: paginationResponse(req, res, pagination, { total, ...pageInfo })
       }
     });
   } catch (error) {
@@ -118,17 +314,21 @@ router.get('/', authenticate, validatePagination, async (req, res) => {
  *         schema:
  *           type: string
  *         description: Task ID
+ *       - in: query
+ *         name: includeSubtasks
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include the task's subtasks (those the user can see) as `subtasks`
  *     responses:
  *       200:
- *         description: Task retrieved successfully
+ *         description: Task retrieved successfully, with its `progress`
  *       404:
  *         description: Task not found
  */
-router.get('/:id', authenticate, validateObjectId, async (req, res) => {
+router.get('/:id', authenticate, requireScope('tasks:read'), validateObjectId, validateTaskDetailQuery, async (req, res) => {
   try {
-    const task = await Task.findById(req.params.id)
-      .populate('assignedTo', 'username email')
-      .populate('createdBy', 'username email');
+    const task = await Task.findById(req.params.id).populate(populateTask);
 
     if (!task) {
       return res.status(404).json({
@@ -138,7 +338,7 @@ router.get('/:id', authenticate, validateObjectId, async (req, res) => {
     }
 
     // Check if user can access this task
-    if (req.user.role !== 'admin' && 
+    if (!hasPermission(req, 'task.view.any') && 
         task.assignedTo._id.toString() !== req.user._id.toString() &&
         task.createdBy._id.toString() !== req.user._id.toString()) {
       return res.status(403).json({
@@ -147,9 +347,28 @@ router.get('/:id', authenticate, validateObjectId, async (req, res) => {
       });
     }
 
+    const [data] = await withProgress([task]);
+
+    if (req.query.includeSubtasks === 'true') {
+      const filter = { parent: task._id };
+
+      // Without task.view.any users only see their own subtasks
+      if (!hasPermission(req, 'task.view.any')) {
+        filter.$or = [
+          { assignedTo: req.user._id },
+          { createdBy: req.user._id }
+        ];
+      }
+
+      const subtasks = await Task.find(filter)
+        .populate(populateTask)
+        .sort({ createdAt: 1 });
+      data.subtasks = await withProgress(subtasks);
+    }
+
     res.json({
       success: true,
-      data: task
+      data
     });
   } catch (error) {
     res.status(500).json({
@@ -198,13 +417,32 @@ router.get('/:id', authenticate, validateObjectId, async (req, res) => {
  *               assignedTo:
  *                 type: string
  *                 description: User ID to assign task to
+ *               parent:
+ *                 type: string
+ *                 description: Create the task as a subtask of this top-level task, which the user must be able to edit
+ *               labels:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
+ *                   type: string
+ *                 description: Label IDs
+ *               checklist:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   $ref: '#/components/schemas/ChecklistItem'
  *     responses:
  *       201:
  *         description: Task created successfully
+ *       400:
+ *         description: Validation error, or the parent is missing or is itself a subtask
+ *       403:
+ *         description: Access denied to the parent task
  */
-router.post('/', authenticate, validateTaskCreation, async (req, res) => {
+router.post('/', authenticate, requirePermission('task.create'), requireVerifiedEmail, validateTaskCreation, async (req, res) => {
   try {
-    const { title, description, status, priority, dueDate, assignedTo } = req.body;
+    const { title, description, status, priority, dueDate, assignedTo, parent, checklist } = req.body;
+    const labels = [...new Set(req.body.labels || [])];
 
     // If assignedTo is provided, verify the user exists
     let assignedUser = req.user._id; // Default to current user
@@ -219,6 +457,20 @@ router.post('/', authenticate, validateTaskCreation, async (req, res) => {
       assignedUser = assignedTo;
     }
 
+    if (!(await labelsExist(labels))) {
+      return unknownLabelsResponse(res);
+    }
+
+    if (parent) {
+      const parentError = await parentTaskError(req, parent);
+      if (parentError) {
+        return res.status(parentError.status).json({
+          success: false,
+          message: parentError.message
+        });
+      }
+    }
+
     const task = new Task({
       title,
       description,
@@ -226,17 +478,20 @@ router.post('/', authenticate, validateTaskCreation, async (req, res) => {
       priority: priority || 'medium',
       dueDate,
       assignedTo: assignedUser,
-      createdBy: req.user._id
+      createdBy: req.user._id,
+      parent: parent || null,
+      checklist: normalizeChecklist(checklist || []),
+      labels
     });
 
     await task.save();
-    await task.populate('assignedTo', 'username email');
-    await task.populate('createdBy', 'username email');
+    await task.populate(populateTask);
+    const [data] = await withProgress([task]);
 
     res.status(201).json({
       success: true,
       message: 'Task created successfully',
-      data: task
+      data
     });
   } catch (error) {
     res.status(500).json({
@@ -252,6 +507,9 @@ router.post('/', authenticate, validateTaskCreation, async (req, res) => {
  * /tasks/{id}:
  *   put:
  *     summary: Update a task
+ *     description: |
+ *       Moving a task to in-progress or completed is refused while any task
+ *       it is blocked by is not completed, unless `force=true` is passed.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -262,6 +520,12 @@ router.post('/', authenticate, validateTaskCreation, async (req, res) => {
  *         schema:
  *           type: string
  *         description: Task ID
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Change the status even if the task has open blockers
  *     requestBody:
  *       required: true
  *       content:
@@ -286,11 +550,35 @@ router.post('/', authenticate, validateTaskCreation, async (req, res) => {
  *                 format: date-time
  *               assignedTo:
  *                 type: string
+ *               parent:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Move the task under this top-level task, or null to make it top-level
+ *               labels:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
+ *                   type: string
+ *                 description: Label IDs; replaces the task's labels
+ *               checklist:
+ *                 type: array
+ *                 maxItems: 100
+ *                 description: Replaces the whole checklist; items keep their identity by `_id`
+ *                 items:
+ *                   $ref: '#/components/schemas/ChecklistItem'
  *     responses:
  *       200:
  *         description: Task updated successfully
+ *       400:
+ *         description: Validation error, or the task cannot be moved under the parent
+ *       403:
+ *         description: Access denied to the task or the parent task
+ *       409:
+ *         description: |
+ *           The task has open blockers (`code: TASK_BLOCKED`, listed in
+ *           `blockers`); pass `force=true` to change the status anyway
  */
-router.put('/:id', authenticate, validateObjectId, validateTaskUpdate, async (req, res) => {
+router.put('/:id', authenticate, requireScope('tasks:write'), requireVerifiedEmail, validateObjectId, validateTaskUpdate, async (req, res) => {
   try {
     const task = await Task.findById(req.params.id);
 
@@ -302,7 +590,7 @@ router.put('/:id', authenticate, validateObjectId, validateTaskUpdate, async (re
     }
 
     // Check permissions
-    if (req.user.role !== 'admin' && 
+    if (!hasPermission(req, 'task.update.any') && 
         task.createdBy.toString() !== req.user._id.toString() &&
         task.assignedTo.toString() !== req.user._id.toString()) {
       return res.status(403).json({
@@ -322,17 +610,53 @@ router.put('/:id', authenticate, validateObjectId, validateTaskUpdate, async (re
       }
     }
 
+    if (req.body.parent && String(req.body.parent) !== String(task.parent)) {
+      const parentError = await parentTaskError(req, req.body.parent, task);
+      if (parentError) {
+        return res.status(parentError.status).json({
+          success: false,
+          message: parentError.message
+        });
+      }
+    }
+
+    // Starting or finishing work waits on the blockers
+    const { status } = req.body;
+    if ((status === 'in-progress' || status === 'completed') && status !== task.status && req.query.force !== 'true') {
+      const blockers = await openBlockers(task);
+      if (blockers.length > 0) {
+        return res.status(409).json({
+          success: false,
+          code: 'TASK_BLOCKED',
+          message: `This task is blocked by ${blockers.length} open ${blockers.length === 1 ? 'task' : 'tasks'}; complete them first or pass force=true`,
+          blockers
+        });
+      }
+    }
+
+    // Dependencies change only through /tasks/:id/dependencies, which checks for cycles
+    const update = { ...req.body };
+    delete update.blockedBy;
+    if (update.checklist) update.checklist = normalizeChecklist(update.checklist);
+
+    if (update.labels) {
+      update.labels = [...new Set(update.labels)];
+      if (!(await labelsExist(update.labels))) {
+        return unknownLabelsResponse(res);
+      }
+    }
+
     const updatedTask = await Task.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      update,
       { new: true, runValidators: true }
-    ).populate('assignedTo', 'username email')
-     .populate('createdBy', 'username email');
+    ).populate(populateTask);
+    const [data] = await withProgress([updatedTask]);
 
     res.json({
       success: true,
       message: 'Task updated successfully',
-      data: updatedTask
+      data
     });
   } catch (error) {
     res.status(500).json({
@@ -358,11 +682,14 @@ router.put('/:id', authenticate, validateObjectId, validateTaskUpdate, async (re
  *         schema:
  *           type: string
  *         description: Task ID
+ *     description: |
+ *       The task's subtasks are kept as top-level tasks, and the tasks it
+ *       blocked are no longer blocked by it.
  *     responses:
  *       200:
  *         description: Task deleted successfully
  */
-router.delete('/:id', authenticate, validateObjectId, async (req, res) => {
+router.delete('/:id', authenticate, requireScope('tasks:write'), requireVerifiedEmail, validateObjectId, async (req, res) => {
   try {
     const task = await Task.findById(req.params.id);
 
@@ -373,15 +700,20 @@ router.delete('/:id', authenticate, validateObjectId, async (req, res) => {
       });
     }
 
-    // Check permissions (only creator or admin can delete)
-    if (req.user.role !== 'admin' && task.createdBy.toString() !== req.user._id.toString()) {
+    // Check permissions (only the creator or task.delete.any can delete)
+    if (!hasPermission(req, 'task.delete.any') && task.createdBy.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. Only the creator or admin can delete this task.'
       });
     }
 
+    // Files first: if removing them fails, the task is still there to retry
+    await removeTaskAttachments(task._id);
     await Task.findByIdAndDelete(req.params.id);
+    await TaskComment.deleteMany({ task: req.params.id });
+    await Task.updateMany({ parent: task._id }, { parent: null });
+    await Task.updateMany({ blockedBy: task._id }, { $pull: { blockedBy: task._id } });
 
     res.json({
       success: true,
@@ -404,38 +736,71 @@ router.delete('/:id', authenticate, validateObjectId, async (req, res) => {
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: topLevel
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Count only top-level tasks, leaving out subtasks
  *     responses:
  *       200:
- *         description: Task statistics retrieved successfully
+ *         description: |
+ *           Task statistics retrieved successfully. `byLabel` breaks the counts
+ *           down per label, most used first; tasks without labels are not in it.
  */
-router.get('/stats/overview', authenticate, async (req, res) => {
+router.get('/stats/overview', authenticate, requireScope('tasks:read'), validateTaskStatsQuery, async (req, res) => {
   try {
     const filter = {};
     
-    // Non-admin users can only see their own task stats
-    if (req.user.role !== 'admin') {
+    // Without stats.view.global users only see stats for their own tasks
+    if (!hasPermission(req, 'stats.view.global')) {
       filter.$or = [
         { assignedTo: req.user._id },
         { createdBy: req.user._id }
       ];
     }
 
-    const stats = await Task.aggregate([
-      { $match: filter },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: 1 },
-          pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
-          inProgress: { $sum: { $cond: [{ $eq: ['$status', 'in-progress'] }, 1, 0] } },
-          completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
-          highPriority: { $sum: { $cond: [{ $eq: ['$priority', 'high'] }, 1, 0] } },
-          mediumPriority: { $sum: { $cond: [{ $eq: ['$priority', 'medium'] }, 1, 0] } },
-          lowPriority: { $sum: { $cond: [{ $eq: ['$priority', 'low'] }, 1, 0] } }
+    if (req.query.topLevel === 'true') {
+      filter.parent = null;
+    }
+
+    const [stats, labelStats] = await Promise.all([
+      Task.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
+            inProgress: { $sum: { $cond: [{ $eq: ['$status', 'in-progress'] }, 1, 0] } },
+            completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+            highPriority: { $sum: { $cond: [{ $eq: ['$priority', 'high'] }, 1, 0] } },
+            mediumPriority: { $sum: { $cond: [{ $eq: ['$priority', 'medium'] }, 1, 0] } },
+            lowPriority: { $sum: { $cond: [{ $eq: ['$priority', 'low'] }, 1, 0] } }
+          }
         }
-      }
+      ]),
+      Task.aggregate([
+        { $match: filter },
+        { $unwind: '$labels' },
+        {
+          $group: {
+            _id: '$labels',
+            total: { $sum: 1 },
+            pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
+            inProgress: { $sum: { $cond: [{ $eq: ['$status', 'in-progress'] }, 1, 0] } },
+            completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } }
+          }
+        },
+        { $sort: { total: -1 } }
+      ])
     ]);
 
+    // Labels deleted meanwhile drop out of the breakdown
+    const labels = await Label.find({ _id: { $in: labelStats.map(({ _id }) => _id) } }).select('name color');
+    const labelsById = new Map(labels.map((label) => [label._id.toString(), label]));
+
     const result = stats[0] || {
       total: 0,
       pending: 0,
@@ -448,7 +813,12 @@ router.get('/stats/overview', authenticate, async (req, res) => {
 
     res.json({
       success: true,
-      data: result
+      data: {
+        ...result,
+        byLabel: labelStats
+          .filter(({ _id }) => labelsById.has(_id.toString()))
+          .map(({ _id, ...counts }) => ({ label: labelsById.get(_id.toString()), ...counts }))
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -0,0 +1,358 @@
+const express = require('express');
+const User = require('../models/User');
+const { authenticate, requireSession } = require('../middleware/auth');
+const { validateTwoFactorCode, validateTwoFactorDisable } = require('../middleware/validation');
+const {
+  generateRecoveryCodes,
+  startEnrolment,
+  verifyTotp,
+  verifySecondFactor,
+  isTwoFactorRequiredFor
+} = require('../services/twoFactorService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /auth/2fa:
+ *   get:
+ *     summary: Get the current user's two-factor authentication status
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     required:
+ *                       type: boolean
+ *                     recoveryCodesRemaining:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate, requireSession, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorRecoveryCodes');
+    const required = await isTwoFactorRequiredFor(req.user);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactorEnabled,
+        required,
+        recoveryCodesRemaining: user.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching two-factor status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrolment
+ *     description: |
+ *       Generates a new TOTP secret. Two-factor authentication is only turned on
+ *       once a code from the authenticator app has been confirmed.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Enrolment started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       description: Base32 secret for manual entry
+ *                     otpauthUrl:
+ *                       type: string
+ *                       description: Provisioning URI for authenticator apps
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/setup', authenticate, requireSession, async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const enrolment = await startEnrolment(req.user);
+
+    res.json({
+      success: true,
+      message: 'Scan the code with your authenticator app, then confirm with a generated code',
+      data: enrolment
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting two-factor setup',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/2fa/confirm:
+ *   post:
+ *     summary: Confirm enrolment and turn on two-factor authentication
+ *     description: Returns one-time recovery codes. They are shown only once.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 pattern: '^\d{6}$'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       400:
+ *         description: Invalid code, setup not started or already enabled
+ */
+router.post('/confirm', authenticate, requireSession, validateTwoFactorCode, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorSecret +twoFactorLastStep');
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    if (!await verifyTotp(user, req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { twoFactorEnabled: true, twoFactorRecoveryCodes: hashes } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while confirming two-factor setup',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     description: Invalidates every existing recovery code and returns a new set.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 pattern: '^\d{6}$'
+ *     responses:
+ *       200:
+ *         description: Recovery codes regenerated
+ *       400:
+ *         description: Invalid code or two-factor authentication not enabled
+ */
+router.post('/recovery-codes', authenticate, requireSession, validateTwoFactorCode, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorSecret +twoFactorLastStep');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!await verifyTotp(user, req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    await User.updateOne({ _id: user._id }, { $set: { twoFactorRecoveryCodes: hashes } });
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while regenerating recovery codes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     description: Requires the account password and a current code or recovery code.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 pattern: '^\d{6}$'
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Not enabled, required for admins, or invalid password/code
+ */
+router.post('/disable', authenticate, requireSession, validateTwoFactorDisable, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password +twoFactorSecret +twoFactorLastStep');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await isTwoFactorRequiredFor(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is required for accounts with administrative permissions'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(req.body.password);
+
+    if (!isPasswordValid || !await verifySecondFactor(user, req.body)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or verification code'
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { twoFactorEnabled: false },
+        $unset: { twoFactorSecret: 1, twoFactorLastStep: 1, twoFactorRecoveryCodes: 1 }
+      }
+    );
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
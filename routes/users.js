@@ -1,7 +1,39 @@
 const express = require('express');
 const User = require('../models/User');
-const { authenticate, requireAdmin } = require('../middleware/auth');
-const { validateObjectId, validatePagination } = require('../middleware/validation');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
+const AuditLog = require('../models/AuditLog');
+const {
+  authenticate,
+  canGrantPermissions,
+  requirePermission,
+  requireSession,
+  requireVerifiedEmail
+} = require('../middleware/auth');
+const {
+  validateObjectId,
+  validateSessionId,
+  validatePagination,
+  validateCursorPagination,
+  validateImpersonation,
+  validateSecurityEventQuery
+} = require('../middleware/validation');
+const { revokeAllUserTokens } = require('../services/tokenService');
+const { isAdminTwoFactorRequired, setAdminTwoFactorRequired } = require('../services/twoFactorService');
+const {
+  isDestructiveBlockingEnabled,
+  setDestructiveBlockingEnabled,
+  startImpersonation
+} = require('../services/impersonation');
+const { recordSecurityEvent, listSecurityEvents } = require('../services/securityEvents');
+const { listLockouts, clearAccountLockout, clearIpLockout } = require('../services/loginProtection');
+const {
+  reverseSort,
+  cursorCondition,
+  paginationOptions,
+  cursorPage,
+  paginationResponse
+} = require('../services/cursorPagination');
 
 const router = express.Router();
 
@@ -9,7 +41,7 @@ const router = express.Router();
  * @swagger
  * /users:
  *   get:
- *     summary: Get all users (Admin only)
+ *     summary: Get all users (requires user.view)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -29,45 +61,86 @@ const router = express.Router();
  *           maximum: 100
  *           default: 10
  *         description: Number of users per page
+ *       - $ref: '#/components/parameters/PaginateMode'
+ *       - $ref: '#/components/parameters/CursorAfter'
+ *       - $ref: '#/components/parameters/CursorBefore'
+ *       - $ref: '#/components/parameters/IncludeTotal'
  *       - in: query
  *         name: role
  *         schema:
  *           type: string
- *           enum: [user, admin]
- *         description: Filter by role
+ *         description: Filter by role name
+ *       - in: query
+ *         name: emailVerified
+ *         schema:
+ *           type: boolean
+ *         description: Filter by email verification state
  *     responses:
  *       200:
  *         description: Users retrieved successfully
+ *         headers:
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     users:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/User'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters, or a cursor of another sort order
  *       403:
- *         description: Access denied - Admin only
+ *         description: Access denied - missing permission
  */
-router.get('/', authenticate, requireAdmin, validatePagination, async (req, res) => {
+router.get('/', authenticate, requirePermission('user.view'), validatePagination, validateCursorPagination, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const pagination = paginationOptions(req.query);
+    const { limit } = pagination;
+    // Newest first, with _id breaking ties so the order is total
+    const sortKeys = { createdAt: -1, _id: -1 };
 
     const filter = {};
     if (req.query.role) filter.role = req.query.role;
+    if (req.query.emailVerified) filter.emailVerified = req.query.emailVerified === 'true';
 
-    const users = await User.find(filter)
-      .select('-password')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    const cursor = pagination.after || pagination.before;
+    const cursorFilter = cursor && cursorCondition(cursor, sortKeys, { before: Boolean(pagination.before) });
+    if (cursor && !cursorFilter) {
+      return res.status(400).json({
+        success: false,
+        message: 'The cursor belongs to a different sort order; start again without after or before'
+      });
+    }
 
-    const total = await User.countDocuments(filter);
+    // One user more than the page is fetched to tell whether there are more
+    const [results, total] = await Promise.all([
+      User.find(cursorFilter ? { $and: [filter, cursorFilter] } : filter)
+        .select('-password')
+        .sort(pagination.before ? reverseSort(sortKeys) : sortKeys)
+        .skip(pagination.cursorMode ? 0 : (pagination.page - 1) * limit)
+        .limit(limit + 1),
+      pagination.includeTotal ? User.countDocuments(filter) : undefined
+    ]);
+
+    const { items: users, ...pageInfo } = pagination.cursorMode
+      ? cursorPage(results, sortKeys, pagination)
+      : { items: results.slice(0, limit), hasMore: results.length > limit };
 
     res.json({
       success: true,
       data: {
         users,
-        pagination: {
-          current: page,
-          pages: Math.ceil(total / limit),
-          total,
-          limit
-        }
+        pagination: paginationResponse(req, res, pagination, { total, ...pageInfo })
       }
     });
   } catch (error) {
@@ -79,11 +152,245 @@ router.get('/', authenticate, requireAdmin, validatePagination, async (req, res)
   }
 });
 
+/**
+ * @swagger
+ * /users/settings/security:
+ *   get:
+ *     summary: Get security settings (requires settings.security.manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Security settings retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     requireAdminTwoFactor:
+ *                       type: boolean
+ *                     blockImpersonatedDestructiveActions:
+ *                       type: boolean
+ *       403:
+ *         description: Access denied - missing permission
+ */
+router.get('/settings/security', authenticate, requirePermission('settings.security.manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        requireAdminTwoFactor: await isAdminTwoFactorRequired(),
+        blockImpersonatedDestructiveActions: await isDestructiveBlockingEnabled()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching security settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /users/settings/security:
+ *   patch:
+ *     summary: Update security settings (requires settings.security.manage)
+ *     description: |
+ *       When `requireAdminTwoFactor` is on, users whose role holds administrative
+ *       permissions are refused on admin endpoints until they enrol in two-factor authentication.
+ *       When `blockImpersonatedDestructiveActions` is on, DELETE requests are refused while
+ *       an admin impersonates a user; it applies to impersonations started afterwards.
+ *       Send either setting or both.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               requireAdminTwoFactor:
+ *                 type: boolean
+ *               blockImpersonatedDestructiveActions:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Security settings updated successfully
+ *       400:
+ *         description: Invalid value, or the requesting admin has not enabled 2FA
+ *       403:
+ *         description: Access denied - missing permission
+ */
+router.patch('/settings/security', authenticate, requirePermission('settings.security.manage'), requireVerifiedEmail, async (req, res) => {
+  try {
+    const { requireAdminTwoFactor, blockImpersonatedDestructiveActions } = req.body;
+    const settings = { requireAdminTwoFactor, blockImpersonatedDestructiveActions };
+
+    const invalid = Object.keys(settings).filter((key) => settings[key] !== undefined && typeof settings[key] !== 'boolean');
+
+    if (invalid.length > 0 || Object.values(settings).every((value) => value === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: invalid.length > 0
+          ? `${invalid.join(', ')} must be true or false`
+          : 'Provide requireAdminTwoFactor or blockImpersonatedDestructiveActions'
+      });
+    }
+
+    // Stops an admin from locking themselves out of the admin endpoints
+    if (requireAdminTwoFactor && !req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enable two-factor authentication on your own account first'
+      });
+    }
+
+    if (requireAdminTwoFactor !== undefined) {
+      await setAdminTwoFactorRequired(requireAdminTwoFactor, req.user._id);
+    }
+    if (blockImpersonatedDestructiveActions !== undefined) {
+      await setDestructiveBlockingEnabled(blockImpersonatedDestructiveActions, req.user._id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Security settings updated successfully',
+      data: {
+        requireAdminTwoFactor: await isAdminTwoFactorRequired(),
+        blockImpersonatedDestructiveActions: await isDestructiveBlockingEnabled()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating security settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /users/lockouts:
+ *   get:
+ *     summary: List accounts and IP addresses locked after failed logins (requires user.lockout.manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lockouts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     users:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/User'
+ *                     ips:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           ip:
+ *                             type: string
+ *                           failedLoginAttempts:
+ *                             type: integer
+ *                           lastFailedLoginAt:
+ *                             type: string
+ *                             format: date-time
+ *                           lockUntil:
+ *                             type: string
+ *                             format: date-time
+ *       403:
+ *         description: Access denied - missing permission
+ */
+router.get('/lockouts', authenticate, requirePermission('user.lockout.manage'), async (req, res) => {
+  try {
+    const lockouts = await listLockouts();
+
+    res.json({
+      success: true,
+      data: lockouts
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching lockouts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /users/lockouts/ips/{ip}:
+ *   delete:
+ *     summary: Clear the failed-login lock on an IP address (requires user.lockout.manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ip
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: IP address
+ *     responses:
+ *       200:
+ *         description: IP lockout cleared successfully
+ *       404:
+ *         description: No lockout recorded for this IP address
+ *       403:
+ *         description: Access denied - missing permission
+ */
+router.delete('/lockouts/ips/:ip', authenticate, requirePermission('user.lockout.manage'), requireVerifiedEmail, async (req, res) => {
+  try {
+    const result = await clearIpLockout(req.params.ip);
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No lockout recorded for this IP address'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'IP lockout cleared successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while clearing IP lockout',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * @swagger
  * /users/{id}:
  *   get:
- *     summary: Get user by ID (Admin only)
+ *     summary: Get user by ID (requires user.view)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -100,9 +407,9 @@ router.get('/', authenticate, requireAdmin, validatePagination, async (req, res)
  *       404:
  *         description: User not found
  *       403:
- *         description: Access denied - Admin only
+ *         description: Access denied - missing permission
  */
-router.get('/:id', authenticate, requireAdmin, validateObjectId, async (req, res) => {
+router.get('/:id', authenticate, requirePermission('user.view'), validateObjectId, async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
 
@@ -130,7 +437,8 @@ router.get('/:id', authenticate, requireAdmin, validateObjectId, async (req, res
  * @swagger
  * /users/{id}/toggle-status:
  *   patch:
- *     summary: Toggle user active status (Admin only)
+ *     summary: Toggle user active status (requires user.status.change)
+ *     description: Invalidates every token the user currently holds.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -147,9 +455,9 @@ router.get('/:id', authenticate, requireAdmin, validateObjectId, async (req, res
  *       404:
  *         description: User not found
  *       403:
- *         description: Access denied - Admin only
+ *         description: Access denied - missing permission
  */
-router.patch('/:id/toggle-status', authenticate, requireAdmin, validateObjectId, async (req, res) => {
+router.patch('/:id/toggle-status', authenticate, requirePermission('user.status.change'), requireVerifiedEmail, validateObjectId, async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
 
@@ -170,6 +478,10 @@ router.patch('/:id/toggle-status', authenticate, requireAdmin, validateObjectId,
 
     user.isActive = !user.isActive;
     await user.save();
+    await recordSecurityEvent(req, user, user.isActive ? 'account.activate' : 'account.deactivate', { actor: req.user });
+
+    // Make sure no token issued before the change keeps working
+    await revokeAllUserTokens(user._id, user.isActive ? 'account-activated' : 'account-deactivated');
 
     res.json({
       success: true,
@@ -189,7 +501,8 @@ router.patch('/:id/toggle-status', authenticate, requireAdmin, validateObjectId,
  * @swagger
  * /users/{id}/role:
  *   patch:
- *     summary: Update user role (Admin only)
+ *     summary: Update user role (requires user.role.change)
+ *     description: Invalidates every token the user currently holds.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -211,23 +524,25 @@ router.patch('/:id/toggle-status', authenticate, requireAdmin, validateObjectId,
  *             properties:
  *               role:
  *                 type: string
- *                 enum: [user, admin]
+ *                 description: Name of an existing role
  *     responses:
  *       200:
  *         description: User role updated successfully
  *       404:
  *         description: User not found
  *       403:
- *         description: Access denied - Admin only
+ *         description: Access denied - missing permission
  */
-router.patch('/:id/role', authenticate, requireAdmin, validateObjectId, async (req, res) => {
+router.patch('/:id/role', authenticate, requirePermission('user.role.change'), requireVerifiedEmail, validateObjectId, async (req, res) => {
   try {
     const { role } = req.body;
 
-    if (!role || !['user', 'admin'].includes(role)) {
+    const targetRole = typeof role === 'string' && await Role.findOne({ name: role.trim().toLowerCase() });
+
+    if (!targetRole) {
       return res.status(400).json({
         success: false,
-        message: 'Valid role (user or admin) is required'
+        message: 'Valid role is required'
       });
     }
 
@@ -248,8 +563,25 @@ router.patch('/:id/role', authenticate, requireAdmin, validateObjectId, async (r
       });
     }
 
-    user.role = role;
+    // Nobody can promote past, or demote someone above, their own permissions
+    const currentPermissions = await Role.permissionsFor(user.role);
+    if (!canGrantPermissions(req, targetRole.permissions) || !canGrantPermissions(req, currentPermissions)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot assign or remove a role with permissions you do not hold'
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = targetRole.name;
     await user.save();
+    await recordSecurityEvent(req, user, 'role.change', {
+      actor: req.user,
+      details: { from: previousRole, to: user.role }
+    });
+
+    // Tokens carry the role claim, so force the user to sign in again
+    await revokeAllUserTokens(user._id, 'role-changed');
 
     res.json({
       success: true,
@@ -265,4 +597,444 @@ router.patch('/:id/role', authenticate, requireAdmin, validateObjectId, async (r
   }
 });
 
+/**
+ * @swagger
+ * /users/{id}/lockout:
+ *   delete:
+ *     summary: Unlock an account locked after failed logins (requires user.lockout.manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Account unlocked successfully
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: Access denied - missing permission
+ */
+router.delete('/:id/lockout', authenticate, requirePermission('user.lockout.manage'), requireVerifiedEmail, validateObjectId, async (req, res) => {
+  try {
+    const result = await clearAccountLockout(req.params.id);
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unlocking account',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}/sessions:
+ *   get:
+ *     summary: List a user's active sessions (requires user.sessions.manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: Access denied - missing permission
+ */
+router.get('/:id/sessions', authenticate, requirePermission('user.sessions.manage'), validateObjectId, async (req, res) => {
+  try {
+    if (!await User.exists({ _id: req.params.id })) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const sessions = await Session.findActiveForUser(req.params.id);
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke one of a user's sessions (requires user.sessions.manage)
+ *     description: Use this to cut off a stolen session; its tokens stop working immediately.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       404:
+ *         description: Session not found
+ *       403:
+ *         description: Access denied - missing permission
+ */
+router.delete('/:id/sessions/:sessionId', authenticate, requirePermission('user.sessions.manage'), requireVerifiedEmail, validateObjectId, validateSessionId, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.sessionId, user: req.params.id, revokedAt: null });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('admin-revoked');
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}/impersonate:
+ *   post:
+ *     summary: Act as a user to see what they see (requires user.impersonate)
+ *     description: |
+ *       Returns a short-lived access token for the user with an `act` claim naming the
+ *       admin. There is no refresh token; the token stops working when it expires, when
+ *       the admin exits with `POST /auth/impersonation/end` or logs out. Every request
+ *       made with it is recorded in the user's audit log. Account and credential
+ *       endpoints cannot be used with it, and DELETE requests are refused when
+ *       `blockImpersonatedDestructiveActions` is on. Send the token as a bearer token.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Why, e.g. a support ticket number; kept with the impersonation
+ *     responses:
+ *       201:
+ *         description: Impersonation started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     blockDestructiveActions:
+ *                       type: boolean
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Cannot impersonate yourself or a deactivated user
+ *       403:
+ *         description: Access denied - missing permission, or the user's role holds permissions you lack
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/impersonate', authenticate, requireSession, requirePermission('user.impersonate'), requireVerifiedEmail, validateObjectId, validateImpersonation, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot impersonate yourself'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Deactivated users cannot be impersonated'
+      });
+    }
+
+    // Acting as a more powerful user would be privilege escalation
+    const userPermissions = await Role.permissionsFor(user.role);
+    if (!canGrantPermissions(req, userPermissions)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot impersonate a user whose role has permissions you do not hold'
+      });
+    }
+
+    const { impersonation, token } = await startImpersonation(req, user, { reason: req.body.reason });
+
+    res.status(201).json({
+      success: true,
+      message: `Now acting as ${user.username}`,
+      data: {
+        token,
+        expiresAt: impersonation.expiresAt,
+        blockDestructiveActions: impersonation.blockDestructiveActions,
+        user: {
+          ...user.toJSON(),
+          permissions: userPermissions
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting impersonation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}/audit-log:
+ *   get:
+ *     summary: List audit log entries about a user (requires user.view)
+ *     description: Impersonations of the user and every request made while impersonating them, newest first.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Audit log retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AuditLog'
+ *                     pagination:
+ *                       type: object
+ *       403:
+ *         description: Access denied - missing permission
+ */
+router.get('/:id/audit-log', authenticate, requirePermission('user.view'), validateObjectId, validatePagination, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { subject: req.params.id };
+
+    const entries = await AuditLog.find(filter)
+      .populate('actor', 'username email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await AuditLog.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit log',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}/security-events:
+ *   get:
+ *     summary: List a user's login history and other security events (requires user.view)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - $ref: '#/components/parameters/SecurityEventType'
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of events per page
+ *     responses:
+ *       200:
+ *         description: Security events retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SecurityEventPage'
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: Access denied - missing permission
+ */
+router.get('/:id/security-events', authenticate, requirePermission('user.view'), validateObjectId, validatePagination, validateSecurityEventQuery, async (req, res) => {
+  try {
+    if (!await User.exists({ _id: req.params.id })) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await listSecurityEvents(req.params.id, {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20,
+        type: req.query.type
+      })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching security events',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const { getJwks } = require('../services/signingKeys');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: Public keys for verifying the API's tokens
+ *     description: |
+ *       JSON Web Key Set with the active signing key and retired keys whose tokens may
+ *       still be valid. Match a token's `kid` header to a key; refetch on an unknown `kid`.
+ *     tags: [Signing Keys]
+ *     security: []
+ *     servers:
+ *       - url: http://localhost:5000
+ *     responses:
+ *       200:
+ *         description: JSON Web Key Set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ */
+router.get('/jwks.json', async (req, res) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(await getJwks());
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching signing keys',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+// Create the first admin account. Refuses to run once any admin exists;
+// further admins are onboarded through invitations.
+//
+// Usage:
+//   npm run bootstrap-admin -- --username admin --email admin@example.com --password 'Admin123!'
+//
+// The values can also come from BOOTSTRAP_ADMIN_USERNAME, BOOTSTRAP_ADMIN_EMAIL
+// and BOOTSTRAP_ADMIN_PASSWORD, which keeps the password out of shell history.
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { passwordViolations } = require('../services/passwordPolicy');
+
+// Read "--name value" pairs from the command line
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i += 1;
+    }
+  }
+  return args;
+};
+
+const bootstrapAdmin = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const username = args.username || process.env.BOOTSTRAP_ADMIN_USERNAME;
+  const email = args.email || process.env.BOOTSTRAP_ADMIN_EMAIL;
+  const password = args.password || process.env.BOOTSTRAP_ADMIN_PASSWORD;
+
+  if (!username || !email || !password) {
+    throw new Error('Username, email and password are required');
+  }
+
+  const violations = await passwordViolations(password);
+  if (violations.length > 0) {
+    throw new Error(violations.map((violation) => violation.message).join('; '));
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Role.seedBuiltIns();
+
+  if (await User.exists({ role: 'admin' })) {
+    throw new Error('An admin account already exists. Invite further admins from the Users page.');
+  }
+
+  const user = await User.create({
+    username,
+    email,
+    password,
+    role: 'admin',
+    emailVerified: true
+  });
+
+  console.log(`✅ Created admin ${user.username} <${user.email}>`);
+};
+
+bootstrapAdmin()
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,143 @@
+// Minimal OpenID Connect provider for trying out and testing SSO locally.
+// Implements discovery, an authorize page, the token endpoint (with PKCE)
+// and the key set. Nothing is persisted; restart it to reset.
+//
+// Usage:
+//   npm run mock-oidc
+// then start the API with
+//   OIDC_ISSUER=http://localhost:9000 OIDC_CLIENT_ID=task-manager OIDC_ADMIN_GROUPS=admins
+//
+// The authorize page lets you pick the email, name and groups to sign in with.
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 9000;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CODE_EXPIRES_MS = 60 * 1000;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString('hex');
+
+// Authorization codes waiting to be redeemed
+const codes = new Map();
+
+const escapeHtml = (value = '') => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_post', 'none']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+});
+
+// Show a form instead of a real login; the query is carried through as hidden fields
+app.get('/authorize', (req, res) => {
+  const hidden = Object.entries(req.query)
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('');
+
+  res.send(`<!doctype html>
+<title>Mock identity provider</title>
+<form method="post" action="/authorize" style="font-family: sans-serif; max-width: 320px; margin: 4em auto">
+  <h2>Mock identity provider</h2>
+  ${hidden}
+  <p><label>Email<br><input name="email" value="${escapeHtml(process.env.MOCK_OIDC_EMAIL || 'sso.user@example.com')}"></label></p>
+  <p><label>Name<br><input name="name" value="SSO User"></label></p>
+  <p><label>Groups (comma separated)<br><input name="groups" value="${escapeHtml(process.env.MOCK_OIDC_GROUPS || '')}"></label></p>
+  <p><label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label></p>
+  <button type="submit">Sign in</button>
+</form>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, state, nonce } = req.body;
+
+  if (req.body.response_type !== 'code' || !clientId || !redirectUri) {
+    return res.status(400).send('Invalid authorization request');
+  }
+
+  if (req.body.code_challenge_method !== 'S256' || !req.body.code_challenge) {
+    return res.status(400).send('PKCE with S256 is required');
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  const email = req.body.email.trim().toLowerCase();
+
+  codes.set(code, {
+    clientId,
+    redirectUri,
+    codeChallenge: req.body.code_challenge,
+    expiresAt: Date.now() + CODE_EXPIRES_MS,
+    claims: {
+      // A stable subject per email, like a real provider would keep
+      sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 24),
+      email,
+      email_verified: req.body.email_verified === 'true',
+      name: req.body.name,
+      preferred_username: email.split('@')[0],
+      groups: (req.body.groups || '').split(',').map((group) => group.trim()).filter(Boolean),
+      ...(nonce && { nonce })
+    }
+  });
+
+  const location = new URL(redirectUri);
+  location.searchParams.set('code', code);
+  if (state) location.searchParams.set('state', state);
+  res.redirect(location.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type: grantType, code, redirect_uri: redirectUri, client_id: clientId, code_verifier: codeVerifier } = req.body;
+  const grant = codes.get(code);
+
+  // Codes are single use, whatever the outcome
+  codes.delete(code);
+
+  if (grantType !== 'authorization_code' || !grant || grant.expiresAt < Date.now()) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown or expired code' });
+  }
+
+  if (grant.clientId !== clientId || grant.redirectUri !== redirectUri) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'Client or redirect URI mismatch' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(codeVerifier || '').digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign(grant.claims, privateKey, {
+    algorithm: 'RS256',
+    keyid: kid,
+    issuer: ISSUER,
+    audience: clientId,
+    expiresIn: '5m'
+  });
+
+  res.json({
+    access_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🔑 Mock OIDC provider running at ${ISSUER}`);
+});
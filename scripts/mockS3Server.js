@@ -0,0 +1,90 @@
+// Minimal S3-compatible object store for trying out and testing the s3
+// storage driver locally. Supports path-style PUT, GET and DELETE of single
+// objects and checks their Signature Version 4. Objects are kept in memory;
+// restart it to reset.
+//
+// Usage:
+//   npm run mock-s3
+// then start the API with
+//   STORAGE_DRIVER=s3 S3_ENDPOINT=http://localhost:9100 S3_BUCKET=attachments S3_ACCESS_KEY_ID=mock S3_SECRET_ACCESS_KEY=mock-secret
+
+const crypto = require('crypto');
+const express = require('express');
+const { signRequest } = require('../services/s3Storage');
+
+const PORT = parseInt(process.env.MOCK_S3_PORT) || 9100;
+const ACCESS_KEY_ID = process.env.MOCK_S3_ACCESS_KEY_ID || 'mock';
+const SECRET_ACCESS_KEY = process.env.MOCK_S3_SECRET_ACCESS_KEY || 'mock-secret';
+
+// "bucket/key" -> { body, contentType }
+const objects = new Map();
+
+const AUTHORIZATION_PATTERN = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/\d{8}\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/;
+
+const s3Error = (res, status, code) => {
+  res.status(status).type('application/xml').send(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code></Error>`);
+};
+
+// Recompute the signature from the request as received
+const verifySignature = (req) => {
+  const match = AUTHORIZATION_PATTERN.exec(req.headers.authorization || '');
+  if (!match || match[1] !== ACCESS_KEY_ID) return false;
+
+  const [, , region, signedHeaders] = match;
+  const headers = Object.fromEntries(signedHeaders.split(';').map((name) => [name, req.headers[name] || '']));
+  const payloadHash = req.headers['x-amz-content-sha256'];
+
+  if (req.body.length > 0 && crypto.createHash('sha256').update(req.body).digest('hex') !== payloadHash) {
+    return false;
+  }
+
+  const [rawPath, query = ''] = req.originalUrl.split('?');
+  const expected = signRequest({
+    method: req.method,
+    path: rawPath.split('/').map(decodeURIComponent).join('/'),
+    query,
+    headers,
+    payloadHash,
+    region,
+    accessKeyId: ACCESS_KEY_ID,
+    secretAccessKey: SECRET_ACCESS_KEY
+  });
+
+  return expected.length === req.headers.authorization.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(req.headers.authorization));
+};
+
+const app = express();
+app.use(express.raw({ type: () => true, limit: '100mb' }));
+
+app.use((req, res, next) => {
+  if (!verifySignature(req)) {
+    return s3Error(res, 403, 'SignatureDoesNotMatch');
+  }
+  next();
+});
+
+app.put('/:bucket/*', (req, res) => {
+  objects.set(`${req.params.bucket}/${req.params[0]}`, {
+    body: req.body,
+    contentType: req.headers['content-type'] || 'application/octet-stream'
+  });
+  res.status(200).end();
+});
+
+app.get('/:bucket/*', (req, res) => {
+  const object = objects.get(`${req.params.bucket}/${req.params[0]}`);
+  if (!object) {
+    return s3Error(res, 404, 'NoSuchKey');
+  }
+  res.type(object.contentType).send(object.body);
+});
+
+app.delete('/:bucket/*', (req, res) => {
+  objects.delete(`${req.params.bucket}/${req.params[0]}`);
+  res.status(204).end();
+});
+
+app.listen(PORT, () => {
+  console.log(`🪣 Mock S3 server running at http://localhost:${PORT}`);
+});
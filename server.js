@@ -4,16 +4,41 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
+const cookieParser = require('cookie-parser');
 require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const accessTokenRoutes = require('./routes/accessTokens');
+const sessionRoutes = require('./routes/sessions');
 const taskRoutes = require('./routes/tasks');
+const taskCommentRoutes = require('./routes/taskComments');
+const taskAttachmentRoutes = require('./routes/taskAttachments');
+const taskDependencyRoutes = require('./routes/taskDependencies');
 const userRoutes = require('./routes/users');
+const invitationRoutes = require('./routes/invitations');
+const roleRoutes = require('./routes/roles');
+const labelRoutes = require('./routes/labels');
+const signingKeyRoutes = require('./routes/signingKeys');
+const wellKnownRoutes = require('./routes/wellKnown');
+const Role = require('./models/Role');
+const User = require('./models/User');
 const { setupSwagger } = require('./config/swagger');
+const { verifyMailTransport } = require('./services/mailer');
+const { verifyBreachedPasswordList } = require('./services/passwordPolicy');
 const { errorHandler } = require('./middleware/errorHandler');
 
 const app = express();
 
+// Behind a reverse proxy such as Render's, req.ip is the proxy's address for
+// every client unless Express trusts the proxy's X-Forwarded-For. Per-IP
+// login lockouts and rate limits depend on it. TRUST_PROXY is the number of
+// proxy hops (1 on Render), or addresses and subnets as Express accepts them.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 // CORS must be first - before all other middleware
 const allowedOrigins = [
   'http://localhost:3000',
@@ -54,8 +79,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
-  exposedHeaders: ['Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-Auth-Mode', 'X-CSRF-Token'],
+  exposedHeaders: ['Authorization', 'Link'],
   optionsSuccessStatus: 200
 };
 
@@ -82,19 +107,39 @@ app.use(morgan('combined'));
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
+
+// Refuse to start with mail settings that would fail or leak reset links,
+// or a breached password list that is not there
+verifyMailTransport();
+verifyBreachedPasswordList();
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ Connected to MongoDB'))
+.then(() => {
+  console.log('✅ Connected to MongoDB');
+  return Promise.all([Role.seedBuiltIns(), User.markLegacyEmailsVerified()]);
+})
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // API Routes
+app.use('/api/v1/auth/2fa', twoFactorRoutes);
+app.use('/api/v1/auth/tokens', accessTokenRoutes);
+app.use('/api/v1/auth/sessions', sessionRoutes);
 app.use('/api/v1/auth', authRoutes);
+app.use('/api/v1/tasks/:id/comments', taskCommentRoutes);
+app.use('/api/v1/tasks/:id/attachments', taskAttachmentRoutes);
+app.use('/api/v1/tasks/:id/dependencies', taskDependencyRoutes);
 app.use('/api/v1/tasks', taskRoutes);
 app.use('/api/v1/users', userRoutes);
+app.use('/api/v1/invitations', invitationRoutes);
+app.use('/api/v1/roles', roleRoutes);
+app.use('/api/v1/labels', labelRoutes);
+app.use('/api/v1/signing-keys', signingKeyRoutes);
+app.use('/.well-known', wellKnownRoutes);
 
 // Setup Swagger documentation
 setupSwagger(app);
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const TaskAttachment = require('../models/TaskAttachment');
+const { getStorage } = require('./storage');
+
+// Files are stored under a random key, never under the uploaded name
+const storageKeyFor = (taskId) => `tasks/${taskId}/${crypto.randomBytes(16).toString('hex')}`;
+
+// Multer hands over file names as latin1; keep the base name, in UTF-8 and
+// without control characters
+const cleanFilename = (name) => {
+  const decoded = Buffer.from(name, 'latin1').toString('utf8');
+  const base = decoded.split(/[\\/]/).pop().replace(/[\x00-\x1f\x7f]/g, '').trim();
+  return base.slice(0, 255) || 'file';
+};
+
+// Store uploaded files (from multer's memory storage) and record them on the
+// task. If any file fails, the ones already stored are removed again.
+const addAttachments = async (task, files, user) => {
+  const storage = getStorage();
+  const stored = [];
+
+  try {
+    for (const file of files) {
+      const storageKey = storageKeyFor(task._id);
+      await storage.put(storageKey, file.buffer, { contentType: file.mimetype });
+      stored.push({
+        task: task._id,
+        uploadedBy: user._id,
+        filename: cleanFilename(file.originalname),
+        contentType: file.mimetype,
+        size: file.size,
+        storageKey
+      });
+    }
+
+    return await TaskAttachment.insertMany(stored);
+  } catch (error) {
+    await Promise.allSettled(stored.map((attachment) => storage.delete(attachment.storageKey)));
+    throw error;
+  }
+};
+
+// A readable stream of the attachment's file
+const openAttachment = async (attachment) => {
+  return await getStorage().get(attachment.storageKey);
+};
+
+// Remove the file first, so a failure leaves a record that can be deleted again
+const removeAttachment = async (attachment) => {
+  await getStorage().delete(attachment.storageKey);
+  await TaskAttachment.deleteOne({ _id: attachment._id });
+};
+
+// Remove all files and records of a task, before the task itself goes
+const removeTaskAttachments = async (taskId) => {
+  const attachments = await TaskAttachment.find({ task: taskId }).select('+storageKey');
+  for (const attachment of attachments) {
+    await removeAttachment(attachment);
+  }
+};
+
+module.exports = {
+  addAttachments,
+  openAttachment,
+  removeAttachment,
+  removeTaskAttachments
+};
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const { authCookies } = require('../config/auth');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const cookieOptions = (expires, path = '/') => ({
+  httpOnly: true,
+  secure: authCookies.secure,
+  sameSite: authCookies.sameSite,
+  domain: authCookies.domain,
+  path,
+  expires
+});
+
+// Whether the client asked for cookie mode (the browser app) instead of
+// receiving tokens in the response body
+const wantsCookieMode = (req) => req.get(authCookies.modeHeader) === 'cookie';
+
+const accessTokenFromCookie = (req) => req.cookies && req.cookies[authCookies.accessTokenName];
+
+const refreshTokenFromCookie = (req) => req.cookies && req.cookies[authCookies.refreshTokenName];
+
+const csrfTokenFromCookie = (req) => (req.cookies && req.cookies[authCookies.csrfTokenName]) || null;
+
+const oidcStateFromCookie = (req) => (req.cookies && req.cookies[authCookies.oidcStateName]) || null;
+
+// Hand a new token pair to the client the way it asked for: in cookies along
+// with a CSRF token, or in the body for API clients. Returns the fields to
+// add to the response data. A login starts a new CSRF token; a refresh keeps
+// the current one so requests already in flight still pass.
+const deliverTokens = (req, res, { token, refreshToken, expiresAt }, { renewCsrfToken = true } = {}) => {
+  if (!wantsCookieMode(req)) {
+    return { token, refreshToken };
+  }
+
+  const csrfToken = (!renewCsrfToken && csrfTokenFromCookie(req)) || crypto.randomBytes(32).toString('hex');
+
+  res.cookie(authCookies.accessTokenName, token, cookieOptions(expiresAt));
+  res.cookie(authCookies.refreshTokenName, refreshToken, cookieOptions(expiresAt, authCookies.refreshTokenPath));
+  res.cookie(authCookies.csrfTokenName, csrfToken, cookieOptions(expiresAt));
+
+  return { csrfToken };
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie(authCookies.accessTokenName, cookieOptions());
+  res.clearCookie(authCookies.refreshTokenName, cookieOptions(undefined, authCookies.refreshTokenPath));
+  res.clearCookie(authCookies.csrfTokenName, cookieOptions());
+};
+
+// Remember the state of an SSO login in the browser that starts it, so the
+// callback can refuse a code and state planted from another browser
+const setOidcStateCookie = (res, state, expiresAt) => {
+  res.cookie(authCookies.oidcStateName, state, cookieOptions(expiresAt, authCookies.oidcStatePath));
+};
+
+const clearOidcStateCookie = (res) => {
+  res.clearCookie(authCookies.oidcStateName, cookieOptions(undefined, authCookies.oidcStatePath));
+};
+
+// Double-submit check for cookie-authenticated requests: the CSRF header must
+// match the CSRF cookie. A cross-site page can make the browser send the
+// cookies but cannot read them or set the header. Safe methods always pass.
+const hasValidCsrfToken = (req) => {
+  if (SAFE_METHODS.includes(req.method)) {
+    return true;
+  }
+
+  const cookieToken = csrfTokenFromCookie(req);
+  const headerToken = req.get(authCookies.csrfHeader);
+
+  if (!cookieToken || !headerToken || Buffer.byteLength(cookieToken) !== Buffer.byteLength(headerToken)) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(cookieToken), Buffer.from(headerToken));
+};
+
+module.exports = {
+  wantsCookieMode,
+  accessTokenFromCookie,
+  refreshTokenFromCookie,
+  csrfTokenFromCookie,
+  oidcStateFromCookie,
+  deliverTokens,
+  clearAuthCookies,
+  setOidcStateCookie,
+  clearOidcStateCookie,
+  hasValidCsrfToken
+};
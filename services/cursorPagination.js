@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+
+// Cursor (keyset) pagination. A cursor is an opaque token holding the sort key
+// values of the item it points at; the next page is whatever sorts after it.
+// Unlike skip/limit this stays fast on large collections and does not skip or
+// repeat items when others are inserted or deleted meanwhile. The sort must end
+// with a unique key (`_id`) so that every item has a distinct position.
+
+// `a.b` reads nested values such as the computed `_sort` fields of the tasks
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+
+// Dates and ObjectIds are tagged so they come back as their own types
+const serialize = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toHexString() };
+  return value === undefined ? null : value;
+};
+
+const deserialize = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.d === 'string') return new Date(value.d);
+    if (typeof value.o === 'string' && mongoose.isValidObjectId(value.o)) return new mongoose.Types.ObjectId(value.o);
+    throw new Error('Invalid cursor');
+  }
+  return value;
+};
+
+// Which sort a cursor belongs to, so it is not used with another order
+const sortSignature = (sortKeys) => Object.entries(sortKeys).map(([key, direction]) => `${key}:${direction}`).join(',');
+
+const encodeCursor = (doc, sortKeys) => Buffer.from(JSON.stringify({
+  s: sortSignature(sortKeys),
+  v: Object.keys(sortKeys).map((key) => serialize(valueAt(doc, key)))
+})).toString('base64url');
+
+// Throws when the token is not a cursor this API produced
+const decodeCursor = (cursor) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+
+  if (!decoded || typeof decoded.s !== 'string' || !Array.isArray(decoded.v)) {
+    throw new Error('Invalid cursor');
+  }
+  return { signature: decoded.s, values: decoded.v.map(deserialize) };
+};
+
+const reverseSort = (sortKeys) => Object.fromEntries(
+  Object.entries(sortKeys).map(([key, direction]) => [key, -direction])
+);
+
+// The condition matching the items after (or before) the cursor in the
+// sort order: the first key beyond the cursor's value, or equal and the
+// second key beyond, and so on. Null when the cursor is for another sort.
+const cursorCondition = (cursor, sortKeys, { before = false } = {}) => {
+  const { signature, values } = decodeCursor(cursor);
+  if (signature !== sortSignature(sortKeys)) return null;
+
+  const entries = Object.entries(sortKeys);
+  return {
+    $or: entries.map(([key, direction], i) => {
+      const forward = before ? direction < 0 : direction > 0;
+      return {
+        ...Object.fromEntries(entries.slice(0, i).map(([equalKey], j) => [equalKey, values[j]])),
+        [key]: { [forward ? '$gt' : '$lt']: values[i] }
+      };
+    })
+  };
+};
+
+// Pagination settings of a validated request: cursor mode when `after` or
+// `before` is given or `paginate=cursor` asks for the first page. Counting is
+// what makes big collections slow, so page mode counts unless told not to
+// and cursor mode only when asked.
+const paginationOptions = (query) => {
+  const cursorMode = Boolean(query.after || query.before) || query.paginate === 'cursor';
+
+  return {
+    cursorMode,
+    after: query.after,
+    before: query.before,
+    page: parseInt(query.page) || 1,
+    limit: parseInt(query.limit) || 10,
+    includeTotal: query.includeTotal === undefined ? !cursorMode : query.includeTotal === 'true'
+  };
+};
+
+// Turn the up to `limit + 1` items fetched from the cursor on (in reverse
+// order for `before`) into the page and the cursors of its neighbours
+const cursorPage = (items, sortKeys, { limit, after, before }) => {
+  const hasMore = items.length > limit;
+  const page = items.slice(0, limit);
+  if (before) page.reverse();
+
+  const first = page[0];
+  const last = page[page.length - 1];
+
+  return {
+    items: page,
+    nextCursor: last && (before || hasMore) ? encodeCursor(last, sortKeys) : null,
+    prevCursor: first && (after || (before && hasMore)) ? encodeCursor(first, sortKeys) : null
+  };
+};
+
+// RFC 8288 Link header with the request's URL, its query changed per relation
+const setLinkHeader = (req, res, links) => {
+  const entries = Object.entries(links).filter(([, params]) => params);
+  if (entries.length === 0) return;
+
+  const base = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path === '/' ? '' : req.path}`;
+
+  res.set('Link', entries.map(([rel, params]) => {
+    const search = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+    ['page', 'after', 'before'].forEach((key) => search.delete(key));
+    Object.entries(params).forEach(([key, value]) => search.set(key, value));
+    return `<${base}?${search}>; rel="${rel}"`;
+  }).join(', '));
+};
+
+// The pagination object of a response and its Link header. Page mode needs
+// `hasMore`, whether there was an item beyond the page, when it did not count.
+const paginationResponse = (req, res, options, { total, hasMore, nextCursor, prevCursor } = {}) => {
+  if (options.cursorMode) {
+    setLinkHeader(req, res, {
+      next: nextCursor && { after: nextCursor },
+      prev: prevCursor && { before: prevCursor }
+    });
+
+    return {
+      limit: options.limit,
+      nextCursor,
+      prevCursor,
+      ...(total !== undefined && { total })
+    };
+  }
+
+  const { page, limit } = options;
+  const pages = total === undefined ? undefined : Math.ceil(total / limit);
+  setLinkHeader(req, res, {
+    first: { page: 1 },
+    prev: page > 1 && { page: page - 1 },
+    next: (pages === undefined ? hasMore : page < pages) && { page: page + 1 },
+    last: pages > 0 && { page: pages }
+  });
+
+  return {
+    current: page,
+    pages,
+    total,
+    limit,
+    ...(pages === undefined && { hasMore })
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  reverseSort,
+  cursorCondition,
+  paginationOptions,
+  cursorPage,
+  paginationResponse
+};
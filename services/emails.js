@@ -0,0 +1,86 @@
+const { sendMail } = require('./mailer');
+
+// Build an absolute link into the frontend
+const appUrl = (pathname) => {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}${pathname}`;
+};
+
+const sendPasswordResetEmail = async (user, token) => {
+  const link = appUrl(`/reset-password?token=${encodeURIComponent(token)}`);
+
+  return await sendMail({
+    to: user.email,
+    subject: 'Reset your TaskManager password',
+    text: `Hi ${user.username},\n\n` +
+      `Someone requested a password reset for your account. Use the link below to choose a new password:\n\n` +
+      `${link}\n\n` +
+      `The link expires in 1 hour and can only be used once. If you did not request this, you can ignore this email.`,
+    html: `<p>Hi ${user.username},</p>` +
+      `<p>Someone requested a password reset for your account. Use the link below to choose a new password:</p>` +
+      `<p><a href="${link}">Reset your password</a></p>` +
+      `<p>The link expires in 1 hour and can only be used once. If you did not request this, you can ignore this email.</p>`
+  });
+};
+
+const sendVerificationEmail = async (user, token) => {
+  const link = appUrl(`/verify-email?token=${encodeURIComponent(token)}`);
+
+  return await sendMail({
+    to: user.email,
+    subject: 'Verify your TaskManager email address',
+    text: `Hi ${user.username},\n\n` +
+      `Please confirm that this is your email address by opening the link below:\n\n` +
+      `${link}\n\n` +
+      `The link expires in 24 hours.`,
+    html: `<p>Hi ${user.username},</p>` +
+      `<p>Please confirm that this is your email address by opening the link below:</p>` +
+      `<p><a href="${link}">Verify your email</a></p>` +
+      `<p>The link expires in 24 hours.</p>`
+  });
+};
+
+// Sent to the old address, so an owner who did not make the change notices
+const sendEmailChangedEmail = async (user, previousEmail) => {
+  const link = appUrl('/forgot-password');
+
+  return await sendMail({
+    to: previousEmail,
+    subject: 'Your TaskManager email address was changed',
+    text: `Hi ${user.username},\n\n` +
+      `The email address of your account was changed from ${previousEmail} to ${user.email}.\n\n` +
+      `If you did not make this change, reset your password right away and contact an administrator:\n\n` +
+      `${link}`,
+    html: `<p>Hi ${user.username},</p>` +
+      `<p>The email address of your account was changed from ${previousEmail} to ${user.email}.</p>` +
+      `<p>If you did not make this change, <a href="${link}">reset your password</a> right away and contact an administrator.</p>`
+  });
+};
+
+const sendInvitationEmail = async (invitation, token, invitedBy) => {
+  const link = appUrl(`/register?invite=${encodeURIComponent(token)}`);
+  const expires = invitation.expiresAt.toUTCString();
+
+  return await sendMail({
+    to: invitation.email,
+    subject: 'You have been invited to TaskManager',
+    text: `Hi,\n\n` +
+      `${invitedBy.username} has invited you to join TaskManager with the "${invitation.role}" role. ` +
+      `Use the link below to create your account:\n\n` +
+      `${link}\n\n` +
+      `The invitation expires on ${expires} and can only be used once.`,
+    html: `<p>Hi,</p>` +
+      `<p>${invitedBy.username} has invited you to join TaskManager with the "${invitation.role}" role. ` +
+      `Use the link below to create your account:</p>` +
+      `<p><a href="${link}">Accept the invitation</a></p>` +
+      `<p>The invitation expires on ${expires} and can only be used once.</p>`
+  });
+};
+
+module.exports = {
+  appUrl,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendEmailChangedEmail,
+  sendInvitationEmail
+};
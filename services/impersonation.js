@@ -0,0 +1,116 @@
+const Impersonation = require('../models/Impersonation');
+const AuditLog = require('../models/AuditLog');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { signImpersonationToken, clientInfo } = require('./tokenService');
+const { impersonationPolicy } = require('../config/auth');
+
+const BLOCK_DESTRUCTIVE_ACTIONS_KEY = 'security.blockImpersonatedDestructiveActions';
+
+const isDestructiveBlockingEnabled = async () => {
+  return await Setting.getValue(BLOCK_DESTRUCTIVE_ACTIONS_KEY, impersonationPolicy.blockDestructiveActions) === true;
+};
+
+const setDestructiveBlockingEnabled = async (enabled, updatedBy) => {
+  return await Setting.setValue(BLOCK_DESTRUCTIVE_ACTIONS_KEY, enabled, updatedBy);
+};
+
+// Deleting is what cannot be undone, so it is what gets blocked
+const isDestructiveRequest = (req) => req.method === 'DELETE';
+
+const recordAuditEntry = (impersonation, action, req, details = {}) => {
+  const { userAgent, ipAddress } = clientInfo(req);
+
+  return AuditLog.create({
+    action,
+    actor: impersonation.admin,
+    subject: impersonation.user,
+    impersonation: impersonation._id,
+    userAgent,
+    ipAddress,
+    ...details
+  });
+};
+
+// Start acting as `user`. `req` is the admin's request; the impersonation is
+// tied to the admin's session so it ends when they log out.
+const startImpersonation = async (req, user, { reason } = {}) => {
+  const impersonation = await Impersonation.create({
+    admin: req.user._id,
+    user: user._id,
+    adminSession: req.authSession._id,
+    reason,
+    blockDestructiveActions: await isDestructiveBlockingEnabled(),
+    expiresAt: new Date(Date.now() + impersonationPolicy.expiresInMinutes * 60 * 1000)
+  });
+
+  await recordAuditEntry(impersonation, 'impersonation.start', req);
+
+  return {
+    impersonation,
+    token: await signImpersonationToken(user, impersonation, `${impersonationPolicy.expiresInMinutes}m`)
+  };
+};
+
+// The impersonation behind a decoded impersonation token and its admin, or
+// null when it has ended or expired, the admin's session is gone, or the admin
+// has lost the permission or been deactivated since it started
+const findActiveImpersonation = async (decoded) => {
+  const impersonation = await Impersonation.findById(decoded.imp);
+
+  if (
+    !impersonation ||
+    !impersonation.isActive() ||
+    impersonation.admin.toString() !== decoded.act.sub ||
+    impersonation.user.toString() !== decoded.userId
+  ) {
+    return null;
+  }
+
+  const [adminSession, admin] = await Promise.all([
+    Session.findById(impersonation.adminSession),
+    User.findById(impersonation.admin)
+  ]);
+
+  if (!adminSession || !adminSession.isValid() || !admin || !admin.isActive) {
+    return null;
+  }
+
+  if (!(await Role.permissionsFor(admin.role)).includes('user.impersonate')) {
+    return null;
+  }
+
+  return { impersonation, admin };
+};
+
+// Record the request once it has been answered, with its status code
+const recordImpersonatedRequest = (req, res, { blocked = false } = {}) => {
+  res.on('finish', () => {
+    recordAuditEntry(req.impersonation, 'impersonation.request', req, {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      statusCode: res.statusCode,
+      blocked
+    }).catch((error) => {
+      console.error('Failed to record impersonated request:', error.message);
+    });
+  });
+};
+
+const endImpersonation = async (req) => {
+  req.impersonation.endedAt = new Date();
+  await Impersonation.updateOne({ _id: req.impersonation._id }, { $set: { endedAt: req.impersonation.endedAt } });
+  await recordAuditEntry(req.impersonation, 'impersonation.end', req);
+};
+
+module.exports = {
+  isDestructiveBlockingEnabled,
+  setDestructiveBlockingEnabled,
+  isDestructiveRequest,
+  startImpersonation,
+  findActiveImpersonation,
+  recordImpersonatedRequest,
+  endImpersonation
+};
@@ -0,0 +1,124 @@
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+const { loginProtection } = require('../config/auth');
+
+const {
+  maxAttemptsPerAccount,
+  maxAttemptsPerIp,
+  attemptWindowMs,
+  lockoutBaseMs,
+  lockoutMaxMs
+} = loginProtection;
+
+const ipKey = (ip) => `ip:${ip}`;
+const emailKey = (email) => `email:${email}`;
+
+// Exponential back-off: no lock below the limit, then base, 2x base, 4x base... up to the max
+const lockDuration = (failures, maxAttempts) => {
+  if (failures < maxAttempts) return 0;
+  return Math.min(lockoutBaseMs * 2 ** (failures - maxAttempts), lockoutMaxMs);
+};
+
+// Count one failure on a User or LoginThrottle document and lock it once it is over the limit.
+// Failures older than the attempt window are forgotten.
+const countFailure = async (Model, filter, maxAttempts, { upsert = false, extraFields = {} } = {}) => {
+  const now = new Date();
+
+  let doc = await Model.findOneAndUpdate(
+    { ...filter, lastFailedLoginAt: { $gte: new Date(now - attemptWindowMs) } },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now, ...extraFields } },
+    { new: true }
+  );
+
+  if (!doc) {
+    doc = await Model.findOneAndUpdate(
+      filter,
+      { $set: { failedLoginAttempts: 1, lastFailedLoginAt: now, ...extraFields } },
+      { new: true, upsert }
+    );
+  }
+
+  const duration = doc && lockDuration(doc.failedLoginAttempts, maxAttempts);
+
+  if (duration) {
+    await Model.updateOne({ _id: doc._id }, { $max: { lockUntil: new Date(now.getTime() + duration) } });
+  }
+};
+
+// Seconds until the lock ends, or 0 if the lock is not active
+const secondsLeft = (lockUntil) => {
+  if (!lockUntil || lockUntil <= new Date()) return 0;
+  return Math.ceil((lockUntil - new Date()) / 1000);
+};
+
+// Check whether a login attempt may go ahead.
+// `user` is the account for `email`, or null when no account exists.
+const checkLoginAllowed = async ({ ip, email, user }) => {
+  const keys = [ipKey(ip), ...(user ? [] : [emailKey(email)])];
+  const throttles = await LoginThrottle.find({ key: { $in: keys }, lockUntil: { $gt: new Date() } });
+
+  const ipThrottle = throttles.find((throttle) => throttle.key === ipKey(ip));
+  const emailThrottle = throttles.find((throttle) => throttle.key !== ipKey(ip));
+
+  return {
+    ipRetryAfter: secondsLeft(ipThrottle && ipThrottle.lockUntil),
+    accountRetryAfter: secondsLeft(user ? user.lockUntil : emailThrottle && emailThrottle.lockUntil)
+  };
+};
+
+// Record a failed attempt against the client IP and the account (or the unknown email)
+const recordLoginFailure = async ({ ip, email, user }) => {
+  const expiresAt = new Date(Date.now() + attemptWindowMs + lockoutMaxMs);
+
+  const throttleOptions = { upsert: true, extraFields: { expiresAt } };
+
+  await countFailure(LoginThrottle, { key: ipKey(ip) }, maxAttemptsPerIp, throttleOptions);
+
+  if (user) {
+    await countFailure(User, { _id: user._id }, maxAttemptsPerAccount);
+  } else {
+    await countFailure(LoginThrottle, { key: emailKey(email) }, maxAttemptsPerAccount, throttleOptions);
+  }
+};
+
+// Clear the account's failure count after a successful login (or by an admin)
+const clearAccountLockout = async (userId) => {
+  return await User.updateOne(
+    { _id: userId },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lastFailedLoginAt: 1, lockUntil: 1 } }
+  );
+};
+
+const clearIpLockout = async (ip) => {
+  return await LoginThrottle.deleteOne({ key: ipKey(ip) });
+};
+
+// Everything currently locked, for the admin overview
+const listLockouts = async () => {
+  const now = new Date();
+
+  const [users, ips] = await Promise.all([
+    User.find({ lockUntil: { $gt: now } })
+      .select('username email lockUntil +failedLoginAttempts +lastFailedLoginAt')
+      .sort({ lockUntil: -1 }),
+    LoginThrottle.find({ key: /^ip:/, lockUntil: { $gt: now } }).sort({ lockUntil: -1 })
+  ]);
+
+  return {
+    users,
+    ips: ips.map((throttle) => ({
+      ip: throttle.key.slice(ipKey('').length),
+      failedLoginAttempts: throttle.failedLoginAttempts,
+      lastFailedLoginAt: throttle.lastFailedLoginAt,
+      lockUntil: throttle.lockUntil
+    }))
+  };
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearAccountLockout,
+  clearIpLockout,
+  listLockouts
+};
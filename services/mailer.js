@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'TaskManager <no-reply@example.com>';
+
+// Each transport factory returns a function that delivers { to, subject, text, html }
+const transports = {
+  // Real delivery through an SMTP server
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    });
+
+    return (message) => transporter.sendMail({ from: MAIL_FROM, ...message });
+  },
+
+  // Writes every message to a JSON file, for local development and tests
+  file: () => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+
+    return async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+      await fs.promises.writeFile(
+        path.join(dir, fileName),
+        JSON.stringify({ from: MAIL_FROM, ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+    };
+  },
+
+  // Prints messages to the server log
+  console: () => async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+};
+
+// Transports that keep whole messages, reset and verification links
+// included, where anyone with access to the server logs or disk can read them
+const LOCAL_TRANSPORTS = ['console', 'file'];
+
+let deliver = null;
+
+const getTransport = () => {
+  if (!deliver) {
+    const production = process.env.NODE_ENV === 'production';
+    const name = process.env.MAIL_TRANSPORT || (production ? 'smtp' : 'console');
+    const factory = transports[name];
+
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+
+    if (production && LOCAL_TRANSPORTS.includes(name)) {
+      throw new Error(`MAIL_TRANSPORT "${name}" would expose password reset links; use smtp in production`);
+    }
+
+    if (production && name === 'smtp' && !process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST must be set to send mail in production');
+    }
+
+    deliver = factory();
+  }
+  return deliver;
+};
+
+// Build the transport at startup, so bad mail settings stop the server
+// instead of failing each request that sends mail
+const verifyMailTransport = () => {
+  getTransport();
+};
+
+// Send an email through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  return await getTransport()({ to, subject, text, html });
+};
+
+module.exports = { sendMail, verifyMailTransport };
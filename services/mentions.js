@@ -0,0 +1,28 @@
+const User = require('../models/User');
+
+// Usernames are 3-30 letters, digits and underscores. The mention must not
+// follow a word character, so email addresses are not taken for mentions.
+const MENTION_PATTERN = /(?:^|[^\w@])@([a-zA-Z0-9_]{3,30})(?![\w])/g;
+
+// The distinct usernames mentioned in `text`
+const extractMentions = (text) => {
+  const usernames = new Set();
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    usernames.add(match[1]);
+  }
+  return [...usernames];
+};
+
+// The ids of the active users mentioned in `text`; unknown names are ignored
+const resolveMentions = async (text) => {
+  const usernames = extractMentions(text);
+  if (usernames.length === 0) return [];
+
+  const users = await User.find({ username: { $in: usernames }, isActive: true }).select('_id');
+  return users.map((user) => user._id);
+};
+
+module.exports = {
+  extractMentions,
+  resolveMentions
+};
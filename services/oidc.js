@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const OidcLoginState = require('../models/OidcLoginState');
+const { revokeAllUserTokens } = require('./tokenService');
+const { recordSecurityEvent } = require('./securityEvents');
+const { oidc } = require('../config/auth');
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'PS256'];
+
+// Raised for anything the identity provider or the callback got wrong;
+// routes report these as a failed login rather than a server error
+class OidcError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OidcError';
+  }
+}
+
+let discoveryCache = null;
+let jwksCache = null;
+
+const randomUrlSafe = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+// RFC 7636 S256 code challenge
+const codeChallengeFor = (codeVerifier) => crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new OidcError(body.error_description || body.error || `Identity provider responded with ${response.status}`);
+  }
+
+  return body;
+};
+
+// Provider metadata from /.well-known/openid-configuration, fetched once
+const discover = async () => {
+  if (!discoveryCache) {
+    const metadata = await fetchJson(`${oidc.issuer}/.well-known/openid-configuration`);
+
+    if (metadata.issuer.replace(/\/$/, '') !== oidc.issuer) {
+      throw new OidcError('Identity provider issuer does not match OIDC_ISSUER');
+    }
+
+    discoveryCache = metadata;
+  }
+  return discoveryCache;
+};
+
+// Public signing key for an ID token, refetching the key set once for unknown key ids
+const getSigningKey = async (kid) => {
+  const findKey = () => jwksCache && jwksCache.keys.find((key) => !kid || key.kid === kid);
+
+  if (!findKey()) {
+    const { jwks_uri: jwksUri } = await discover();
+    jwksCache = await fetchJson(jwksUri);
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw new OidcError('ID token was signed with an unknown key');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Constant-time comparison of two strings of any length
+const safeEqual = (a, b) => (
+  Buffer.byteLength(a) === Buffer.byteLength(b) && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b))
+);
+
+// Start a login: remember state, nonce and PKCE verifier, and return the
+// URL to send the browser to, with the state and its expiry for the browser
+// to keep
+const createAuthorizationUrl = async () => {
+  const { authorization_endpoint: authorizationEndpoint } = await discover();
+
+  const loginState = await OidcLoginState.create({
+    state: randomUrlSafe(),
+    nonce: randomUrlSafe(),
+    codeVerifier: randomUrlSafe(48),
+    expiresAt: new Date(Date.now() + oidc.loginStateExpiresMs)
+  });
+
+  const url = new URL(authorizationEndpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: oidc.clientId,
+    redirect_uri: oidc.redirectUri,
+    scope: oidc.scope,
+    state: loginState.state,
+    nonce: loginState.nonce,
+    code_challenge: codeChallengeFor(loginState.codeVerifier),
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return {
+    authorizationUrl: url.toString(),
+    state: loginState.state,
+    expiresAt: loginState.expiresAt
+  };
+};
+
+// Redeem an authorization code and return the verified ID token claims
+const exchangeCode = async (code, codeVerifier, nonce) => {
+  const { token_endpoint: tokenEndpoint } = await discover();
+
+  const tokens = await fetchJson(tokenEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: oidc.redirectUri,
+      client_id: oidc.clientId,
+      code_verifier: codeVerifier,
+      ...(oidc.clientSecret && { client_secret: oidc.clientSecret })
+    }).toString()
+  });
+
+  if (!tokens.id_token) {
+    throw new OidcError('Identity provider did not return an ID token');
+  }
+
+  const decoded = jwt.decode(tokens.id_token, { complete: true });
+  if (!decoded) {
+    throw new OidcError('ID token is malformed');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(tokens.id_token, await getSigningKey(decoded.header.kid), {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: [oidc.issuer, `${oidc.issuer}/`],
+      audience: oidc.clientId
+    });
+  } catch (error) {
+    if (error instanceof OidcError) throw error;
+    throw new OidcError(`ID token is invalid: ${error.message}`);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new OidcError('ID token nonce does not match the login');
+  }
+
+  return claims;
+};
+
+// Finish a login from the provider's redirect. Each state works once, and
+// only in the browser that started the login (`browserState`, from its
+// cookie); otherwise an attacker could sign a victim in to the attacker's
+// account with their own code and state.
+const handleCallback = async ({ code, state }, browserState) => {
+  if (!browserState || !safeEqual(browserState, state)) {
+    throw new OidcError('SSO login was not started in this browser. Please try again.');
+  }
+
+  const loginState = await OidcLoginState.findOneAndDelete({ state, expiresAt: { $gt: new Date() } });
+
+  if (!loginState) {
+    throw new OidcError('SSO login has expired or was already used. Please try again.');
+  }
+
+  return await exchangeCode(code, loginState.codeVerifier, loginState.nonce);
+};
+
+// Roles the IdP groups can decide between; custom roles are managed in the app
+const GROUP_MANAGED_ROLES = ['user', 'admin'];
+
+// Map the configured group claim onto the app's roles
+const roleFromClaims = (claims) => {
+  const claim = claims[oidc.groupsClaim];
+  const groups = Array.isArray(claim) ? claim : [claim].filter(Boolean);
+
+  return groups.some((group) => oidc.adminGroups.includes(group)) ? 'admin' : 'user';
+};
+
+// Derive a free username that passes the User schema rules
+const uniqueUsername = async (claims) => {
+  const source = claims.preferred_username || claims.email.split('@')[0];
+  const base = source.replace(/[^a-zA-Z0-9_]/g, '_').slice(0, 24).padEnd(3, '_');
+
+  let candidate = base;
+  for (let attempt = 0; await User.exists({ username: candidate }); attempt += 1) {
+    if (attempt >= 5) {
+      throw new Error('Could not find a free username for SSO user');
+    }
+    candidate = `${base}_${crypto.randomInt(1000, 10000)}`;
+  }
+  return candidate;
+};
+
+// The role an existing user should get from the IdP groups, or null to keep
+// theirs. Groups only count when admin groups are configured and the claim
+// was sent, and never override a custom role.
+const syncedRole = (user, claims) => {
+  if (oidc.adminGroups.length === 0 || claims[oidc.groupsClaim] === undefined) return null;
+  if (!GROUP_MANAGED_ROLES.includes(user.role)) return null;
+  return roleFromClaims(claims);
+};
+
+// Find the user for a verified ID token, linking by email or creating them
+// just in time, and bring their role in line with the IdP groups
+const findOrCreateUser = async (claims, req) => {
+  if (!claims.email) {
+    throw new OidcError('Identity provider did not share an email address');
+  }
+
+  // Only an email the provider explicitly verified can take over an existing
+  // account or count as verified here
+  const emailVerified = claims.email_verified === true;
+  const email = claims.email.toLowerCase();
+
+  let user = await User.findOne({ oidcSubject: claims.sub });
+
+  if (!user) {
+    const existingUser = await User.findOne({ email });
+
+    if (existingUser && !emailVerified) {
+      throw new OidcError('Your identity provider has not verified this email address');
+    }
+
+    if (existingUser) {
+      existingUser.oidcSubject = claims.sub;
+      user = existingUser;
+    } else {
+      user = new User({
+        username: await uniqueUsername(claims),
+        email,
+        // Never used to sign in; the user can set a real one with the reset flow
+        password: `${crypto.randomBytes(24).toString('hex')}Aa1`,
+        role: roleFromClaims(claims),
+        oidcSubject: claims.sub
+      });
+    }
+  }
+
+  if (emailVerified) {
+    user.emailVerified = true;
+  }
+
+  const previousRole = user.role;
+  const role = user.isNew ? null : syncedRole(user, claims);
+  const roleChanged = Boolean(role) && role !== previousRole;
+  if (roleChanged) user.role = role;
+
+  await user.save();
+
+  // Same as an admin role change: recorded, and tokens carrying the old role
+  // stop working
+  if (roleChanged) {
+    await recordSecurityEvent(req, user, 'role.change', {
+      details: { from: previousRole, to: role, source: 'sso' }
+    });
+    await revokeAllUserTokens(user._id, 'role-changed');
+    user = await User.findById(user._id);
+  }
+
+  return user;
+};
+
+module.exports = {
+  OidcError,
+  createAuthorizationUrl,
+  handleCallback,
+  roleFromClaims,
+  findOrCreateUser
+};
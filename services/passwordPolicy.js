@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const { existsSync } = require('fs');
+const fs = require('fs/promises');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { passwordPolicy } = require('../config/auth');
+
+// Hash prefix length used to bucket the breached password list, as in the
+// Pwned Passwords range API
+const HASH_PREFIX_LENGTH = 5;
+
+const errorMessages = {
+  PASSWORD_TOO_SHORT: () => `Password must be at least ${passwordPolicy.minLength} characters long`,
+  PASSWORD_TOO_LONG: () => `Password must be at most ${passwordPolicy.maxLength} bytes long (accented letters and emoji take more than one)`,
+  PASSWORD_MISSING_LOWERCASE: () => 'Password must contain at least one lowercase letter',
+  PASSWORD_MISSING_UPPERCASE: () => 'Password must contain at least one uppercase letter',
+  PASSWORD_MISSING_DIGIT: () => 'Password must contain at least one number',
+  PASSWORD_MISSING_SYMBOL: () => 'Password must contain at least one symbol',
+  PASSWORD_BREACHED: () => 'This password has appeared in a data breach. Please choose a different one',
+  PASSWORD_REUSED: () => `Password must differ from your last ${passwordPolicy.historySize} passwords`
+};
+
+// Structured violation returned to clients: a stable code plus a readable message
+const passwordError = (code) => ({ code, message: errorMessages[code]() });
+
+// Breached password hashes from a single list file, grouped by hash prefix.
+// A directory of range files ("<PREFIX>.txt" holding hash suffixes) is read
+// one bucket at a time instead, so lists too large for memory work as well.
+let breachedIndex = null;
+
+const parseHashLine = (line) => line.split(':')[0].trim().toUpperCase();
+
+const loadBreachedIndex = async (file) => {
+  const index = new Map();
+  const contents = await fs.readFile(file, 'utf8');
+
+  for (const line of contents.split('\n')) {
+    const hash = parseHashLine(line);
+    if (hash.length <= HASH_PREFIX_LENGTH) continue;
+
+    const prefix = hash.slice(0, HASH_PREFIX_LENGTH);
+    if (!index.has(prefix)) index.set(prefix, new Set());
+    index.get(prefix).add(hash.slice(HASH_PREFIX_LENGTH));
+  }
+
+  return index;
+};
+
+const breachedSuffixes = async (prefix) => {
+  const source = passwordPolicy.breachedPasswordsFile;
+
+  if ((await fs.stat(source)).isDirectory()) {
+    try {
+      const contents = await fs.readFile(path.join(source, `${prefix}.txt`), 'utf8');
+      return new Set(contents.split('\n').map(parseHashLine));
+    } catch (error) {
+      if (error.code === 'ENOENT') return new Set();
+      throw error;
+    }
+  }
+
+  // A failed load is retried on the next check instead of being kept
+  breachedIndex = breachedIndex || loadBreachedIndex(source).catch((error) => {
+    breachedIndex = null;
+    throw error;
+  });
+  return (await breachedIndex).get(prefix) || new Set();
+};
+
+const isBreachedPassword = async (password) => {
+  if (!passwordPolicy.breachedPasswordsFile) return false;
+
+  const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+  const suffixes = await breachedSuffixes(hash.slice(0, HASH_PREFIX_LENGTH));
+
+  return suffixes.has(hash.slice(HASH_PREFIX_LENGTH));
+};
+
+// Fail at startup when the configured breached password list is missing,
+// rather than on every password check
+const verifyBreachedPasswordList = () => {
+  const source = passwordPolicy.breachedPasswordsFile;
+
+  if (source && !existsSync(source)) {
+    throw new Error(`Breached password list not found at ${source}; set PASSWORD_BREACHED_LIST to a list, or to an empty value to turn the check off`);
+  }
+};
+
+// Rules a new password is checked against, in the order they are reported
+const passwordRules = [
+  { code: 'PASSWORD_TOO_SHORT', test: (password) => password.length >= passwordPolicy.minLength },
+  // In UTF-8 bytes, since that is where bcrypt cuts passwords off
+  { code: 'PASSWORD_TOO_LONG', test: (password) => Buffer.byteLength(password, 'utf8') <= passwordPolicy.maxLength },
+  { code: 'PASSWORD_MISSING_LOWERCASE', enabled: passwordPolicy.requireLowercase, test: (password) => /[a-z]/.test(password) },
+  { code: 'PASSWORD_MISSING_UPPERCASE', enabled: passwordPolicy.requireUppercase, test: (password) => /[A-Z]/.test(password) },
+  { code: 'PASSWORD_MISSING_DIGIT', enabled: passwordPolicy.requireDigit, test: (password) => /\d/.test(password) },
+  { code: 'PASSWORD_MISSING_SYMBOL', enabled: passwordPolicy.requireSymbol, test: (password) => /[^a-zA-Z\d]/.test(password) },
+  { code: 'PASSWORD_BREACHED', test: async (password) => !(await isBreachedPassword(password)) }
+].filter((rule) => rule.enabled !== false);
+
+// Every rule the password breaks, as structured errors
+const passwordViolations = async (password) => {
+  const violations = [];
+
+  for (const rule of passwordRules) {
+    if (!(await rule.test(password))) {
+      violations.push(passwordError(rule.code));
+    }
+  }
+
+  return violations;
+};
+
+// Whether the password matches the user's current password or one of the
+// previous ones kept in the history. Needs +password and +passwordHistory.
+const isPasswordReused = async (user, password) => {
+  if (passwordPolicy.historySize < 1) return false;
+
+  const hashes = [user.password, ...(user.passwordHistory || [])].filter(Boolean);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+
+  return false;
+};
+
+// Set a new password, moving the current hash into the history.
+// Needs +password and +passwordHistory; the caller saves the user.
+const setPassword = (user, password) => {
+  if (user.password) {
+    user.passwordHistory = [user.password, ...(user.passwordHistory || [])]
+      .slice(0, Math.max(passwordPolicy.historySize - 1, 0));
+  }
+
+  user.password = password;
+};
+
+// The rules as clients need them to check passwords before submitting
+const publicPasswordPolicy = () => ({
+  minLength: passwordPolicy.minLength,
+  maxLength: passwordPolicy.maxLength,
+  requireLowercase: passwordPolicy.requireLowercase,
+  requireUppercase: passwordPolicy.requireUppercase,
+  requireDigit: passwordPolicy.requireDigit,
+  requireSymbol: passwordPolicy.requireSymbol,
+  checksBreachedPasswords: Boolean(passwordPolicy.breachedPasswordsFile),
+  historySize: passwordPolicy.historySize
+});
+
+module.exports = {
+  passwordRules,
+  passwordError,
+  passwordViolations,
+  isBreachedPassword,
+  verifyBreachedPasswordList,
+  isPasswordReused,
+  setPassword,
+  publicPasswordPolicy
+};
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+// A minimal client for S3-compatible object storage: PUT, GET and DELETE of
+// single objects, signed with AWS Signature Version 4 (header-based).
+// https://docs.aws.amazon.com/AmazonS3/latest/API/sig-v4-header-based-auth.html
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding of each path segment, as S3 canonical URIs require
+const encodePath = (path) => path.split('/').map((segment) => (
+  encodeURIComponent(segment).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+)).join('/');
+
+// The Authorization header for a request. `headers` must include host and
+// the x-amz-* headers; every header passed is signed.
+const signRequest = ({ method, path, query = '', headers, payloadHash, region, accessKeyId, secretAccessKey, service = 's3' }) => {
+  const amzDate = headers['x-amz-date'];
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${region}/${service}/aws4_request`;
+
+  const names = Object.keys(headers).map((name) => name.toLowerCase()).sort();
+  const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const canonicalHeaders = names.map((name) => `${name}:${String(lowerCased[name]).trim().replace(/\s+/g, ' ')}\n`).join('');
+  const signedHeaders = names.join(';');
+
+  const canonicalRequest = [method, encodePath(path), query, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = [date, region, service, 'aws4_request'].reduce(hmac, `AWS4${secretAccessKey}`);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+};
+
+const createS3Storage = ({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle }) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+
+  // The host and unencoded path of an object
+  const objectLocation = (key) => {
+    const basePath = base.pathname.replace(/\/$/, '');
+    return forcePathStyle
+      ? { host: base.host, path: `${basePath}/${bucket}/${key}` }
+      : { host: `${bucket}.${base.host}`, path: `${basePath}/${key}` };
+  };
+
+  const send = async (method, key, { body, contentType } = {}) => {
+    const { host, path } = objectLocation(key);
+    const payloadHash = body ? sha256(body) : EMPTY_PAYLOAD_HASH;
+    const headers = {
+      host,
+      'x-amz-date': new Date().toISOString().replace(/[:-]|\.\d{3}/g, ''),
+      'x-amz-content-sha256': payloadHash,
+      ...(contentType && { 'content-type': contentType })
+    };
+
+    const authorization = signRequest({
+      method,
+      path,
+      headers,
+      payloadHash,
+      region,
+      accessKeyId,
+      secretAccessKey
+    });
+
+    // fetch sets the (signed) Host header itself from the URL
+    const { host: _host, ...sentHeaders } = headers;
+    const response = await fetch(`${base.protocol}//${host}${encodePath(path)}`, {
+      method,
+      headers: { ...sentHeaders, authorization },
+      body
+    });
+
+    if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+      const error = new Error(`S3 ${method} ${key} failed with ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  };
+
+  return {
+    put: async (key, data, { contentType } = {}) => {
+      await send('PUT', key, { body: data, contentType });
+    },
+
+    get: async (key) => {
+      const response = await send('GET', key);
+      return Readable.fromWeb(response.body);
+    },
+
+    // Deleting what is not there succeeds, as S3 itself answers 204
+    delete: async (key) => {
+      await send('DELETE', key);
+    }
+  };
+};
+
+module.exports = {
+  signRequest,
+  createS3Storage
+};
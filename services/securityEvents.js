@@ -0,0 +1,48 @@
+const SecurityEvent = require('../models/SecurityEvent');
+const { clientInfo } = require('./tokenService');
+
+// Store a security event about `user` with the IP and user agent of the
+// request. A failure to record is logged but never fails the request itself.
+const recordSecurityEvent = async (req, user, type, { actor = null, details = {} } = {}) => {
+  try {
+    await SecurityEvent.create({
+      user: user._id,
+      type,
+      actor: actor && actor._id,
+      details,
+      ...clientInfo(req)
+    });
+  } catch (error) {
+    console.error(`Failed to record security event ${type}:`, error.message);
+  }
+};
+
+// One page of a user's events, newest first, in the users list's pagination format
+const listSecurityEvents = async (userId, { page = 1, limit = 20, type } = {}) => {
+  const filter = { user: userId };
+  if (type) filter.type = type;
+
+  const [events, total] = await Promise.all([
+    SecurityEvent.find(filter)
+      .populate('actor', 'username')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    SecurityEvent.countDocuments(filter)
+  ]);
+
+  return {
+    events,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+      limit
+    }
+  };
+};
+
+module.exports = {
+  recordSecurityEvent,
+  listSecurityEvents
+};
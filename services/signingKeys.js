@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const SigningKey = require('../models/SigningKey');
+const { tokenSigning } = require('../config/auth');
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+// A token with an unknown kid reloads the key set, but not more often than this
+const RELOAD_MIN_INTERVAL_MS = 5 * 1000;
+
+// In-memory copy of the key set: the active signing key and every key that
+// may still verify tokens, by kid
+let keySet = null;
+let loading = null;
+
+const keyPassphraseOptions = () => (tokenSigning.keyPassphrase ? { passphrase: tokenSigning.keyPassphrase } : {});
+
+// Generate and store a new active key in the configured algorithm
+const createKey = async () => {
+  const { publicKey, privateKey } = tokenSigning.algorithm === 'ES256'
+    ? await generateKeyPair('ec', { namedCurve: 'P-256' })
+    : await generateKeyPair('rsa', { modulusLength: 2048 });
+
+  return await SigningKey.create({
+    kid: crypto.randomBytes(8).toString('hex'),
+    algorithm: tokenSigning.algorithm,
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    privateKey: privateKey.export({
+      type: 'pkcs8',
+      format: 'pem',
+      ...(tokenSigning.keyPassphrase && { cipher: 'aes-256-cbc' }),
+      ...keyPassphraseOptions()
+    })
+  });
+};
+
+// Create the first key if there is none. Several instances may race here;
+// the unique index on the active key lets exactly one of them win.
+const ensureActiveKey = async () => {
+  try {
+    await createKey();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+};
+
+const loadKeySet = async () => {
+  let keys = await SigningKey.findUsable();
+
+  if (!keys.some((key) => key.active)) {
+    await ensureActiveKey();
+    keys = await SigningKey.findUsable();
+  }
+
+  const active = keys.find((key) => key.active);
+
+  keySet = {
+    loadedAt: Date.now(),
+    signing: {
+      kid: active.kid,
+      algorithm: active.algorithm,
+      privateKey: crypto.createPrivateKey({ key: active.privateKey, format: 'pem', ...keyPassphraseOptions() })
+    },
+    verifying: new Map(keys.map((key) => [key.kid, {
+      kid: key.kid,
+      algorithm: key.algorithm,
+      publicKey: crypto.createPublicKey(key.publicKey),
+      expiresAt: key.expiresAt
+    }]))
+  };
+
+  return keySet;
+};
+
+// The cached key set, reloaded once it is older than keyCacheMs so that
+// rotations on other instances are picked up
+const getKeySet = async ({ reload = false } = {}) => {
+  const age = keySet ? Date.now() - keySet.loadedAt : Infinity;
+
+  if (age > tokenSigning.keyCacheMs || (reload && age > RELOAD_MIN_INTERVAL_MS)) {
+    // Concurrent requests share one load
+    loading = loading || loadKeySet().finally(() => {
+      loading = null;
+    });
+    await loading;
+  }
+
+  return keySet;
+};
+
+const isExpired = (key) => Boolean(key.expiresAt) && key.expiresAt <= new Date();
+
+// The key new tokens are signed with
+const getSigningKey = async () => (await getKeySet()).signing;
+
+// The public key for a token's kid, or null when it is unknown or has expired
+const getVerificationKey = async (kid) => {
+  let key = (await getKeySet()).verifying.get(kid);
+
+  // Probably signed after a rotation on another instance
+  if (!key) {
+    key = (await getKeySet({ reload: true })).verifying.get(kid);
+  }
+
+  return key && !isExpired(key) ? key : null;
+};
+
+// Public keys in JWK Set format, for /.well-known/jwks.json
+const getJwks = async () => {
+  const { verifying } = await getKeySet();
+
+  return {
+    keys: [...verifying.values()]
+      .filter((key) => !isExpired(key))
+      .map((key) => ({
+        ...key.publicKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.algorithm,
+        use: 'sig'
+      }))
+  };
+};
+
+// Replace the active key. The old key stops signing at once but keeps
+// verifying until retiredKeyTtlHours have passed.
+const rotateSigningKey = async () => {
+  const retiredAt = new Date();
+
+  await SigningKey.updateMany(
+    { active: true },
+    {
+      $set: {
+        active: false,
+        retiredAt,
+        expiresAt: new Date(retiredAt.getTime() + tokenSigning.retiredKeyTtlHours * 60 * 60 * 1000)
+      }
+    }
+  );
+
+  await ensureActiveKey();
+  keySet = null;
+
+  return await SigningKey.findOne({ active: true });
+};
+
+module.exports = {
+  getSigningKey,
+  getVerificationKey,
+  getJwks,
+  rotateSigningKey
+};
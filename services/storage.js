@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+const { storage: storageConfig } = require('../config/storage');
+const { createS3Storage } = require('./s3Storage');
+
+// File storage behind one interface, whichever backend holds the files:
+//   put(key, buffer, { contentType })  store a file
+//   get(key)                           a readable stream of the file
+//   delete(key)                        remove a file; missing files are fine
+// Keys are `/`-separated relative paths such as `tasks/<id>/<random>`.
+
+const createLocalStorage = ({ directory }) => {
+  // Resolve a key below the storage directory, refusing anything that would
+  // end up outside it
+  const fileFor = (key) => {
+    const file = path.resolve(directory, key);
+    if (!file.startsWith(directory + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    put: async (key, data) => {
+      const file = fileFor(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, data);
+    },
+
+    get: async (key) => {
+      const file = fileFor(key);
+      // Fail here rather than on the first read if the file is gone
+      await fs.promises.access(file);
+      return fs.createReadStream(file);
+    },
+
+    delete: async (key) => {
+      await fs.promises.rm(fileFor(key), { force: true });
+    }
+  };
+};
+
+const drivers = {
+  local: () => createLocalStorage(storageConfig.local),
+  s3: () => createS3Storage(storageConfig.s3)
+};
+
+let storage = null;
+
+// The configured storage, created on first use
+const getStorage = () => {
+  if (!storage) storage = drivers[storageConfig.driver]();
+  return storage;
+};
+
+module.exports = {
+  createLocalStorage,
+  getStorage
+};
@@ -0,0 +1,61 @@
+const Task = require('../models/Task');
+
+// Subtasks are one level deep: a subtask's parent is always a top-level task,
+// so a parent's progress is the sum over its direct children.
+
+// Order checklist items by their `order` (items without one keep their
+// position) and renumber them from 0
+const normalizeChecklist = (items) => items
+  .map((item, index) => ({ item, order: item.order ?? index, index }))
+  .sort((a, b) => a.order - b.order || a.index - b.index)
+  .map(({ item }, order) => ({
+    ...(item._id && { _id: item._id }),
+    text: item.text,
+    done: Boolean(item.done),
+    order
+  }));
+
+// Subtask counts of the given tasks, by task ID
+const subtaskCounts = async (taskIds) => {
+  const counts = await Task.aggregate([
+    { $match: { parent: { $in: taskIds } } },
+    {
+      $group: {
+        _id: '$parent',
+        total: { $sum: 1 },
+        completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  return new Map(counts.map(({ _id, total, completed }) => [_id.toString(), { total, completed }]));
+};
+
+const taskProgress = (task, subtasks = { total: 0, completed: 0 }) => {
+  const checklist = task.checklist || [];
+  const done = checklist.filter((item) => item.done).length;
+  const total = subtasks.total + checklist.length;
+
+  return {
+    subtasks,
+    checklist: { total: checklist.length, done },
+    percent: total > 0
+      ? Math.round(((subtasks.completed + done) / total) * 100)
+      : task.status === 'completed' ? 100 : 0
+  };
+};
+
+// Tasks (documents or plain objects) as JSON with their `progress`
+const withProgress = async (tasks) => {
+  const counts = await subtaskCounts(tasks.map((task) => task._id));
+
+  return tasks.map((task) => {
+    const json = typeof task.toJSON === 'function' ? task.toJSON() : task;
+    return { ...json, progress: taskProgress(json, counts.get(task._id.toString())) };
+  });
+};
+
+module.exports = {
+  normalizeChecklist,
+  withProgress
+};
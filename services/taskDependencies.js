@@ -0,0 +1,152 @@
+const Task = require('../models/Task');
+
+// "Blocked by" links between tasks. A task's `blockedBy` lists the tasks it
+// waits on; the links always form a directed acyclic graph.
+
+const MAX_BLOCKERS = 50;
+const MAX_GRAPH_NODES = 200;
+const GRAPH_FIELDS = 'title status priority assignedTo createdBy blockedBy';
+
+// The chain of blockers from `blockerId` back to `taskId`, if `blockerId` is
+// already (transitively) blocked by `taskId`; then `taskId` blocked by
+// `blockerId` would close a cycle. Returns the cycle as IDs, starting and
+// ending with `taskId`, or null.
+const findCycle = async (taskId, blockerId) => {
+  const target = taskId.toString();
+  const reachedFrom = new Map([[blockerId.toString(), null]]);
+  let frontier = [blockerId];
+
+  while (frontier.length > 0) {
+    const tasks = await Task.find({ _id: { $in: frontier } }).select('blockedBy');
+    frontier = [];
+
+    for (const task of tasks) {
+      for (const next of task.blockedBy) {
+        const id = next.toString();
+        if (reachedFrom.has(id)) continue;
+        reachedFrom.set(id, task._id.toString());
+
+        if (id === target) {
+          const chain = [];
+          for (let step = id; step; step = reachedFrom.get(step)) chain.unshift(step);
+          return [target, ...chain];
+        }
+        frontier.push(next);
+      }
+    }
+  }
+
+  return null;
+};
+
+// Store `blockerId` as a blocker of `task`. Checked against the loaded task
+// first, then made safe against concurrent requests: the write only applies
+// while the link is new and the task is under MAX_BLOCKERS, and is undone
+// when a request linking the tasks the other way got in first and the two
+// links now form a cycle. Resolves to { linked: true },
+// { reason: 'missing' | 'exists' | 'limit' } or { cycle }.
+const linkBlocker = async (task, blockerId) => {
+  if (task.blockedBy.some((id) => id.equals(blockerId))) return { reason: 'exists' };
+  if (task.blockedBy.length >= MAX_BLOCKERS) return { reason: 'limit' };
+
+  const taskId = task._id;
+  const existingCycle = await findCycle(taskId, blockerId);
+  if (existingCycle) return { cycle: existingCycle };
+
+  const { modifiedCount } = await Task.updateOne(
+    {
+      _id: taskId,
+      blockedBy: { $ne: blockerId },
+      [`blockedBy.${MAX_BLOCKERS - 1}`]: { $exists: false }
+    },
+    { $push: { blockedBy: blockerId } }
+  );
+
+  if (modifiedCount === 0) {
+    const current = await Task.findById(taskId).select('blockedBy');
+    if (!current) return { reason: 'missing' };
+    return { reason: current.blockedBy.some((id) => id.equals(blockerId)) ? 'exists' : 'limit' };
+  }
+
+  const cycle = await findCycle(taskId, blockerId);
+  if (cycle) {
+    await Task.updateOne({ _id: taskId }, { $pull: { blockedBy: blockerId } });
+    return { cycle };
+  }
+
+  return { linked: true };
+};
+
+// The blockers of a task that are not completed yet
+const openBlockers = (task) => Task.find({
+  _id: { $in: task.blockedBy },
+  status: { $ne: 'completed' }
+}).select('title status');
+
+// Everything `task` waits on and everything waiting on it, up to
+// MAX_GRAPH_NODES tasks. Tasks `canView` refuses keep only their status.
+const dependencyGraph = async (task, canView) => {
+  const nodes = new Map([[task._id.toString(), { task, depth: 0 }]]);
+  let truncated = false;
+
+  const addNodes = (found, depth) => {
+    const added = [];
+    for (const node of found) {
+      const id = node._id.toString();
+      if (nodes.has(id)) continue;
+      if (nodes.size >= MAX_GRAPH_NODES) {
+        truncated = true;
+        break;
+      }
+      nodes.set(id, { task: node, depth });
+      added.push(node);
+    }
+    return added;
+  };
+
+  // Upstream: the blockers, their blockers and so on
+  let frontier = [task];
+  for (let depth = -1; frontier.length > 0 && !truncated; depth--) {
+    const ids = frontier.flatMap((node) => node.blockedBy).filter((id) => !nodes.has(id.toString()));
+    frontier = ids.length > 0
+      ? addNodes(await Task.find({ _id: { $in: ids } }).select(GRAPH_FIELDS), depth)
+      : [];
+  }
+
+  // Downstream: the tasks blocked by this one, and so on
+  frontier = [task];
+  for (let depth = 1; frontier.length > 0 && !truncated; depth++) {
+    frontier = addNodes(
+      await Task.find({ blockedBy: { $in: frontier.map((node) => node._id) } }).select(GRAPH_FIELDS),
+      depth
+    );
+  }
+
+  const edges = [];
+  for (const { task: node } of nodes.values()) {
+    for (const blocker of node.blockedBy) {
+      if (nodes.has(blocker.toString())) {
+        edges.push({ from: blocker.toString(), to: node._id.toString() });
+      }
+    }
+  }
+
+  return {
+    task: task._id.toString(),
+    nodes: [...nodes.values()].map(({ task: node, depth }) => (
+      canView(node)
+        ? { _id: node._id, title: node.title, status: node.status, priority: node.priority, depth }
+        : { _id: node._id, status: node.status, depth, restricted: true }
+    )),
+    edges,
+    truncated
+  };
+};
+
+module.exports = {
+  MAX_BLOCKERS,
+  findCycle,
+  linkBlocker,
+  openBlockers,
+  dependencyGraph
+};
@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+
+// The filter and sort language of GET /tasks. Every parameter is parsed into
+// typed values here, so nothing from the query string reaches MongoDB as-is.
+// The parse functions throw an Error with a message for the client; the
+// validation middleware runs them first, so the builders can assume valid input.
+
+const STATUSES = Task.schema.path('status').enumValues;
+const PRIORITIES = Task.schema.path('priority').enumValues;
+
+const DATE_FIELDS = ['dueDate', 'createdAt', 'updatedAt'];
+const RANGE_OPERATORS = ['gte', 'gt', 'lte', 'lt'];
+const SORT_FIELDS = ['relevance', 'createdAt', 'updatedAt', 'dueDate', 'priority', 'status', 'title'];
+const MAX_SORT_FIELDS = 3;
+
+// `a,b`, `x=a&x=b` and `x=a,b&x=c` all list several values
+const splitList = (value, name) => {
+  const values = Array.isArray(value) ? value : [value];
+  if (values.some((item) => typeof item !== 'string')) {
+    throw new Error(`${name} must be a comma-separated list`);
+  }
+
+  const items = values.flatMap((item) => item.split(',')).map((item) => item.trim()).filter(Boolean);
+  if (items.length === 0) {
+    throw new Error(`${name} must not be empty`);
+  }
+  return [...new Set(items)];
+};
+
+const parseEnumList = (name, allowed) => (value) => {
+  const items = splitList(value, name);
+  const invalid = items.filter((item) => !allowed.includes(item));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid ${name} ${invalid.join(', ')}; use any of: ${allowed.join(', ')}`);
+  }
+  return items;
+};
+
+const parseStatusList = parseEnumList('status', STATUSES);
+const parsePriorityList = parseEnumList('priority', PRIORITIES);
+
+// User IDs, or `me` for the current user
+const parseUserList = (name) => (value) => {
+  const items = splitList(value, name);
+  const invalid = items.filter((item) => item !== 'me' && !mongoose.isValidObjectId(item));
+  if (invalid.length > 0) {
+    throw new Error(`${name} must list user IDs or "me"; invalid: ${invalid.join(', ')}`);
+  }
+  return items;
+};
+
+const parseBoolean = (name) => (value) => {
+  if (value !== 'true' && value !== 'false') {
+    throw new Error(`${name} must be true or false`);
+  }
+  return value === 'true';
+};
+
+const parseLabelList = (value) => {
+  const items = splitList(value, 'labels');
+  const invalid = items.filter((item) => !mongoose.isValidObjectId(item));
+  if (invalid.length > 0) {
+    throw new Error(`labels must list label IDs; invalid: ${invalid.join(', ')}`);
+  }
+  return items.map((item) => new mongoose.Types.ObjectId(item));
+};
+
+const parseTaskId = (name) => (value) => {
+  if (typeof value !== 'string' || !mongoose.isValidObjectId(value)) {
+    throw new Error(`${name} must be a task ID`);
+  }
+  return new mongoose.Types.ObjectId(value);
+};
+
+// `dueDate[gte]=2024-01-01&dueDate[lt]=2024-02-01` becomes { $gte: Date, $lt: Date }
+const parseDateRange = (name) => (value) => {
+  const usage = `Filter ${name} with ${RANGE_OPERATORS.map((op) => `${name}[${op}]`).join(', ')}`;
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(usage);
+  }
+
+  const entries = Object.entries(value);
+  if (entries.length === 0 || entries.some(([op]) => !RANGE_OPERATORS.includes(op))) {
+    throw new Error(usage);
+  }
+
+  const range = {};
+  for (const [op, date] of entries) {
+    const parsed = typeof date === 'string' ? new Date(date) : null;
+    if (!parsed || Number.isNaN(parsed.getTime())) {
+      throw new Error(`${name}[${op}] must be an ISO 8601 date`);
+    }
+    range[`$${op}`] = parsed;
+  }
+  return range;
+};
+
+// `dueDate,-priority` becomes [['dueDate', 1], ['priority', -1]]. `newest`
+// is kept as the name of the default order.
+const parseSort = (value) => {
+  if (value === 'newest') return [['createdAt', -1]];
+
+  const fields = splitList(value, 'sort').map((item) => (
+    item.startsWith('-') ? [item.slice(1), -1] : [item, 1]
+  ));
+
+  const invalid = fields.filter(([field]) => !SORT_FIELDS.includes(field));
+  if (invalid.length > 0) {
+    throw new Error(`Cannot sort by ${invalid.map(([field]) => field).join(', ')}; use any of: ${SORT_FIELDS.join(', ')}`);
+  }
+  if (fields.length > MAX_SORT_FIELDS) {
+    throw new Error(`Sort by at most ${MAX_SORT_FIELDS} fields`);
+  }
+  if (new Set(fields.map(([field]) => field)).size !== fields.length) {
+    throw new Error('Sort by each field at most once');
+  }
+  return fields;
+};
+
+const resolveUsers = (items, user) => items.map((item) => (
+  item === 'me' ? user._id : new mongoose.Types.ObjectId(item)
+));
+
+// The conditions of a validated query, ready for `$and`. Visibility and the
+// text search are added by the caller.
+const taskFilterConditions = (query, user) => {
+  const conditions = [];
+
+  if (query.status) conditions.push({ status: { $in: parseStatusList(query.status) } });
+  if (query.priority) conditions.push({ priority: { $in: parsePriorityList(query.priority) } });
+  if (query.assignedTo) conditions.push({ assignedTo: { $in: resolveUsers(parseUserList('assignedTo')(query.assignedTo), user) } });
+  if (query.createdBy) conditions.push({ createdBy: { $in: resolveUsers(parseUserList('createdBy')(query.createdBy), user) } });
+
+  // Subtasks: only top-level tasks, or only the subtasks of one task
+  if (query.topLevel !== undefined) {
+    conditions.push(parseBoolean('topLevel')(query.topLevel)
+      ? { parent: null }
+      : { parent: { $ne: null } });
+  }
+  if (query.parent) conditions.push({ parent: parseTaskId('parent')(query.parent) });
+
+  // Labels: tasks with any of them, or with all of them
+  if (query.labels) {
+    const labels = parseLabelList(query.labels);
+    conditions.push({ labels: query.labelMode === 'all' ? { $all: labels } : { $in: labels } });
+  }
+
+  for (const field of DATE_FIELDS) {
+    if (query[field]) conditions.push({ [field]: parseDateRange(field)(query[field]) });
+  }
+
+  // Overdue: past the due date and not completed
+  if (query.overdue !== undefined) {
+    const now = new Date();
+    conditions.push(parseBoolean('overdue')(query.overdue)
+      ? { dueDate: { $lt: now }, status: { $ne: 'completed' } }
+      : { $or: [{ dueDate: null }, { dueDate: { $gte: now } }, { status: 'completed' }] });
+  }
+
+  return conditions;
+};
+
+// The sort of a validated query: relevance first when searching and newest
+// first otherwise. Priority and status sort in their natural order (low <
+// medium < high, pending < in-progress < completed) and tasks without a due
+// date come last, through `computed` fields to add under `_sort` before
+// sorting by `sortKeys`. Ties are broken by newest first, and then by `_id`
+// so the order is total, as cursor pagination needs.
+const taskSort = (query) => {
+  const fields = query.sort ? parseSort(query.sort) : query.q ? [['relevance', 1]] : [];
+  const sortKeys = {};
+  const computed = {};
+
+  for (const [field, direction] of fields) {
+    switch (field) {
+      case 'relevance':
+        // The best match first, whatever the direction
+        sortKeys.score = -1;
+        break;
+      case 'priority':
+        computed.priorityRank = { $indexOfArray: [PRIORITIES, '$priority'] };
+        sortKeys['_sort.priorityRank'] = direction;
+        break;
+      case 'status':
+        computed.statusRank = { $indexOfArray: [STATUSES, '$status'] };
+        sortKeys['_sort.statusRank'] = direction;
+        break;
+      case 'dueDate':
+        computed.noDueDate = { $eq: [{ $ifNull: ['$dueDate', null] }, null] };
+        sortKeys['_sort.noDueDate'] = 1;
+        sortKeys.dueDate = direction;
+        break;
+      default:
+        sortKeys[field] = direction;
+    }
+  }
+
+  if (!('createdAt' in sortKeys)) sortKeys.createdAt = -1;
+  sortKeys._id = sortKeys.createdAt;
+
+  return { computed, sortKeys };
+};
+
+const sortsByRelevance = (query) => Boolean(query.sort) && parseSort(query.sort).some(([field]) => field === 'relevance');
+
+module.exports = {
+  DATE_FIELDS,
+  parseStatusList,
+  parsePriorityList,
+  parseUserList,
+  parseBoolean,
+  parseLabelList,
+  parseTaskId,
+  parseDateRange,
+  parseSort,
+  sortsByRelevance,
+  taskFilterConditions,
+  taskSort
+};
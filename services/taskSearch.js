@@ -0,0 +1,95 @@
+// Full-text search over task titles and descriptions. Matching and ranking are
+// done by the text index on Task; this module builds the query and marks up
+// where the search terms occur so the client can highlight them.
+
+const SNIPPET_LENGTH = 160;
+
+// The terms and quoted phrases of a `$text` search string, without negated
+// terms (`-word`), which by definition do not occur in the results
+const searchTerms = (q) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(q)) !== null) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4]).replace(/"/g, '').trim();
+    if (!negated && term) terms.push(term);
+  }
+
+  return terms;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// MongoDB matches stemmed words, so "deploys" finds "deployed"; matching any
+// word that starts with a term minus a common suffix highlights most of what
+// the index matched without reimplementing its stemmer.
+const stem = (term) => term.replace(/(ing|ed|es|s)$/i, '') || term;
+
+const termPattern = (terms) => {
+  if (terms.length === 0) return null;
+
+  const alternatives = terms
+    .map((term) => (term.includes(' ') ? escapeRegExp(term) : `${escapeRegExp(stem(term))}\\w*`))
+    .sort((a, b) => b.length - a.length);
+
+  return new RegExp(`\\b(?:${alternatives.join('|')})`, 'gi');
+};
+
+// Split `text` into `{ text, match }` segments, match being true for the
+// parts the client should highlight
+const segments = (text, pattern) => {
+  const parts = [];
+  let last = 0;
+
+  if (pattern) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (match.index > last) parts.push({ text: text.slice(last, match.index), match: false });
+      parts.push({ text: match[0], match: true });
+      last = match.index + match[0].length;
+    }
+  }
+
+  if (last < text.length) parts.push({ text: text.slice(last), match: false });
+  return parts;
+};
+
+// A window of the description around its first match, with ellipses where
+// it was cut
+const snippetOf = (text, pattern) => {
+  if (text.length <= SNIPPET_LENGTH) return text;
+
+  pattern.lastIndex = 0;
+  const match = pattern.exec(text);
+  let start = Math.max(0, (match ? match.index : 0) - SNIPPET_LENGTH / 4);
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  start = Math.max(0, end - SNIPPET_LENGTH);
+
+  // Do not cut words in half
+  if (start > 0) start = text.indexOf(' ', start) + 1;
+  if (end < text.length) end = Math.max(text.lastIndexOf(' ', end), start);
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
+
+// Add the text search to a task filter
+const textSearchFilter = (filter, q) => ({ ...filter, $text: { $search: q } });
+
+// The highlighted title and description snippet of a task found by `q`
+const highlightTask = (task, q) => {
+  const pattern = termPattern(searchTerms(q));
+
+  return {
+    title: segments(task.title, pattern),
+    description: segments(pattern ? snippetOf(task.description, pattern) : task.description, pattern)
+  };
+};
+
+module.exports = {
+  searchTerms,
+  textSearchFilter,
+  highlightTask
+};
@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { getSigningKey, getVerificationKey } = require('./signingKeys');
+const { tokenSigning } = require('../config/auth');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+const EMAIL_VERIFICATION_EXPIRES_IN = '24h';
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
+
+// Personal access tokens start with this so authenticate can tell them from JWTs
+const PERSONAL_ACCESS_TOKEN_PREFIX = 'tmpat_';
+
+// Hash an opaque token before it is stored or looked up
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// Every JWT is signed with the active key of the key set; the kid header
+// tells verifiers (here or via /.well-known/jwks.json) which public key to use
+const signJwt = async (payload, expiresIn) => {
+  const { kid, algorithm, privateKey } = await getSigningKey();
+  return jwt.sign(payload, privateKey, { algorithm, keyid: kid, expiresIn, issuer: tokenSigning.issuer });
+};
+
+// Returns the decoded payload; throws like jwt.verify for invalid or expired
+// tokens and for tokens signed by an unknown or expired key
+const verifyJwt = async (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  const key = decoded && await getVerificationKey(decoded.header.kid);
+
+  if (!key) {
+    throw new jwt.JsonWebTokenError('invalid signing key');
+  }
+
+  return jwt.verify(token, key.publicKey, { algorithms: [key.algorithm], issuer: tokenSigning.issuer });
+};
+
+// Sign a short-lived access token bound to a session
+const signAccessToken = async (user, session) => {
+  return await signJwt(
+    { userId: user._id, role: user.role, sid: session._id, tv: user.tokenVersion },
+    ACCESS_TOKEN_EXPIRES_IN
+  );
+};
+
+// Sign an access token for an admin acting as `user`. The `act` claim names
+// the admin; `imp` ties the token to the impersonation instead of a session.
+const signImpersonationToken = async (user, impersonation, expiresIn) => {
+  return await signJwt(
+    { userId: user._id, role: user.role, tv: user.tokenVersion, imp: impersonation._id, act: { sub: impersonation.admin } },
+    expiresIn
+  );
+};
+
+const verifyAccessToken = (token) => verifyJwt(token);
+
+// Single-purpose tokens (email links, login challenges) carry a `purpose`
+// claim so one kind can never be used in place of another
+const signPurposeToken = async (payload, purpose, expiresIn) => {
+  return await signJwt({ ...payload, purpose }, expiresIn);
+};
+
+// Returns the decoded payload, or null if the token is invalid or has another purpose
+const verifyPurposeToken = async (token, purpose) => {
+  try {
+    const decoded = await verifyJwt(token);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Email verification links are bound to the address they were sent to,
+// so changing the email invalidates old links
+const signEmailVerificationToken = (user) => {
+  return signPurposeToken(
+    { userId: user._id, email: user.email },
+    'email-verification',
+    EMAIL_VERIFICATION_EXPIRES_IN
+  );
+};
+
+const verifyEmailVerificationToken = (token) => verifyPurposeToken(token, 'email-verification');
+
+// Proof that the password step of a two-step login succeeded
+const signTwoFactorChallenge = (user) => {
+  return signPurposeToken({ userId: user._id }, '2fa-challenge', TWO_FACTOR_CHALLENGE_EXPIRES_IN);
+};
+
+const verifyTwoFactorChallenge = (token) => verifyPurposeToken(token, '2fa-challenge');
+
+// Where a request comes from, recorded on the sessions it starts or uses
+const clientInfo = (req) => ({
+  userAgent: (req.get('User-Agent') || '').slice(0, 500) || null,
+  ipAddress: req.ip || null
+});
+
+// Start a new session (token family) and issue its first token pair.
+// `client` is the clientInfo() of the request that signed in.
+const issueTokens = async (user, client = {}) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000),
+    ...client
+  });
+
+  return {
+    token: await signAccessToken(user, session),
+    refreshToken,
+    expiresAt: session.expiresAt
+  };
+};
+
+// Exchange a refresh token for a new token pair.
+// Returns null when the token cannot be used; presenting a token that was
+// already rotated out revokes the whole family it belongs to.
+const rotateRefreshToken = async (refreshToken, client = {}) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextRefreshToken = generateRefreshToken();
+
+  // Conditional update so two concurrent refreshes cannot both succeed
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        lastSeenAt: new Date(),
+        ...(client.ipAddress && { ipAddress: client.ipAddress })
+      },
+      $push: { previousTokenHashes: tokenHash }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reusedSession = await Session.findOne({ previousTokenHashes: tokenHash });
+    if (reusedSession) {
+      await reusedSession.revoke('refresh-token-reuse');
+    }
+    return null;
+  }
+
+  const user = await User.findById(session.user);
+
+  if (!user || !user.isActive) {
+    await session.revoke('user-inactive');
+    return null;
+  }
+
+  return {
+    user,
+    token: await signAccessToken(user, session),
+    refreshToken: nextRefreshToken,
+    expiresAt: session.expiresAt
+  };
+};
+
+// Invalidate every access and refresh token a user currently holds
+const revokeAllUserTokens = async (userId, reason) => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await Session.revokeAllForUser(userId, reason);
+};
+
+// Create a personal access token. The raw token is returned once and never stored.
+const createPersonalAccessToken = async (user, { name, scopes, expiresInDays }) => {
+  const token = `${PERSONAL_ACCESS_TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+  const accessToken = await PersonalAccessToken.create({
+    user: user._id,
+    name,
+    scopes,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, PERSONAL_ACCESS_TOKEN_PREFIX.length + 6),
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+  });
+
+  return { accessToken, token };
+};
+
+const isPersonalAccessToken = (token) => token.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX);
+
+// Look up a usable personal access token and record that it was used.
+// Returns null for unknown, expired or revoked tokens.
+const usePersonalAccessToken = async (token) => {
+  return await PersonalAccessToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { lastUsedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  hashToken,
+  clientInfo,
+  signAccessToken,
+  signImpersonationToken,
+  verifyAccessToken,
+  signEmailVerificationToken,
+  verifyEmailVerificationToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  issueTokens,
+  rotateRefreshToken,
+  revokeAllUserTokens,
+  createPersonalAccessToken,
+  isPersonalAccessToken,
+  usePersonalAccessToken
+};
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const Role = require('../models/Role');
+const totp = require('./totp');
+const { hasAdministrativePermission } = require('../config/permissions');
+
+const ISSUER = process.env.TOTP_ISSUER || 'TaskManager';
+const RECOVERY_CODE_COUNT = 10;
+const REQUIRE_ADMIN_2FA_KEY = 'security.requireAdminTwoFactor';
+
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(code.replace(/-/g, '').toLowerCase()).digest('hex');
+};
+
+// Generate a fresh set of recovery codes; only the hashes should be stored
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(hashRecoveryCode)
+  };
+};
+
+// Start enrolment: store a new (not yet trusted) secret and return what the authenticator app needs
+const startEnrolment = async (user) => {
+  const secret = totp.generateSecret();
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { twoFactorSecret: secret }, $unset: { twoFactorLastStep: 1 } }
+  );
+
+  return {
+    secret,
+    otpauthUrl: totp.buildOtpAuthUrl({ secret, accountName: user.email, issuer: ISSUER })
+  };
+};
+
+// Check a TOTP code against the user's secret and remember its time step.
+// `user` must have been loaded with +twoFactorSecret +twoFactorLastStep.
+const verifyTotp = async (user, code) => {
+  if (!user.twoFactorSecret) return false;
+
+  const step = totp.verifyCode(user.twoFactorSecret, code, {
+    afterStep: user.twoFactorLastStep ?? -1
+  });
+
+  if (step === null) return false;
+
+  // Conditional update so the same code cannot be accepted twice concurrently
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ twoFactorLastStep: { $exists: false } }, { twoFactorLastStep: { $lt: step } }]
+    },
+    { $set: { twoFactorLastStep: step } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Use up a recovery code; returns false if it is unknown or was already used
+const consumeRecoveryCode = async (user, code) => {
+  const result = await User.updateOne(
+    { _id: user._id, twoFactorRecoveryCodes: hashRecoveryCode(code) },
+    { $pull: { twoFactorRecoveryCodes: hashRecoveryCode(code) } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Accept either a TOTP code or a recovery code as the second factor
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) return await verifyTotp(user, code);
+  if (recoveryCode) return await consumeRecoveryCode(user, recoveryCode);
+  return false;
+};
+
+const isAdminTwoFactorRequired = async () => {
+  return await Setting.getValue(REQUIRE_ADMIN_2FA_KEY, false) === true;
+};
+
+const setAdminTwoFactorRequired = async (required, updatedBy) => {
+  return await Setting.setValue(REQUIRE_ADMIN_2FA_KEY, required, updatedBy);
+};
+
+// Whether the "require 2FA for admins" setting applies to this user's role
+const isTwoFactorRequiredFor = async (user) => {
+  return hasAdministrativePermission(await Role.permissionsFor(user.role)) && await isAdminTwoFactorRequired();
+};
+
+// Whether this user must enrol in 2FA before using privileged endpoints
+const mustEnrolTwoFactor = async (user) => {
+  return !user.twoFactorEnabled && await isTwoFactorRequiredFor(user);
+};
+
+module.exports = {
+  generateRecoveryCodes,
+  startEnrolment,
+  verifyTotp,
+  verifySecondFactor,
+  isAdminTwoFactorRequired,
+  setAdminTwoFactorRequired,
+  isTwoFactorRequiredFor,
+  mustEnrolTwoFactor
+};
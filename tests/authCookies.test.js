@@ -0,0 +1,112 @@
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const request = require('supertest');
+
+// No key set: every JWT fails verification, which is all these tests need
+jest.mock('../services/signingKeys', () => ({
+  getSigningKey: async () => { throw new Error('not used'); },
+  getVerificationKey: async () => null
+}));
+
+const { authCookies } = require('../config/auth');
+const { deliverTokens, hasValidCsrfToken } = require('../services/authCookies');
+const { authenticate } = require('../middleware/auth');
+
+const fakeRequest = ({ method = 'POST', cookies = {}, headers = {} } = {}) => ({
+  method,
+  cookies,
+  get: (name) => headers[name.toLowerCase()]
+});
+
+const fakeResponse = () => {
+  const cookies = {};
+  return {
+    cookies,
+    cookie: (name, value, options) => { cookies[name] = { value, options }; }
+  };
+};
+
+const tokens = { token: 'access', refreshToken: 'refresh', expiresAt: new Date(Date.now() + 60 * 1000) };
+
+describe('hasValidCsrfToken', () => {
+  const csrfHeader = authCookies.csrfHeader.toLowerCase();
+
+  it('lets safe methods through without a token', () => {
+    expect(hasValidCsrfToken(fakeRequest({ method: 'GET' }))).toBe(true);
+  });
+
+  it('accepts a header that matches the cookie', () => {
+    const req = fakeRequest({ cookies: { [authCookies.csrfTokenName]: 'abc123' }, headers: { [csrfHeader]: 'abc123' } });
+    expect(hasValidCsrfToken(req)).toBe(true);
+  });
+
+  it.each([
+    ['no cookie', {}, { [csrfHeader]: 'abc123' }],
+    ['no header', { [authCookies.csrfTokenName]: 'abc123' }, {}],
+    ['a different header', { [authCookies.csrfTokenName]: 'abc123' }, { [csrfHeader]: 'abc124' }],
+    ['a header of another length', { [authCookies.csrfTokenName]: 'abc123' }, { [csrfHeader]: 'abc1234' }]
+  ])('refuses a write with %s', (name, cookies, headers) => {
+    expect(hasValidCsrfToken(fakeRequest({ cookies, headers }))).toBe(false);
+  });
+});
+
+describe('deliverTokens', () => {
+  const cookieMode = { [authCookies.modeHeader.toLowerCase()]: 'cookie' };
+
+  it('returns the tokens in the body for API clients', () => {
+    const res = fakeResponse();
+
+    expect(deliverTokens(fakeRequest(), res, tokens)).toEqual({ token: 'access', refreshToken: 'refresh' });
+    expect(res.cookies).toEqual({});
+  });
+
+  it('sets httpOnly cookies and a new CSRF token in cookie mode', () => {
+    const res = fakeResponse();
+    const body = deliverTokens(fakeRequest({ headers: cookieMode }), res, tokens);
+
+    expect(body).toEqual({ csrfToken: res.cookies[authCookies.csrfTokenName].value });
+    expect(res.cookies[authCookies.accessTokenName]).toMatchObject({ value: 'access', options: { httpOnly: true } });
+    expect(res.cookies[authCookies.refreshTokenName].options.path).toBe(authCookies.refreshTokenPath);
+  });
+
+  it('keeps the current CSRF token on refresh', () => {
+    const req = fakeRequest({ headers: cookieMode, cookies: { [authCookies.csrfTokenName]: 'current' } });
+
+    expect(deliverTokens(req, fakeResponse(), tokens, { renewCsrfToken: false })).toEqual({ csrfToken: 'current' });
+    expect(deliverTokens(req, fakeResponse(), tokens).csrfToken).not.toBe('current');
+  });
+});
+
+describe('authenticate with cookies', () => {
+  const app = express();
+  app.use(cookieParser());
+  app.post('/protected', authenticate, (req, res) => res.json({ success: true }));
+
+  const cookie = (csrfToken) => [
+    `${authCookies.accessTokenName}=not-a-jwt`,
+    ...(csrfToken ? [`${authCookies.csrfTokenName}=${csrfToken}`] : [])
+  ].join('; ');
+
+  it('refuses a cookie-authenticated write without the CSRF header', async () => {
+    const response = await request(app).post('/protected').set('Cookie', cookie('abc123'));
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('CSRF_TOKEN_INVALID');
+  });
+
+  it('checks the token once the CSRF header matches', async () => {
+    const response = await request(app)
+      .post('/protected')
+      .set('Cookie', cookie('abc123'))
+      .set(authCookies.csrfHeader, 'abc123');
+
+    expect(response.status).toBe(401);
+    expect(response.body.message).toBe('Invalid token.');
+  });
+
+  it('does not ask bearer token clients for a CSRF token', async () => {
+    const response = await request(app).post('/protected').set('Authorization', 'Bearer not-a-jwt');
+
+    expect(response.status).toBe(401);
+  });
+});
@@ -0,0 +1,201 @@
+const { Types } = require('mongoose');
+
+// An in-memory stand-in for a Mongoose model, for tests that run without a
+// database. Documents live in an array; each operation yields once and then
+// applies atomically, so concurrent calls interleave like they would against
+// MongoDB. Only the query and update operators the services use are
+// supported. `schema` supplies the real model's methods and statics.
+
+const isOperatorObject = (value) => (
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && !(value instanceof RegExp) && !(value instanceof Types.ObjectId) &&
+  Object.keys(value).some((key) => key.startsWith('$'))
+);
+
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (value instanceof Types.ObjectId || value === null || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((value, key) => (value[key] ??= {}), doc);
+  parent[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = getPath(doc, keys.join('.')) ?? (keys.length === 0 ? doc : undefined);
+  if (parent) delete parent[last];
+};
+
+const equal = (a, b) => {
+  if (a == null || b == null) return a == null && b == null;
+  if (a instanceof Date || b instanceof Date) return +a === +b;
+  return String(a) === String(b);
+};
+
+// Like MongoDB, a condition on an array field matches when any element does
+const matchesValue = (value, expected) => {
+  if (expected instanceof RegExp) return typeof value === 'string' && expected.test(value);
+  if (Array.isArray(value) && !Array.isArray(expected)) return value.some((item) => equal(item, expected));
+  return equal(value, expected);
+};
+
+const compare = (value, expected, test) => value != null && test(+value, +expected);
+
+const matchesCondition = (value, condition) => {
+  if (!isOperatorObject(condition)) return matchesValue(value, condition);
+
+  return Object.entries(condition).every(([operator, expected]) => {
+    switch (operator) {
+      case '$in': return expected.some((item) => matchesValue(value, item));
+      case '$ne': return !matchesValue(value, expected);
+      case '$gt': return compare(value, expected, (a, b) => a > b);
+      case '$gte': return compare(value, expected, (a, b) => a >= b);
+      case '$lt': return compare(value, expected, (a, b) => a < b);
+      case '$lte': return compare(value, expected, (a, b) => a <= b);
+      case '$exists': return (value !== undefined) === expected;
+      default: throw new Error(`memoryModel does not support ${operator}`);
+    }
+  });
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => (
+  key === '$or'
+    ? condition.some((branch) => matches(doc, branch))
+    : matchesCondition(getPath(doc, key), condition)
+));
+
+const applyUpdate = (doc, update) => {
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      const current = getPath(doc, path);
+
+      switch (operator) {
+        case '$set': setPath(doc, path, clone(value)); break;
+        case '$unset': unsetPath(doc, path); break;
+        case '$inc': setPath(doc, path, (current || 0) + value); break;
+        case '$push': setPath(doc, path, [...(current || []), clone(value)]); break;
+        case '$pull': setPath(doc, path, (current || []).filter((item) => !equal(item, value))); break;
+        case '$max': if (current == null || +value > +current) setPath(doc, path, clone(value)); break;
+        default: throw new Error(`memoryModel does not support ${operator}`);
+      }
+    }
+  }
+};
+
+// The plain equality conditions of a filter, which an upsert starts from
+const upsertFields = (filter) => Object.fromEntries(Object.entries(filter).filter(([key, condition]) => (
+  !key.startsWith('$') && !isOperatorObject(condition)
+)));
+
+const createMemoryModel = ({ schema } = {}) => {
+  let docs = [];
+  const proto = {};
+
+  // A detached copy, like the document a query returns
+  const hydrate = (doc) => doc && Object.assign(Object.create(proto), clone(doc));
+
+  // Thenable so `await Model.find(...).select(...).sort(...)` works; the
+  // projection and order are ignored
+  const query = (run) => {
+    const chain = {
+      select: () => chain,
+      sort: () => chain,
+      lean: () => chain,
+      populate: () => chain,
+      then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject)
+    };
+    return chain;
+  };
+
+  const insert = (data) => {
+    const doc = { _id: new Types.ObjectId(), ...clone(data) };
+    docs.push(doc);
+    return doc;
+  };
+
+  const findStored = (filter) => docs.find((doc) => matches(doc, filter));
+
+  const Model = {
+    insert: (...items) => items.map((data) => hydrate(insert(data))),
+    all: () => docs.map(hydrate),
+    reset: () => { docs = []; },
+
+    create: async (data) => hydrate(insert(data)),
+    find: (filter) => query(() => docs.filter((doc) => matches(doc, filter)).map(hydrate)),
+    findOne: (filter) => query(() => hydrate(findStored(filter)) || null),
+    findById: (id) => Model.findOne({ _id: id }),
+    exists: (filter) => query(() => {
+      const doc = findStored(filter);
+      return doc ? { _id: doc._id } : null;
+    }),
+
+    findOneAndUpdate: async (filter, update, { new: returnNew = false, upsert = false } = {}) => {
+      await null;
+      let doc = findStored(filter);
+      if (!doc && !upsert) return null;
+
+      const before = doc && hydrate(doc);
+      if (!doc) doc = insert(upsertFields(filter));
+      applyUpdate(doc, update);
+      return returnNew ? hydrate(doc) : before;
+    },
+
+    findOneAndDelete: async (filter) => {
+      await null;
+      const doc = findStored(filter);
+      if (doc) docs = docs.filter((item) => item !== doc);
+      return hydrate(doc) || null;
+    },
+
+    updateOne: async (filter, update) => {
+      await null;
+      const doc = findStored(filter);
+      if (!doc) return { matchedCount: 0, modifiedCount: 0 };
+
+      const before = JSON.stringify(doc);
+      applyUpdate(doc, update);
+      return { matchedCount: 1, modifiedCount: JSON.stringify(doc) === before ? 0 : 1 };
+    },
+
+    updateMany: async (filter, update) => {
+      await null;
+      const found = docs.filter((doc) => matches(doc, filter));
+      found.forEach((doc) => applyUpdate(doc, update));
+      return { matchedCount: found.length, modifiedCount: found.length };
+    },
+
+    deleteOne: async (filter) => {
+      await null;
+      const doc = findStored(filter);
+      docs = docs.filter((item) => item !== doc);
+      return { deletedCount: doc ? 1 : 0 };
+    }
+  };
+
+  // Saving writes the copy back over the stored document
+  proto.save = async function() {
+    await null;
+    docs = docs.map((doc) => (equal(doc._id, this._id) ? clone({ ...this }) : doc));
+    return this;
+  };
+
+  if (schema) {
+    Object.assign(proto, schema.methods);
+    for (const [name, fn] of Object.entries(schema.statics)) {
+      Model[name] = fn.bind(Model);
+    }
+  }
+
+  return Model;
+};
+
+module.exports = { createMemoryModel };
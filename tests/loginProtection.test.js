@@ -0,0 +1,95 @@
+jest.mock('../models/User', () => require('./helpers/memoryModel').createMemoryModel());
+jest.mock('../models/LoginThrottle', () => require('./helpers/memoryModel').createMemoryModel());
+
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+const { loginProtection } = require('../config/auth');
+const { checkLoginAllowed, recordLoginFailure, clearAccountLockout } = require('../services/loginProtection');
+
+const { maxAttemptsPerAccount, maxAttemptsPerIp, attemptWindowMs, lockoutBaseMs } = loginProtection;
+
+const IP = '203.0.113.7';
+const EMAIL = 'alice@example.com';
+
+let user;
+
+const failTimes = async (count, attempt = { ip: IP, email: EMAIL, user }) => {
+  for (let i = 0; i < count; i++) {
+    await recordLoginFailure(attempt);
+  }
+};
+
+// What a login attempt for the account would be told now
+const currentLimits = async (attempt = {}) => checkLoginAllowed({
+  ip: IP,
+  email: EMAIL,
+  user: await User.findById(user._id),
+  ...attempt
+});
+
+beforeEach(() => {
+  User.reset();
+  LoginThrottle.reset();
+  [user] = User.insert({ email: EMAIL, failedLoginAttempts: 0 });
+});
+
+describe('account lockout', () => {
+  it('does not lock below the attempt limit', async () => {
+    await failTimes(maxAttemptsPerAccount - 1);
+
+    expect(await currentLimits()).toEqual({ ipRetryAfter: 0, accountRetryAfter: 0 });
+  });
+
+  it('locks the account once the limit is reached', async () => {
+    await failTimes(maxAttemptsPerAccount);
+
+    const { accountRetryAfter } = await currentLimits();
+    expect(accountRetryAfter).toBeGreaterThan(0);
+    expect(accountRetryAfter).toBeLessThanOrEqual(lockoutBaseMs / 1000);
+  });
+
+  it('doubles the lock for every further failure', async () => {
+    await failTimes(maxAttemptsPerAccount + 1);
+
+    const { accountRetryAfter } = await currentLimits();
+    expect(accountRetryAfter).toBeGreaterThan(lockoutBaseMs / 1000);
+    expect(accountRetryAfter).toBeLessThanOrEqual(2 * lockoutBaseMs / 1000);
+  });
+
+  it('forgets failures older than the attempt window', async () => {
+    await User.updateOne({ _id: user._id }, {
+      $set: { failedLoginAttempts: maxAttemptsPerAccount - 1, lastFailedLoginAt: new Date(Date.now() - attemptWindowMs - 1000) }
+    });
+
+    await failTimes(1);
+
+    expect(User.all()[0].failedLoginAttempts).toBe(1);
+    expect((await currentLimits()).accountRetryAfter).toBe(0);
+  });
+
+  it('unlocks the account when the lockout is cleared', async () => {
+    await failTimes(maxAttemptsPerAccount);
+    await clearAccountLockout(user._id);
+
+    expect((await currentLimits()).accountRetryAfter).toBe(0);
+    expect(User.all()[0].failedLoginAttempts).toBe(0);
+  });
+
+  it('locks unknown emails the same way, so responses do not reveal which accounts exist', async () => {
+    const attempt = { ip: IP, email: 'nobody@example.com', user: null };
+    await failTimes(maxAttemptsPerAccount, attempt);
+
+    expect((await checkLoginAllowed(attempt)).accountRetryAfter).toBeGreaterThan(0);
+  });
+});
+
+describe('IP lockout', () => {
+  it('locks the client IP after too many failures across accounts', async () => {
+    for (let i = 0; i < maxAttemptsPerIp; i++) {
+      await recordLoginFailure({ ip: IP, email: `user${i}@example.com`, user: null });
+    }
+
+    expect((await currentLimits()).ipRetryAfter).toBeGreaterThan(0);
+    expect((await currentLimits({ ip: '198.51.100.1' })).ipRetryAfter).toBe(0);
+  });
+});
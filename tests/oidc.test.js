@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ISSUER = 'https://idp.example.com';
+const CLIENT_ID = 'task-manager';
+
+// Read by config/auth when the service is loaded
+process.env.OIDC_ISSUER = ISSUER;
+process.env.OIDC_CLIENT_ID = CLIENT_ID;
+
+jest.mock('../models/OidcLoginState', () => require('./helpers/memoryModel').createMemoryModel());
+
+const OidcLoginState = require('../models/OidcLoginState');
+const { createAuthorizationUrl, handleCallback } = require('../services/oidc');
+
+// A minimal identity provider behind fetch: discovery, keys and a token
+// endpoint that issues an ID token with `idTokenClaims`
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+let tokenRequests;
+let idTokenClaims;
+
+const jsonResponse = (body) => ({ ok: true, status: 200, json: async () => body });
+
+global.fetch = jest.fn(async (url, options) => {
+  switch (url) {
+    case `${ISSUER}/.well-known/openid-configuration`:
+      return jsonResponse({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`
+      });
+    case `${ISSUER}/jwks`:
+      return jsonResponse({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'idp-key', alg: 'RS256', use: 'sig' }] });
+    case `${ISSUER}/token`:
+      tokenRequests.push(new URLSearchParams(options.body));
+      return jsonResponse({
+        id_token: jwt.sign(idTokenClaims, privateKey, { algorithm: 'RS256', keyid: 'idp-key', expiresIn: '5m' })
+      });
+    default:
+      return { ok: false, status: 404, json: async () => ({}) };
+  }
+});
+
+const s256 = (value) => crypto.createHash('sha256').update(value).digest('base64url');
+
+// Start a login and have the provider sign in alice for it
+const startLogin = async (claims = {}) => {
+  const { authorizationUrl, state } = await createAuthorizationUrl();
+  const params = new URL(authorizationUrl).searchParams;
+
+  idTokenClaims = {
+    iss: ISSUER,
+    aud: CLIENT_ID,
+    sub: 'alice-subject',
+    email: 'alice@example.com',
+    email_verified: true,
+    nonce: params.get('nonce'),
+    ...claims
+  };
+
+  return { state, params };
+};
+
+beforeEach(() => {
+  OidcLoginState.reset();
+  tokenRequests = [];
+});
+
+describe('createAuthorizationUrl', () => {
+  it('sends the browser to the provider with the state, a nonce and an S256 code challenge', async () => {
+    const { state, params } = await startLogin();
+    const [loginState] = OidcLoginState.all();
+
+    expect(params.get('response_type')).toBe('code');
+    expect(params.get('client_id')).toBe(CLIENT_ID);
+    expect(params.get('state')).toBe(state);
+    expect(params.get('nonce')).toBe(loginState.nonce);
+    expect(params.get('code_challenge_method')).toBe('S256');
+    expect(params.get('code_challenge')).toBe(s256(loginState.codeVerifier));
+  });
+
+  it('starts every login with a fresh state and verifier', async () => {
+    await startLogin();
+    await startLogin();
+
+    const [first, second] = OidcLoginState.all();
+    expect(first.state).not.toBe(second.state);
+    expect(first.codeVerifier).not.toBe(second.codeVerifier);
+  });
+});
+
+describe('handleCallback', () => {
+  it('redeems the code with the PKCE verifier of the login and returns the claims', async () => {
+    const { state, params } = await startLogin();
+
+    const claims = await handleCallback({ code: 'auth-code', state }, state);
+
+    expect(claims).toMatchObject({ sub: 'alice-subject', email: 'alice@example.com' });
+    expect(tokenRequests).toHaveLength(1);
+    expect(tokenRequests[0].get('code')).toBe('auth-code');
+    expect(s256(tokenRequests[0].get('code_verifier'))).toBe(params.get('code_challenge'));
+  });
+
+  it.each([
+    ['no state cookie', null],
+    ['the state cookie of another login', 'another-state']
+  ])('refuses a callback with %s before using the state', async (name, browserState) => {
+    const { state } = await startLogin();
+
+    await expect(handleCallback({ code: 'auth-code', state }, browserState))
+      .rejects.toThrow('SSO login was not started in this browser');
+    expect(OidcLoginState.all()).toHaveLength(1);
+    expect(tokenRequests).toHaveLength(0);
+  });
+
+  it('accepts each state only once', async () => {
+    const { state } = await startLogin();
+    await handleCallback({ code: 'auth-code', state }, state);
+
+    await expect(handleCallback({ code: 'auth-code', state }, state))
+      .rejects.toThrow('SSO login has expired or was already used');
+  });
+
+  it('refuses an expired login', async () => {
+    const { state } = await startLogin();
+    await OidcLoginState.updateOne({ state }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+    await expect(handleCallback({ code: 'auth-code', state }, state))
+      .rejects.toThrow('SSO login has expired or was already used');
+  });
+
+  it('refuses an ID token issued for another login', async () => {
+    const { state } = await startLogin({ nonce: 'another-nonce' });
+
+    await expect(handleCallback({ code: 'auth-code', state }, state))
+      .rejects.toThrow('ID token nonce does not match the login');
+  });
+
+  it('refuses an ID token issued to another client', async () => {
+    const { state } = await startLogin({ aud: 'another-client' });
+
+    await expect(handleCallback({ code: 'auth-code', state }, state)).rejects.toThrow('ID token is invalid: jwt audience invalid');
+  });
+});
@@ -0,0 +1,104 @@
+const { Types } = require('mongoose');
+
+jest.mock('../models/Task', () => require('./helpers/memoryModel').createMemoryModel());
+
+const Task = require('../models/Task');
+const { MAX_BLOCKERS, findCycle, linkBlocker } = require('../services/taskDependencies');
+
+// Tasks a, b, c... with the given "blocked by" links, e.g. { b: ['a'] }
+const createTasks = (names, links = {}) => {
+  const ids = Object.fromEntries(names.map((name) => [name, new Types.ObjectId()]));
+  Task.insert(...names.map((name) => ({
+    _id: ids[name],
+    title: name,
+    blockedBy: (links[name] || []).map((blocker) => ids[blocker])
+  })));
+  return ids;
+};
+
+const loadTask = (id) => Task.findById(id);
+const blockersOf = async (id) => (await loadTask(id)).blockedBy.map(String);
+
+beforeEach(() => {
+  Task.reset();
+});
+
+describe('findCycle', () => {
+  it('finds nothing when the blocker does not depend on the task', async () => {
+    const ids = createTasks(['a', 'b', 'c'], { b: ['a'] });
+
+    expect(await findCycle(ids.c, ids.b)).toBeNull();
+  });
+
+  it('returns the loop a new link would close, following the blockers from the task', async () => {
+    // c waits on b, b waits on a; a waiting on c closes the loop
+    const ids = createTasks(['a', 'b', 'c'], { b: ['a'], c: ['b'] });
+
+    expect(await findCycle(ids.a, ids.c)).toEqual([ids.a, ids.c, ids.b, ids.a].map(String));
+  });
+
+  it('terminates on graphs that share blockers', async () => {
+    const ids = createTasks(['a', 'b', 'c', 'd'], { b: ['a'], c: ['a'], d: ['b', 'c'] });
+
+    expect(await findCycle(ids.a, ids.d)).toEqual([ids.a, ids.d, ids.b, ids.a].map(String));
+    expect(await findCycle(ids.d, ids.a)).toBeNull();
+  });
+});
+
+describe('linkBlocker', () => {
+  it('stores a new blocker', async () => {
+    const ids = createTasks(['a', 'b']);
+
+    expect(await linkBlocker(await loadTask(ids.b), ids.a)).toEqual({ linked: true });
+    expect(await blockersOf(ids.b)).toEqual([String(ids.a)]);
+  });
+
+  it('refuses a link that already exists', async () => {
+    const ids = createTasks(['a', 'b'], { b: ['a'] });
+
+    expect(await linkBlocker(await loadTask(ids.b), ids.a)).toEqual({ reason: 'exists' });
+  });
+
+  it('refuses a link that would close a cycle', async () => {
+    const ids = createTasks(['a', 'b'], { b: ['a'] });
+
+    expect(await linkBlocker(await loadTask(ids.a), ids.b)).toEqual({ cycle: [ids.a, ids.b, ids.a].map(String) });
+    expect(await blockersOf(ids.a)).toEqual([]);
+  });
+
+  it(`refuses more than ${MAX_BLOCKERS} blockers`, async () => {
+    const blockers = Array.from({ length: MAX_BLOCKERS }, (_, i) => `blocker${i}`);
+    const ids = createTasks([...blockers, 'task', 'extra'], { task: blockers });
+
+    expect(await linkBlocker(await loadTask(ids.task), ids.extra)).toEqual({ reason: 'limit' });
+  });
+
+  it('never stores both links when two requests link the same tasks both ways at once', async () => {
+    const ids = createTasks(['a', 'b']);
+    const [a, b] = await Promise.all([loadTask(ids.a), loadTask(ids.b)]);
+
+    const results = await Promise.all([linkBlocker(a, ids.b), linkBlocker(b, ids.a)]);
+
+    const linked = results.filter((result) => result.linked).length;
+    expect(linked).toBeLessThan(2);
+    expect((await blockersOf(ids.a)).length + (await blockersOf(ids.b)).length).toBe(linked);
+  });
+
+  it('refuses a stale request once another one filled the last blocker slot', async () => {
+    const blockers = Array.from({ length: MAX_BLOCKERS - 1 }, (_, i) => `blocker${i}`);
+    const ids = createTasks([...blockers, 'task', 'first', 'second'], { task: blockers });
+    const staleTask = await loadTask(ids.task);
+
+    expect(await linkBlocker(await loadTask(ids.task), ids.first)).toEqual({ linked: true });
+    expect(await linkBlocker(staleTask, ids.second)).toEqual({ reason: 'limit' });
+    expect(await blockersOf(ids.task)).toHaveLength(MAX_BLOCKERS);
+  });
+
+  it('reports a task deleted since it was loaded as missing', async () => {
+    const ids = createTasks(['a', 'b']);
+    const task = await loadTask(ids.b);
+    await Task.deleteOne({ _id: ids.b });
+
+    expect(await linkBlocker(task, ids.a)).toEqual({ reason: 'missing' });
+  });
+});
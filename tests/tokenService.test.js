@@ -0,0 +1,128 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+
+jest.mock('../models/Session', () => {
+  const { createMemoryModel } = require('./helpers/memoryModel');
+  return createMemoryModel({ schema: jest.requireActual('../models/Session').schema });
+});
+
+jest.mock('../models/User', () => require('./helpers/memoryModel').createMemoryModel());
+
+// One fixed RS256 key instead of the key set stored in the database
+jest.mock('../services/signingKeys', () => {
+  const { generateKeyPairSync } = require('crypto');
+  const key = { kid: 'test-key', algorithm: 'RS256', ...generateKeyPairSync('rsa', { modulusLength: 2048 }) };
+
+  return {
+    getSigningKey: async () => key,
+    getVerificationKey: async (kid) => (kid === key.kid ? key : null)
+  };
+});
+
+const Session = require('../models/Session');
+const User = require('../models/User');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeAllUserTokens,
+  verifyAccessToken,
+  signEmailVerificationToken,
+  verifyEmailVerificationToken,
+  verifyTwoFactorChallenge
+} = require('../services/tokenService');
+
+let user;
+
+beforeEach(() => {
+  Session.reset();
+  User.reset();
+  [user] = User.insert({ username: 'alice', role: 'user', tokenVersion: 0, isActive: true });
+});
+
+describe('refresh token rotation', () => {
+  it('exchanges a refresh token for a new pair on the same session', async () => {
+    const first = await issueTokens(user, { ipAddress: '203.0.113.7' });
+    const second = await rotateRefreshToken(first.refreshToken, { ipAddress: '203.0.113.8' });
+
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    expect((await verifyAccessToken(second.token)).sid).toBe((await verifyAccessToken(first.token)).sid);
+
+    const sessions = Session.all();
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0].ipAddress).toBe('203.0.113.8');
+  });
+
+  it('accepts each refresh token only once', async () => {
+    const { refreshToken } = await issueTokens(user);
+
+    expect(await rotateRefreshToken(refreshToken)).not.toBeNull();
+    expect(await rotateRefreshToken(refreshToken)).toBeNull();
+  });
+
+  it('revokes the whole token family when a rotated-out token is reused', async () => {
+    const first = await issueTokens(user);
+    const second = await rotateRefreshToken(first.refreshToken);
+
+    expect(await rotateRefreshToken(first.refreshToken)).toBeNull();
+    expect(Session.all()[0].revokedReason).toBe('refresh-token-reuse');
+    expect(await rotateRefreshToken(second.refreshToken)).toBeNull();
+  });
+
+  it('lets only one of two concurrent refreshes succeed', async () => {
+    const { refreshToken } = await issueTokens(user);
+
+    const results = await Promise.all([rotateRefreshToken(refreshToken), rotateRefreshToken(refreshToken)]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+  });
+
+  it('refuses an unknown refresh token without touching other sessions', async () => {
+    await issueTokens(user);
+
+    expect(await rotateRefreshToken(crypto.randomBytes(48).toString('hex'))).toBeNull();
+    expect(Session.all()[0].revokedAt).toBeUndefined();
+  });
+
+  it('refuses the refresh token of an expired session', async () => {
+    const { refreshToken } = await issueTokens(user);
+    await Session.updateOne({ user: user._id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+    expect(await rotateRefreshToken(refreshToken)).toBeNull();
+  });
+
+  it('revokes the session when the user was deactivated', async () => {
+    const { refreshToken } = await issueTokens(user);
+    await User.updateOne({ _id: user._id }, { $set: { isActive: false } });
+
+    expect(await rotateRefreshToken(refreshToken)).toBeNull();
+    expect(Session.all()[0].revokedReason).toBe('user-inactive');
+  });
+
+  it('revokes every session and bumps the token version on revokeAllUserTokens', async () => {
+    const first = await issueTokens(user);
+    const second = await issueTokens(user);
+
+    await revokeAllUserTokens(user._id, 'password-changed');
+
+    expect(Session.all().map((session) => session.revokedReason)).toEqual(['password-changed', 'password-changed']);
+    expect(User.all()[0].tokenVersion).toBe(1);
+    expect(await rotateRefreshToken(first.refreshToken)).toBeNull();
+    expect(await rotateRefreshToken(second.refreshToken)).toBeNull();
+  });
+});
+
+describe('signed tokens', () => {
+  it('refuses a token signed by a key outside the key set', async () => {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const forged = jwt.sign({ userId: user._id }, privateKey, { algorithm: 'RS256', keyid: 'other-key', issuer: 'task-manager-api' });
+
+    await expect(verifyAccessToken(forged)).rejects.toThrow('invalid signing key');
+  });
+
+  it('never accepts one purpose token in place of another', async () => {
+    const token = await signEmailVerificationToken({ ...user, email: 'alice@example.com' });
+
+    expect(await verifyEmailVerificationToken(token)).toMatchObject({ email: 'alice@example.com' });
+    expect(await verifyTwoFactorChallenge(token)).toBeNull();
+  });
+});
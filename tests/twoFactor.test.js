@@ -0,0 +1,98 @@
+jest.mock('../models/User', () => require('./helpers/memoryModel').createMemoryModel());
+
+const User = require('../models/User');
+const totp = require('../services/totp');
+const { generateRecoveryCodes, verifySecondFactor, verifyTotp } = require('../services/twoFactorService');
+
+const STEP_MS = 30 * 1000;
+const currentStep = () => Math.floor(Date.now() / STEP_MS);
+
+describe('totp', () => {
+  // RFC 6238 appendix B, SHA-1 secret "12345678901234567890", last 6 digits
+  const rfcSecret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+  it.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [2000000000, '279037']
+  ])('matches the RFC test vector at %i seconds', (seconds, code) => {
+    expect(totp.generateCode(rfcSecret, Math.floor(seconds / 30))).toBe(code);
+  });
+
+  it('round-trips base32', () => {
+    const bytes = Buffer.from('any secret bytes');
+    expect(totp.base32Decode(totp.base32Encode(bytes))).toEqual(bytes);
+  });
+
+  it('accepts the current code and one step of clock drift, and returns its step', () => {
+    const secret = totp.generateSecret();
+    const step = currentStep();
+
+    expect(totp.verifyCode(secret, totp.generateCode(secret, step))).toBe(step);
+    expect(totp.verifyCode(secret, totp.generateCode(secret, step - 1))).toBe(step - 1);
+    expect(totp.verifyCode(secret, totp.generateCode(secret, step - 3))).toBeNull();
+  });
+
+  it('refuses codes from steps that were already used', () => {
+    const secret = totp.generateSecret();
+    const step = currentStep();
+
+    expect(totp.verifyCode(secret, totp.generateCode(secret, step), { afterStep: step })).toBeNull();
+  });
+
+  it.each(['12345', '1234567', 'abcdef', ''])('refuses the malformed code %p', (code) => {
+    expect(totp.verifyCode(totp.generateSecret(), code)).toBeNull();
+  });
+});
+
+describe('second factor', () => {
+  let secret;
+  let user;
+
+  // The user as the login route loads it, with the 2FA fields selected
+  const loadUser = () => User.findById(user._id);
+
+  beforeEach(() => {
+    User.reset();
+    secret = totp.generateSecret();
+    [user] = User.insert({ email: 'alice@example.com', twoFactorEnabled: true, twoFactorSecret: secret });
+  });
+
+  it('accepts a valid TOTP code once and refuses to replay it', async () => {
+    const code = totp.generateCode(secret);
+
+    expect(await verifyTotp(await loadUser(), code)).toBe(true);
+    expect(await verifyTotp(await loadUser(), code)).toBe(false);
+  });
+
+  it('accepts the same code only once when it arrives twice at the same time', async () => {
+    const code = totp.generateCode(secret);
+    const [first, second] = await Promise.all([loadUser(), loadUser()]);
+
+    const results = await Promise.all([verifyTotp(first, code), verifyTotp(second, code)]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+  });
+
+  it('refuses an older code once a newer one was used', async () => {
+    const step = currentStep();
+
+    expect(await verifyTotp(await loadUser(), totp.generateCode(secret, step))).toBe(true);
+    expect(await verifyTotp(await loadUser(), totp.generateCode(secret, step - 1))).toBe(false);
+  });
+
+  it('refuses codes when no secret is set', async () => {
+    await User.updateOne({ _id: user._id }, { $unset: { twoFactorSecret: 1 } });
+
+    expect(await verifyTotp(await loadUser(), totp.generateCode(secret))).toBe(false);
+  });
+
+  it('uses up a recovery code, however it is typed', async () => {
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { twoFactorRecoveryCodes: hashes } });
+
+    expect(await verifySecondFactor(await loadUser(), { recoveryCode: codes[0].toUpperCase() })).toBe(true);
+    expect(await verifySecondFactor(await loadUser(), { recoveryCode: codes[0] })).toBe(false);
+    expect(User.all()[0].twoFactorRecoveryCodes).toHaveLength(hashes.length - 1);
+  });
+});